@@ -20,6 +20,11 @@ export {
   makeFakeContexts
 } from './makeContext.js'
 export { destroyAllContexts } from './modules/root.js'
+export { makeQrMatrix, makeQrSvg } from './util/qrcode.js'
+export {
+  makeFolderSyncTransport,
+  makeMemorySyncTransport
+} from './modules/storage/storage-transports.js'
 
 // io types -----------------------------------------------------------
 
@@ -85,6 +90,17 @@ export type PlusultraPbkdf2 = {
   ) => Promise<Uint8Array>
 }
 
+/**
+ * A platform keychain for protecting login secrets.
+ * If `get` receives a prompt, the platform should show it
+ * and make the user unlock the item, such as with a fingerprint.
+ */
+export type PlusultraSecureStorage = {
+  get(key: string, prompt?: string): Promise<string | void>,
+  set(key: string, value: string): Promise<mixed>,
+  delete(key: string): Promise<mixed>
+}
+
 /**
  * Access to platform-specific resources, with many optional fields.
  * The core will emulate/adapt whatever is missing.
@@ -100,6 +116,7 @@ export type PlusultraRawIo = {
   +console?: PlusultraConsole,
   +folder?: DiskletFolder,
   +localStorage?: Storage,
+  +secureStorage?: PlusultraSecureStorage,
 
   // Networking:
   +fetch: typeof fetch,
@@ -124,6 +141,7 @@ export type PlusultraIo = {
   // Local io:
   +console: PlusultraConsole,
   +folder: DiskletFolder,
+  +secureStorage?: PlusultraSecureStorage,
 
   // Networking:
   +fetch: typeof fetch,
@@ -145,7 +163,8 @@ export type PlusultraCorePluginOptions = {
 
 export type PlusultraContextCallbacks = {
   +onError?: (e: Error) => mixed,
-  +onExchangeUpdate?: () => mixed
+  +onExchangeUpdate?: () => mixed,
+  +onLoginMessages?: (messages: PlusultraLoginMessages) => mixed // Polled
 }
 
 export type PlusultraContextOptions = {
@@ -153,10 +172,17 @@ export type PlusultraContextOptions = {
   appId?: string,
   authServer?: string,
   callbacks?: PlusultraContextCallbacks,
+  deviceName?: string, // Identifies this device in the session list
+  encryptLoginStash?: boolean, // Requires io.secureStorage
   io?: PlusultraRawIo,
+  mergeFallback?: PlusultraMergeFunction, // Merges files without a built-in rule
+  otpWindow?: number, // 30-second OTP steps of clock drift to allow
   path?: string, // Only used on node.js
+  pinWipeAttempts?: number, // Forget the local PIN key after this many failures
   plugins?: Array<PlusultraCorePluginFactory>,
-  shapeshiftKey?: string
+  shapeshiftKey?: string,
+  syncServers?: Array<string>, // Git sync servers, in order of preference
+  syncTransport?: PlusultraSyncTransport // Replaces the sync servers
 }
 
 export type PlusultraContext = {
@@ -180,6 +206,17 @@ export type PlusultraContext = {
   // Plusultra login:
   requestPlusultraLogin(opts: PlusultraPlusultraLoginOptions): Promise<PlusultraPlusultraLoginRequest>,
 
+  // Lobby requests to another device:
+  requestPublicKey(
+    opts: PlusultraPublicKeyRequestOptions
+  ): Promise<PlusultraPendingLobbyRequest>,
+  requestSignature(
+    opts: PlusultraSignRequestOptions
+  ): Promise<PlusultraPendingLobbyRequest>,
+  requestRepo(
+    opts: PlusultraRepoRequestOptions
+  ): Promise<PlusultraPendingLobbyRequest>,
+
   // Fingerprint login:
   loginWithKey(
     username: string,
@@ -188,7 +225,10 @@ export type PlusultraContext = {
   ): Promise<PlusultraAccount>,
 
   // Password login:
-  checkPasswordRules(password: string): PlusultraPasswordRules,
+  checkPasswordRules(
+    password: string,
+    username?: string
+  ): PlusultraPasswordRules,
   loginWithPassword(
     username: string,
     pin: string,
@@ -197,6 +237,7 @@ export type PlusultraContext = {
 
   // PIN login:
   pinLoginEnabled(username: string): Promise<boolean>,
+  getLoginLockout(username: string): Promise<PlusultraLoginLockout>,
   loginWithPIN(
     username: string,
     pin: string,
@@ -223,6 +264,9 @@ export type PlusultraContext = {
 
   // Misc. stuff:
   getCurrencyPlugins(): Promise<Array<PlusultraCurrencyPlugin>>,
+  setOnline(online: boolean): void, // Pauses or resumes background sync
+  compactStorage(): Promise<PlusultraStorageReport>,
+  importBackup(archive: string, password: string): Promise<string>, // Username
 
   // Shapeshift:
   getExchangeSwapRate(
@@ -236,6 +280,13 @@ export type PlusultraContext = {
   getAvailableExchangeTokens(): Promise<Array<string>>
 }
 
+// Results from cleaning out unused wallet data:
+export type PlusultraStorageReport = {
+  reclaimedBytes: number,
+  deletedWallets: Array<string>,
+  skippedWallets: Array<string> // Busy syncing or holding unsynced changes
+}
+
 export type PlusultraExchangeSwapInfo = {
   rate: number,
   nativeMin: string,
@@ -245,6 +296,8 @@ export type PlusultraExchangeSwapInfo = {
 
 export type PlusultraPasswordRules = {
   secondsToCrack: number,
+  score: number, // 0 (terrible) through 4 (great)
+  feedback: Array<string>, // Suggestions for a better password
   tooShort: boolean,
   noNumber: boolean,
   noLowerCase: boolean,
@@ -252,6 +305,11 @@ export type PlusultraPasswordRules = {
   passed: boolean
 }
 
+export type PlusultraLoginLockout = {
+  failures: number, // Failed PIN or password checks since the last success
+  waitSeconds: number // Time until the next attempt is allowed
+}
+
 export type PlusultraPlusultraLoginRequest = {
   id: string,
   cancelRequest(): void
@@ -264,10 +322,17 @@ export type PlusultraPlusultraLoginOptions = PlusultraAccountOptions & {
   onLogin(e?: Error, account?: PlusultraAccount): mixed
 }
 
+export type PlusultraLoginMessage =
+  | { type: 'otpReset', resetDate?: Date } // Someone requested an OTP reset
+  | { type: 'passwordRecovery', date?: Date } // Recovery login in progress
+  | { type: 'securityAlert', message: string, date?: Date }
+  | { type: 'lobbyRequest', lobbyId: string } // Pass to `fetchLobby`
+
 export type PlusultraLoginMessages = {
   [username: string]: {
     otpResetPending: boolean,
-    recovery2Corrupt: boolean
+    recovery2Corrupt: boolean,
+    messages: Array<PlusultraLoginMessage>
   }
 }
 
@@ -306,6 +371,14 @@ export type PlusultraAccountCallbacks = {
   +onOtpDrift?: (drift: number) => mixed,
   +onRemoteOtpChange?: () => mixed,
   +onRemotePasswordChange?: () => mixed,
+  +onSyncConflict?: (
+    walletId: string,
+    conflicts: Array<PlusultraSyncConflict>
+  ) => mixed,
+  +onSyncStatusChanged?: (
+    walletId: string,
+    status: PlusultraSyncStatus
+  ) => mixed,
 
   // Currency wallet callbacks:
   +onAddressesChecked?: (walletId: string, progressRatio: number) => mixed,
@@ -327,6 +400,88 @@ export type PlusultraAccountCallbacks = {
   +onWalletNameChanged?: (walletId: string, name: string | null) => mixed
 }
 
+// Two devices edited the same repo file, and the core had to merge them:
+export type PlusultraSyncConflict = {
+  path: string,
+  ours: string | null, // null if we deleted the file
+  theirs: string | null, // null if the other side deleted the file
+  merged: string | null // What the core kept, or null if the file is gone
+}
+
+// Combines two decrypted versions of a repo file the core has no rule for,
+// returning the text to keep:
+export type PlusultraMergeFunction = (
+  ours: string,
+  theirs: string | null,
+  path: string
+) => string
+
+// Changes to a repo, as exchanged with the sync backend.
+// Files are encrypted JSON, and deleted files are null:
+export type PlusultraSyncReply = {
+  changes?: { [path: string]: Object | null },
+  hash?: string // The backend's latest version of the repo
+}
+
+// Carries repo changes to and from some storage backend.
+// Repos are named by their hex-encoded sync key:
+export type PlusultraSyncTransport = {
+  // Returns everything that changed since `lastHash`:
+  readChanges(
+    syncKey: string,
+    lastHash: string | void
+  ): Promise<PlusultraSyncReply>,
+
+  // Saves our changes, then returns like `readChanges`:
+  writeChanges(
+    syncKey: string,
+    lastHash: string | void,
+    changes: { [path: string]: Object | null }
+  ): Promise<PlusultraSyncReply>
+}
+
+// A prior version of a repo file, kept on this device:
+export type PlusultraFileRevision = {
+  id: string,
+  date: number, // Seconds since the epoch, when this version was replaced
+  text: string
+}
+
+// A synced wallet folder, which remembers prior versions of its files.
+// Paths are relative to the folder, like "Transactions/abc.json":
+export type PlusultraRepoFolder = DiskletFolder & {
+  listRevisions(path: string): Promise<Array<PlusultraFileRevision>>,
+  restoreRevision(path: string, id: string): Promise<mixed>
+}
+
+// A repo file that won't decrypt:
+export type PlusultraCorruptFile = {
+  path: string,
+  pending: boolean, // True for local edits that haven't synced yet
+  error: string
+}
+
+// The results of checking a repo for damaged files:
+export type PlusultraRepoReport = {
+  checkedFiles: number,
+  corruptFiles: Array<PlusultraCorruptFile>
+}
+
+export type PlusultraVerifyOptions = {
+  // Sets damaged files aside, and optionally downloads fresh copies:
+  repair?: 'quarantine' | 'refetch'
+}
+
+// Progress of the background sync for a repo:
+export type PlusultraSyncStatus = {
+  state: 'syncing' | 'synced' | 'offline' | 'error',
+  pendingChanges: number, // Local edits waiting to upload
+  lastError: Error | null,
+  lastSync: number, // Seconds since the epoch, or 0 if never synced
+  bytesSent: number, // Totals since the wallet was loaded
+  bytesReceived: number
+}
+
 export type PlusultraAccountOptions = {
   otp?: string,
   callbacks?: PlusultraAccountCallbacks
@@ -383,12 +538,16 @@ export type PlusultraAccount = {
   cancelOtpReset(): Promise<void>,
   disableOtp(): Promise<void>,
   enableOtp(timeout?: number): Promise<void>,
+  getOtpSetupUri(issuer?: string): string, // For authenticator apps
+  confirmOtp(otp: string, timeout?: number): Promise<void>, // Checks, then enables
 
   // Plusultra login approval:
   fetchLobby(lobbyId: string): Promise<PlusultraLobby>,
 
   // Login management:
   logout(): Promise<void>,
+  listSessions(): Promise<Array<PlusultraSession>>,
+  revokeSession(id: string): Promise<void>, // Logs another device out
 
   // Master wallet list:
   +allKeys: Array<PlusultraWalletInfoFull>,
@@ -399,6 +558,8 @@ export type PlusultraAccount = {
   listWalletIds(): Array<string>,
   listSplittableWalletTypes(walletId: string): Array<string>,
   splitWalletInfo(walletId: string, newWalletType: string): Promise<string>,
+  pruneStorage(): Promise<PlusultraStorageReport>,
+  exportBackup(password: string): Promise<string>,
 
   // Currency wallets:
   +activeWalletIds: Array<string>,
@@ -407,24 +568,135 @@ export type PlusultraAccount = {
   createCurrencyWallet(
     type: string,
     opts?: PlusultraCreateCurrencyWalletOptions
-  ): Promise<PlusultraCurrencyWallet>
+  ): Promise<PlusultraCurrencyWallet>,
+  searchTransactions(query: string): Promise<Array<PlusultraTransaction>>,
+
+  // Transaction categories:
+  listCategories(): Array<PlusultraCategory>,
+  addCategory(name: string): Promise<void>,
+  deleteCategory(name: string): Promise<void>,
+  renameCategory(oldName: string, newName: string): Promise<void>,
+  setCategoryBudget(
+    name: string,
+    budget: PlusultraBudget | null
+  ): Promise<void>,
+  getCategoryTotals(
+    opts: PlusultraCategoryTotalsOptions
+  ): Promise<Array<PlusultraCategoryTotal>>
+}
+
+// A device that is logged into the account:
+export type PlusultraSession = {
+  id: string,
+  deviceName: string,
+  loginDate: Date,
+  lastSeen: Date,
+  current: boolean // True for the device making the request
+}
+
+// A transaction category, like "Expense:Food":
+export type PlusultraCategory = {
+  name: string,
+  budget?: PlusultraBudget
+}
+
+// A monthly spending limit:
+export type PlusultraBudget = {
+  amount: number,
+  fiatCurrencyCode: string // "iso:USD"
+}
+
+export type PlusultraCategoryTotalsOptions = {
+  fiatCurrencyCode: string,
+  startDate?: number, // Seconds since the epoch, inclusive
+  endDate?: number // Seconds since the epoch, exclusive
+}
+
+// The fiat value of a category's transactions, including subcategories:
+export type PlusultraCategoryTotal = {
+  name: string,
+  total: number, // Negative for spending
+  budget?: number // The monthly budget, in the report's currency
 }
 
 // Plusultra login types ---------------------------------------------------
 
 export type PlusultraLobby = {
-  loginRequest?: PlusultraLoginRequest
-  // walletRequest?: PlusultraWalletRequest
+  loginRequest?: PlusultraLoginRequest,
+  publicKeyRequest?: PlusultraPublicKeyRequest,
+  signRequest?: PlusultraSignRequest,
+  repoRequest?: PlusultraRepoRequest
 }
 
 export type PlusultraLoginRequest = {
   appId: string,
   approve(): Promise<void>,
+  reject(): Promise<void>,
 
   displayName: string,
   displayImageUrl?: string
 }
 
+// Another device wants to watch one of our wallets:
+export type PlusultraPublicKeyRequest = {
+  walletType: string,
+  approve(walletId: string): Promise<void>,
+  reject(): Promise<void>
+}
+
+// Another device wants us to sign a transaction it has prepared:
+export type PlusultraSignRequest = {
+  walletId: string,
+  transaction: PlusultraTransaction,
+  approve(): Promise<void>,
+  reject(): Promise<void>
+}
+
+// Another device wants access to one of our wallet repos:
+export type PlusultraRepoRequest = {
+  repoType: string,
+  approve(walletId: string): Promise<void>,
+  reject(): Promise<void>
+}
+
+// A request we have placed in a lobby for another device to answer:
+export type PlusultraPendingLobbyRequest = {
+  id: string, // The lobby id, for the other device's `fetchLobby`
+  cancelRequest(): void
+}
+
+export type PlusultraPublicKeyRequestOptions = {
+  walletType: string,
+  onReply(e?: Error, reply?: PlusultraPublicKeyReply): mixed
+}
+
+export type PlusultraPublicKeyReply = {
+  walletId: string,
+  walletType: string,
+  keys: Object // Public keys only
+}
+
+export type PlusultraSignRequestOptions = {
+  walletId: string,
+  transaction: PlusultraTransaction,
+  onReply(e?: Error, reply?: PlusultraSignReply): mixed
+}
+
+export type PlusultraSignReply = {
+  transaction: PlusultraTransaction // Signed, without the `wallet`
+}
+
+export type PlusultraRepoRequestOptions = {
+  repoType: string,
+  onReply(e?: Error, reply?: PlusultraRepoReply): mixed
+}
+
+export type PlusultraRepoReply = {
+  id: string,
+  type: string,
+  keys: { dataKey: string, syncKey: string }
+}
+
 // currency wallet types ----------------------------------------------
 
 export type PlusultraTokenInfo = {
@@ -437,10 +709,15 @@ export type PlusultraTokenInfo = {
 export type PlusultraGetTransactionsOptions = {
   currencyCode?: string,
   startIndex?: number,
-  startEntries?: 100,
-  startDate?: number,
-  endDate?: number,
-  searchString?: string,
+  startEntries?: number,
+  startDate?: number, // Seconds since the epoch, inclusive
+  endDate?: number, // Seconds since the epoch, exclusive
+  minAmount?: string, // Native units, ignoring the sign
+  maxAmount?: string, // Native units, ignoring the sign
+  direction?: 'sent' | 'received',
+  category?: string, // "Expense" also matches "Expense:Food"
+  searchString?: string, // Word prefixes to find in the name & notes
+  cursor?: string, // The last txid from the previous page
   returnIndex?: number,
   returnEntries?: number,
   denomination?: number
@@ -453,9 +730,11 @@ export type PlusultraCurrencyWallet = {
   +type: string,
 
   // Data store:
-  +folder: DiskletFolder,
+  +folder: PlusultraRepoFolder,
   +localFolder: DiskletFolder,
+  +syncStatus: PlusultraSyncStatus,
   sync(): Promise<void>,
+  verify(opts?: PlusultraVerifyOptions): Promise<PlusultraRepoReport>,
 
   // Wallet name:
   +name: string | null,
@@ -488,7 +767,7 @@ export type PlusultraCurrencyWallet = {
   getReceiveAddress(opts: any): Promise<PlusultraReceiveAddress>,
   saveReceiveAddress(receiveAddress: PlusultraReceiveAddress): Promise<void>,
   lockReceiveAddress(receiveAddress: PlusultraReceiveAddress): Promise<void>,
-  makeAddressQrCode(address: PlusultraReceiveAddress): string,
+  makeAddressQrCode(address: PlusultraReceiveAddress): string, // Payload
   makeAddressUri(address: PlusultraReceiveAddress): string,
   makeSpend(spendInfo: PlusultraSpendInfo): Promise<PlusultraTransaction>,
   signTx(tx: PlusultraTransaction): Promise<PlusultraTransaction>,
@@ -523,6 +802,7 @@ export type PlusultraMetadata = {
   category?: string,
   notes?: string,
   amountFiat?: number,
+  exchangeAmount?: { [fiatCurrencyCode: string]: number },
   bizId?: number,
   miscJson?: string
 }
@@ -753,6 +1033,7 @@ export type {
   PlusultraScryptFunction as AbcScryptFunction,
   PlusultraSecp256k1 as AbcSecp256k1,
   PlusultraPbkdf2 as AbcPbkdf2,
+  PlusultraSecureStorage as AbcSecureStorage,
   PlusultraRawIo as AbcRawIo,
   PlusultraIo as AbcIo,
   PlusultraCorePluginFactory as AbcCorePluginFactory,
@@ -760,21 +1041,49 @@ export type {
   PlusultraContextCallbacks as AbcContextCallbacks,
   PlusultraContextOptions as AbcContextOptions,
   PlusultraContext as AbcContext,
+  PlusultraStorageReport as AbcStorageReport,
   PlusultraExchangeSwapInfo as AbcExchangeSwapInfo,
   PlusultraPasswordRules as AbcPasswordRules,
+  PlusultraLoginLockout as AbcLoginLockout,
   PlusultraPlusultraLoginRequest as AbcPlusultraLoginRequest,
   PlusultraPlusultraLoginOptions as AbcPlusultraLoginOptions,
+  PlusultraLoginMessage as AbcLoginMessage,
   PlusultraLoginMessages as AbcLoginMessages,
   PlusultraWalletInfo as AbcWalletInfo,
   PlusultraWalletInfoFull as AbcWalletInfoFull,
   PlusultraWalletState as AbcWalletState,
   PlusultraWalletStates as AbcWalletStates,
   PlusultraAccountCallbacks as AbcAccountCallbacks,
+  PlusultraSyncConflict as AbcSyncConflict,
+  PlusultraMergeFunction as AbcMergeFunction,
+  PlusultraSyncReply as AbcSyncReply,
+  PlusultraSyncTransport as AbcSyncTransport,
+  PlusultraFileRevision as AbcFileRevision,
+  PlusultraRepoFolder as AbcRepoFolder,
+  PlusultraCorruptFile as AbcCorruptFile,
+  PlusultraRepoReport as AbcRepoReport,
+  PlusultraVerifyOptions as AbcVerifyOptions,
+  PlusultraSyncStatus as AbcSyncStatus,
   PlusultraAccountOptions as AbcAccountOptions,
   PlusultraCreateCurrencyWalletOptions as AbcCreateCurrencyWalletOptions,
   PlusultraAccount as AbcAccount,
+  PlusultraSession as AbcSession,
+  PlusultraCategory as AbcCategory,
+  PlusultraBudget as AbcBudget,
+  PlusultraCategoryTotalsOptions as AbcCategoryTotalsOptions,
+  PlusultraCategoryTotal as AbcCategoryTotal,
   PlusultraLobby as AbcLobby,
   PlusultraLoginRequest as AbcLoginRequest,
+  PlusultraPublicKeyRequest as AbcPublicKeyRequest,
+  PlusultraSignRequest as AbcSignRequest,
+  PlusultraRepoRequest as AbcRepoRequest,
+  PlusultraPendingLobbyRequest as AbcPendingLobbyRequest,
+  PlusultraPublicKeyRequestOptions as AbcPublicKeyRequestOptions,
+  PlusultraPublicKeyReply as AbcPublicKeyReply,
+  PlusultraSignRequestOptions as AbcSignRequestOptions,
+  PlusultraSignReply as AbcSignReply,
+  PlusultraRepoRequestOptions as AbcRepoRequestOptions,
+  PlusultraRepoReply as AbcRepoReply,
   PlusultraCurrencyWallet as AbcCurrencyWallet,
   PlusultraMetadata as AbcMetadata,
   PlusultraSpendTarget as AbcSpendTarget,
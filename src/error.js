@@ -19,6 +19,7 @@ export const errorNames = {
   ObsoleteApiError: 'ObsoleteApiError',
   OtpError: 'OtpError',
   PasswordError: 'PasswordError',
+  SessionRevokedError: 'SessionRevokedError',
   UsernameError: 'UsernameError',
   SameCurrencyError: 'SameCurrencyError'
 }
@@ -89,6 +90,7 @@ export function OtpError (resultsJson = {}, message = 'Invalid OTP token') {
  * - Password login: wrong password
  * - PIN login: wrong PIN
  * - Recovery login: wrong answers
+ * - Backup restore: wrong backup password
  *
  * The error object may include a `wait` member,
  * which is the number of seconds the user must wait before trying again.
@@ -100,6 +102,20 @@ export function PasswordError (resultsJson = {}, message = 'Invalid password') {
   return e
 }
 
+/**
+ * Another device revoked this device's login session.
+ *
+ * The device's saved login credentials no longer work,
+ * so the user needs to log in again with a password or recovery answers.
+ */
+export function SessionRevokedError (
+  message = 'This device has been logged out'
+) {
+  const e = new Error(message)
+  e.name = e.type = errorNames.SessionRevokedError
+  return e
+}
+
 /**
  * Cannot find a login with that id.
  *
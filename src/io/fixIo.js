@@ -38,6 +38,11 @@ export function fixIo (io: PlusultraRawIo): PlusultraIo {
     out.pbkdf2 = io.pbkdf2
   }
 
+  // Without secure storage, secrets stay in the login stash:
+  if (io.secureStorage != null) {
+    out.secureStorage = io.secureStorage
+  }
+
   // Verify that we have what we need:
   for (const key of keys) {
     if (out[key] == null) {
@@ -16,6 +16,9 @@ import {
 /**
  * Initializes the Plusultra core library,
  * defaulting to the browser if no `io` option is provided.
+ *
+ * The `encryptLoginStash` option keeps its key in `io.secureStorage`,
+ * so asking for it without secure storage throws.
  */
 export function makeContext (opts: PlusultraContextOptions): PlusultraContext {
   const coreRoot = makeCoreRoot(opts)
@@ -2,12 +2,17 @@
 
 import { assert, expect } from 'chai'
 import { describe, it } from 'mocha'
+import { createStore } from 'redux'
 
+import {
+  makeFakeCurrency,
+  makeFakeCurrencyStore
+} from '../../fake-plugins/fakeCurrency.js'
 import type { PlusultraAccount } from '../../plusultra-core-index.js'
 import { fakeUser, makeFakeContexts } from '../../plusultra-core-index.js'
-import { makeFakeCurrency } from '../../fake-plugins/fakeCurrency.js'
 import { makeAssertLog } from '../../util/assertLog.js'
 import { base64 } from '../../util/encoding.js'
+import { awaitState } from '../../util/redux/reaction.js'
 
 const contextOptions = {
   localFakeUser: true,
@@ -18,6 +23,31 @@ function findKeys (keyInfos, type) {
   return keyInfos.find(info => info.type === type)
 }
 
+/**
+ * Logs in and waits for the active currency wallets to load.
+ */
+async function loginWithWallets (store): Promise<PlusultraAccount> {
+  const [context] = makeFakeContexts({
+    localFakeUser: true,
+    plugins: [makeFakeCurrency(store)]
+  })
+
+  // Use `onKeyListChanged` to trigger checking for wallets:
+  const trigger = createStore(state => null)
+  const callbacks = {
+    onKeyListChanged () {
+      trigger.dispatch({ type: 'DUMMY' })
+    }
+  }
+  const account = await context.loginWithPIN(fakeUser.username, fakeUser.pin, {
+    callbacks
+  })
+  await awaitState(trigger, state =>
+    account.activeWalletIds.every(id => account.currencyWallets[id] != null)
+  )
+  return account
+}
+
 describe('account', function () {
   it('calls callbacks', async function () {
     const [context] = makeFakeContexts(contextOptions)
@@ -164,6 +194,127 @@ describe('account', function () {
     } catch (e) {}
   })
 
+  it('searches every wallet and token', async function () {
+    const store = makeFakeCurrencyStore()
+    const account = await loginWithWallets(store)
+    const [wallet1, wallet2] = account.activeWalletIds.map(
+      id => account.currencyWallets[id]
+    )
+
+    store.dispatch({
+      type: 'SET_TXS',
+      payload: [
+        { txid: 'a', currencyCode: 'TEST', nativeAmount: '2' },
+        { txid: 'b', currencyCode: 'TOKEN', nativeAmount: '200' }
+      ]
+    })
+    for (const wallet of [wallet1, wallet2]) {
+      await wallet.enableTokens(['TOKEN'])
+      await wallet.getTransactions({})
+      await wallet.getTransactions({ currencyCode: 'TOKEN' })
+    }
+    await wallet1.saveTxMetadata('a', 'TEST', { name: 'Alice Cafe' })
+    await wallet2.saveTxMetadata('a', 'TEST', { name: 'Bob' })
+    await wallet2.saveTxMetadata('b', 'TOKEN', { name: 'Alice Books' })
+
+    const txs = await account.searchTransactions('alice')
+    const names = txs.map(tx => {
+      const { name = '' } = tx.metadata || {}
+      return `${tx.currencyCode} ${name}`
+    })
+    expect(names.sort()).to.deep.equal(['TEST Alice Cafe', 'TOKEN Alice Books'])
+  })
+
+  it('searches archived wallets', async function () {
+    const store = makeFakeCurrencyStore()
+    const account = await loginWithWallets(store)
+    const walletInfo = account.getFirstWalletInfo('wallet:fakecoin')
+    if (!walletInfo) throw new Error('Broken test account')
+    const wallet = account.currencyWallets[walletInfo.id]
+
+    // Name a transaction, then put the wallet away:
+    store.dispatch({
+      type: 'SET_TXS',
+      payload: [{ txid: 'a', nativeAmount: '-100' }]
+    })
+    await wallet.getTransactions({})
+    await wallet.saveTxMetadata('a', 'TEST', { name: 'Alice Cafe' })
+    await account.changeWalletStates({ [walletInfo.id]: { archived: true } })
+
+    // The search still finds it in the repo:
+    const txs = await account.searchTransactions('alice')
+    expect(txs.map(tx => [tx.txid, tx.currencyCode])).to.deep.equal([
+      ['a', 'TEST']
+    ])
+    expect(txs[0].nativeAmount).to.equal('-100')
+  })
+
+  it('renames categories in archived wallets', async function () {
+    const store = makeFakeCurrencyStore()
+    const account = await loginWithWallets(store)
+    const walletInfo = account.getFirstWalletInfo('wallet:fakecoin')
+    if (!walletInfo) throw new Error('Broken test account')
+    const wallet = account.currencyWallets[walletInfo.id]
+
+    // Categorize a transaction, then put the wallet away:
+    store.dispatch({
+      type: 'SET_TXS',
+      payload: [{ txid: 'a', nativeAmount: '-100' }]
+    })
+    await wallet.getTransactions({})
+    await wallet.saveTxMetadata('a', 'TEST', {
+      category: 'Expense:Food',
+      exchangeAmount: { 'iso:USD': 5 }
+    })
+    await account.changeWalletStates({ [walletInfo.id]: { archived: true } })
+
+    // The archived wallet's tx file moves to the new name:
+    await account.renameCategory('Expense', 'Spending')
+    const totals = await account.getCategoryTotals({
+      fiatCurrencyCode: 'iso:USD'
+    })
+    expect(totals.find(total => total.name === 'Spending:Food')).to.deep.equal({
+      name: 'Spending:Food',
+      total: -5
+    })
+    expect(totals.find(total => total.name === 'Expense:Food')).to.equal(
+      undefined
+    )
+  })
+
+  it('merges repo files with the fallback', async function () {
+    const merges = []
+    const mergeFallback = (ours, theirs, path) => {
+      merges.push({ ours, theirs, path })
+      return 'merged'
+    }
+    const [context1, context2] = makeFakeContexts(
+      { ...contextOptions, mergeFallback },
+      { ...contextOptions, mergeFallback }
+    )
+    const account1 = await context1.loginWithPIN(
+      fakeUser.username,
+      fakeUser.pin
+    )
+    const account2 = await context2.loginWithPIN(
+      fakeUser.username,
+      fakeUser.pin
+    )
+    await account1.sync()
+    await account2.sync()
+
+    // Both devices edit a file the core has no rule for:
+    await account1.folder.file('Test.txt').setText('one')
+    await account2.folder.file('Test.txt').setText('two')
+    await account1.sync()
+    await account2.sync()
+
+    expect(merges).to.deep.equal([
+      { ours: 'two', theirs: 'one', path: 'Test.txt' }
+    ])
+    expect(await account2.folder.file('Test.txt').getText()).to.equal('merged')
+  })
+
   it('logout', async function () {
     const log = makeAssertLog()
     const callbacks = {
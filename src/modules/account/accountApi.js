@@ -3,13 +3,21 @@
 import type {
   PlusultraAccount,
   PlusultraAccountCallbacks,
+  PlusultraBudget,
+  PlusultraCategory,
+  PlusultraCategoryTotal,
+  PlusultraCategoryTotalsOptions,
   PlusultraCreateCurrencyWalletOptions,
   PlusultraCurrencyWallet,
   PlusultraLobby,
+  PlusultraSession,
+  PlusultraStorageReport,
+  PlusultraTransaction,
   PlusultraWalletInfo,
   PlusultraWalletStates
 } from '../../plusultra-core-index.js'
 import { copyProperties, wrapObject } from '../../util/api.js'
+import { makeOtpUri } from '../../util/crypto/hotp.js'
 import { base58 } from '../../util/encoding.js'
 import { getCurrencyPlugin } from '../currency/currency-selectors.js'
 import { makeExchangeCache } from '../exchange/exchange-api.js'
@@ -19,6 +27,12 @@ import { checkPin2 } from '../login/pin2.js'
 import type { ApiInput } from '../root.js'
 import { makeStorageWalletApi } from '../storage/storage-api.js'
 import { makeAccountState } from './accountState.js'
+import {
+  getCategoryTotals,
+  listAccountCategoryTxs,
+  renameAccountTxCategory,
+  searchAccountTxs
+} from './categories.js'
 import { makeLobbyApi } from './lobbyApi.js'
 
 /**
@@ -46,6 +60,7 @@ function makeAccountApi (
 ): PlusultraAccount {
   const ai: ApiInput = state.ai
   const { activeLoginId, keyInfo } = state
+  const { loginStore } = ai.props
 
   const exchangeCache = makeExchangeCache(ai)
 
@@ -108,13 +123,20 @@ function makeAccountApi (
 
     // Verify existing credentials:
     checkPassword (password: string): Promise<boolean> {
-      return checkPassword(ai, state.loginTree, password)
+      const { username } = state.loginTree
+      return loginStore.throttleAttempt(username, 'password', () =>
+        checkPassword(ai, state.loginTree, password)
+      )
     },
     checkPin (pin: string): Promise<boolean> {
+      const { username } = state.loginTree
+
       // Try to check the PIN locally, then fall back on the server:
-      return state.login.pin != null
-        ? Promise.resolve(pin === state.login.pin)
-        : checkPin2(ai, state.loginTree, pin)
+      const check = () =>
+        state.login.pin != null
+          ? Promise.resolve(pin === state.login.pin)
+          : checkPin2(ai, state.loginTree, pin)
+      return loginStore.throttleAttempt(username, 'pin', check)
     },
 
     // Remove credentials:
@@ -141,6 +163,17 @@ function makeAccountApi (
     enableOtp (timeout: number = 7 * 24 * 60 * 60): Promise<void> {
       return state.enableOtp(timeout)
     },
+    '@getOtpSetupUri': { sync: true },
+    getOtpSetupUri (issuer?: string): string {
+      return makeOtpUri(
+        state.getOtpSetupKey(),
+        state.loginTree.username,
+        issuer != null ? issuer : state.appId !== '' ? state.appId : 'Plusultra'
+      )
+    },
+    confirmOtp (otp: string, timeout: number = 7 * 24 * 60 * 60): Promise<void> {
+      return state.confirmOtp(otp, timeout)
+    },
     disableOtp (): Promise<void> {
       return state.disableOtp()
     },
@@ -154,6 +187,12 @@ function makeAccountApi (
     logout (): Promise<void> {
       return state.logout()
     },
+    listSessions (): Promise<Array<PlusultraSession>> {
+      return state.listSessions()
+    },
+    revokeSession (id: string): Promise<void> {
+      return state.revokeSession(id)
+    },
 
     // Master wallet list:
     get allKeys (): Array<any> {
@@ -193,6 +232,12 @@ function makeAccountApi (
     listSplittableWalletTypes (walletId: string): Array<string> {
       return state.listSplittableWalletTypes(walletId)
     },
+    pruneStorage (): Promise<PlusultraStorageReport> {
+      return state.pruneStorage()
+    },
+    exportBackup (password: string): Promise<string> {
+      return state.exportBackup(password)
+    },
 
     // Currency wallets:
     get activeWalletIds (): Array<string> {
@@ -219,6 +264,39 @@ function makeAccountApi (
       opts?: PlusultraCreateCurrencyWalletOptions = {}
     ): Promise<PlusultraCurrencyWallet> {
       return state.createCurrencyWallet(type, opts)
+    },
+    searchTransactions (query: string): Promise<Array<PlusultraTransaction>> {
+      return searchAccountTxs(ai, activeLoginId, query)
+    },
+
+    // Transaction categories:
+    '@listCategories': { sync: true },
+    listCategories (): Array<PlusultraCategory> {
+      return state.categories
+    },
+    addCategory (name: string): Promise<void> {
+      return state.addCategory(name)
+    },
+    deleteCategory (name: string): Promise<void> {
+      return state.deleteCategory(name)
+    },
+    async renameCategory (oldName: string, newName: string): Promise<void> {
+      await state.renameCategory(oldName, newName)
+
+      // Move the existing transactions over as well:
+      await renameAccountTxCategory(ai, activeLoginId, oldName, newName)
+    },
+    setCategoryBudget (
+      name: string,
+      budget: PlusultraBudget | null
+    ): Promise<void> {
+      return state.setCategoryBudget(name, budget)
+    },
+    async getCategoryTotals (
+      opts: PlusultraCategoryTotalsOptions
+    ): Promise<Array<PlusultraCategoryTotal>> {
+      const txs = await listAccountCategoryTxs(ai, activeLoginId, opts)
+      return getCategoryTotals(txs, state.categories, exchangeCache, opts)
     }
   }
 
@@ -1,12 +1,15 @@
 import { base32 } from 'rfc4648'
 
-import { fixOtpKey } from '../../util/crypto/hotp.js'
+import { OtpError, errorNames } from '../../error.js'
+import { findTotpStep, fixOtpKey } from '../../util/crypto/hotp.js'
 import { createReaction } from '../../util/redux/reaction.js'
 import {
   getCurrencyPlugin,
   waitForCurrencyPlugins,
   waitForCurrencyWallet
 } from '../currency/currency-selectors.js'
+import { matchCategory } from '../currency/wallet/currency-wallet-index.js'
+import { makeBackup } from '../login/backup.js'
 import { makeCreateKit } from '../login/create.js'
 import {
   findFirstKey,
@@ -21,11 +24,23 @@ import { applyKit, searchTree, syncLogin } from '../login/login.js'
 import { makePasswordKit } from '../login/password.js'
 import { makeChangePin2Kits, makeDeletePin2Kits } from '../login/pin2.js'
 import { makeRecovery2Kit } from '../login/recovery2.js'
+import {
+  listSessions,
+  registerSession,
+  revokeSession
+} from '../login/sessions.js'
 import {
   addStorageWallet,
   syncStorageWallet
 } from '../storage/storage-actions.js'
+import { compactStorage, saveStorageIndex } from '../storage/storage-compact.js'
 import { getStorageWalletLastChanges } from '../storage/storage-selectors.js'
+import {
+  changeCategoryFiles,
+  listCategories,
+  loadCategoryFiles,
+  renameCategory
+} from './categories.js'
 import { changeKeyStates, loadAllKeyStates } from './keyState.js'
 
 export function findAppLogin (loginTree, appId) {
@@ -103,6 +118,8 @@ class AccountState {
     this.login = findAppLogin(loginTree, this.appId)
     this.legacyKeyInfos = []
     this.keyStates = {}
+    this.categoryFiles = {}
+    this.pendingOtpKey = null
 
     // Add the login to redux:
     const { dispatch } = ai.props
@@ -126,18 +143,11 @@ class AccountState {
     //   payload: { activeLoginId, walletInfos: this.allKeys }
     // })
 
-    this.startTimer()
-  }
-
-  startTimer () {
-    setTimeout(() => {
-      // If we are logged out, do nothing!
-      if (!this.login) return
-
-      syncStorageWallet(this.ai, this.keyInfo.id)
-        .then(changes => this.startTimer())
-        .catch(e => this.startTimer())
-    }, 30000)
+    // Keep the account repo in sync:
+    const { syncScheduler } = ai.props
+    this.stopSync = syncScheduler.register(keyInfo.id, () =>
+      syncStorageWallet(ai, keyInfo.id)
+    )
   }
 
   async onDataChanged (changes) {
@@ -145,6 +155,7 @@ class AccountState {
     if (!this.login) return
 
     await this.reloadKeyStates()
+    await this.reloadCategories()
     if (this.callbacks.onKeyListChanged) {
       this.callbacks.onKeyListChanged()
     }
@@ -157,6 +168,7 @@ class AccountState {
 
     // Shut down:
     dispatch(this.disposer)
+    this.stopSync()
     this.ai = null
 
     // Clear keys:
@@ -166,18 +178,15 @@ class AccountState {
     this.login = null
     this.legacyKeyInfos = null
     this.keyStates = null
+    this.categoryFiles = null
+    this.pendingOtpKey = null
 
     if (this.callbacks.onLoggedOut) this.callbacks.onLoggedOut()
   }
 
-  enableOtp (otpTimeout) {
-    const { ai } = this
+  enableOtp (otpTimeout, otpKey = this.getOtpSetupKey()) {
     const login = this.loginTree
     checkLogin(login)
-    const otpKey =
-      login.otpKey != null
-        ? fixOtpKey(login.otpKey)
-        : base32.stringify(ai.props.io.random(10))
 
     const kit = {
       serverPath: '/v2/login/otp',
@@ -197,7 +206,51 @@ class AccountState {
       },
       loginId: login.loginId
     }
-    return this.applyKit(kit)
+    return this.applyKit(kit).then(() => {
+      this.pendingOtpKey = null
+    })
+  }
+
+  /**
+   * Returns the OTP key the user should put in their authenticator app.
+   * If OTP is off, this makes a new key, which `enableOtp` will use.
+   */
+  getOtpSetupKey () {
+    const { ai } = this
+    const login = this.loginTree
+    checkLogin(login)
+    if (login.otpKey != null) return fixOtpKey(login.otpKey)
+
+    if (this.pendingOtpKey == null) {
+      this.pendingOtpKey = base32.stringify(ai.props.io.random(10))
+    }
+    return this.pendingOtpKey
+  }
+
+  /**
+   * Turns on OTP once the user proves their authenticator app has the key.
+   */
+  confirmOtp (otp, otpTimeout) {
+    const { ai } = this
+    const { loginStore } = ai.props
+    const login = this.loginTree
+    checkLogin(login)
+    const otpKey = this.getOtpSetupKey()
+
+    // The user's authenticator app probably agrees with the server's clock.
+    // Saving the step means the code only works once:
+    const { clockOffset } = ai.props.state.login.server
+    return loginStore
+      .saveOtpStep(login.loginId, lastStep => {
+        const step = findTotpStep(otpKey, otp, {
+          now: Date.now() / 1000 + (clockOffset || 0),
+          window: loginStore.otpWindow,
+          lastStep
+        })
+        if (step == null) throw new OtpError({}, 'The OTP code does not match')
+        return step
+      })
+      .then(() => this.enableOtp(otpTimeout, otpKey))
   }
 
   disableOtp () {
@@ -385,6 +438,7 @@ class AccountState {
         type: 'ACCOUNT_KEYS_LOADED',
         payload: { activeLoginId, walletInfos: this.allKeys }
       })
+      this.saveStorageIndex().catch(e => ai.props.onError(e))
 
       if (this.callbacks.onKeyListChanged) {
         this.callbacks.onKeyListChanged()
@@ -405,28 +459,127 @@ class AccountState {
         type: 'ACCOUNT_KEYS_LOADED',
         payload: { activeLoginId, walletInfos: this.allKeys }
       })
+      this.saveStorageIndex().catch(e => ai.props.onError(e))
 
       return this
     })
   }
 
-  syncLogin () {
-    const { ai, loginTree, login } = this
-    return syncLogin(ai, loginTree, login).then(loginTree => {
-      this.loginTree = loginTree
-      this.login = findAppLogin(loginTree, this.appId)
+  /**
+   * Records which repos this login uses, so compaction knows what to keep.
+   */
+  saveStorageIndex () {
+    const { ai, loginTree } = this
+    return saveStorageIndex(ai, loginTree.loginId, this.allKeys)
+  }
 
-      // Update the key list in case something changed:
-      const { activeLoginId, ai } = this
-      ai.props.dispatch({
-        type: 'ACCOUNT_KEYS_LOADED',
-        payload: { activeLoginId, walletInfos: this.allKeys }
-      })
+  async pruneStorage () {
+    await this.saveStorageIndex()
+    return compactStorage(this.ai)
+  }
 
-      return this
+  get categories () {
+    return listCategories(this.categoryFiles)
+  }
+
+  changeCategories (changes) {
+    const { ai, keyInfo, categoryFiles } = this
+    return changeCategoryFiles(
+      ai.props.state,
+      keyInfo.id,
+      categoryFiles,
+      changes
+    ).then(categoryFiles => {
+      this.categoryFiles = categoryFiles
     })
   }
 
+  reloadCategories () {
+    const { ai, keyInfo } = this
+    return loadCategoryFiles(ai.props.state, keyInfo.id).then(categoryFiles => {
+      this.categoryFiles = categoryFiles
+    })
+  }
+
+  addCategory (name) {
+    const file = this.categoryFiles[name]
+    return this.changeCategories([{ ...file, name, deleted: false }])
+  }
+
+  /**
+   * Deletes a category, along with its subcategories.
+   */
+  deleteCategory (name) {
+    const changes = this.categories
+      .filter(category => matchCategory(category.name, name))
+      .map(category => ({ ...category, deleted: true }))
+    return this.changeCategories(changes)
+  }
+
+  /**
+   * Renames a category, along with its subcategories.
+   * This only touches the registry, so the caller should fix the txs.
+   */
+  renameCategory (oldName, newName) {
+    const changes = []
+    for (const category of this.categories) {
+      if (!matchCategory(category.name, oldName)) continue
+      const name = renameCategory(category.name, oldName, newName)
+      if (name === category.name) continue
+      changes.push({ name: category.name, deleted: true })
+      changes.push({ ...category, name, deleted: false })
+    }
+    return this.changeCategories(changes)
+  }
+
+  setCategoryBudget (name, budget) {
+    const file = { ...this.categoryFiles[name], name, deleted: false }
+    if (budget != null) file.budget = budget
+    else delete file.budget
+    return this.changeCategories([file])
+  }
+
+  listSessions () {
+    const { ai, login } = this
+    return listSessions(ai, login)
+  }
+
+  revokeSession (id) {
+    const { ai, login } = this
+    return revokeSession(ai, login, id).then(() => {})
+  }
+
+  exportBackup (password) {
+    const { ai, loginTree } = this
+    return makeBackup(ai, loginTree.username, this.allKeys, password)
+  }
+
+  syncLogin () {
+    const { ai, loginTree, login } = this
+    return syncLogin(ai, loginTree, login).then(
+      loginTree => {
+        this.loginTree = loginTree
+        this.login = findAppLogin(loginTree, this.appId)
+
+        // Update the key list in case something changed:
+        const { activeLoginId, ai } = this
+        ai.props.dispatch({
+          type: 'ACCOUNT_KEYS_LOADED',
+          payload: { activeLoginId, walletInfos: this.allKeys }
+        })
+
+        return this
+      },
+      async e => {
+        // Another device revoked this one, so we are logged out:
+        if (e.name === errorNames.SessionRevokedError && this.ai != null) {
+          await this.logout()
+        }
+        throw e
+      }
+    )
+  }
+
   async createCurrencyWallet (type, opts) {
     const { ai, login } = this
 
@@ -579,6 +732,9 @@ export async function makeAccountState (ai, appId, loginTree, callbacks) {
         )
       )
       account.disposer = disposer
+
+      // Older auth servers don't track sessions, so this can fail:
+      registerSession(ai, account.login).catch(e => ai.props.io.console.warn(e))
       return disposer.payload.out.then(() => account)
     })
   })
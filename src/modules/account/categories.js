@@ -0,0 +1,433 @@
+// @flow
+
+import { mapFiles } from 'disklet'
+
+import type {
+  PlusultraBudget,
+  PlusultraCategory,
+  PlusultraCategoryTotal,
+  PlusultraCategoryTotalsOptions,
+  PlusultraCurrencyWallet,
+  PlusultraTransaction,
+  PlusultraWalletInfo
+} from '../../plusultra-core-index.js'
+import {
+  getCurrencyInfo,
+  waitForCurrencyWallet
+} from '../currency/currency-selectors.js'
+import {
+  editRepoTxMetadata,
+  readRepoTxFiles
+} from '../currency/wallet/currency-wallet-files.js'
+import {
+  makeTxIndexEntry,
+  matchCategory,
+  matchSearch
+} from '../currency/wallet/currency-wallet-index.js'
+import type { ApiInput } from '../root.js'
+import { addStorageWallet } from '../storage/storage-actions.js'
+import {
+  getStorageWalletFolder,
+  hashStorageWalletFilename
+} from '../storage/storage-selectors.js'
+
+/**
+ * A category as saved in the account repo.
+ * Deleted categories leave a file behind,
+ * so the defaults and other devices don't bring them back.
+ */
+export type CategoryFile = {
+  name: string,
+  budget?: PlusultraBudget,
+  deleted: boolean
+}
+
+export type CategoryFiles = { [name: string]: CategoryFile }
+
+// Every account starts out with these:
+const defaultCategories = [
+  'Expense:Entertainment',
+  'Expense:Food & Dining',
+  'Expense:Groceries',
+  'Expense:Shopping',
+  'Expense:Transportation',
+  'Expense:Travel',
+  'Expense:Utilities',
+  'Income:Gifts',
+  'Income:Salary',
+  'Income:Sales',
+  'Transfer:Exchange',
+  'Transfer:Wallet'
+]
+
+/**
+ * Loads the category files from the account folder.
+ */
+export function loadCategoryFiles (
+  state: any,
+  keyId: string
+): Promise<CategoryFiles> {
+  const folder = getStorageWalletFolder(state, keyId).folder('Categories')
+
+  return mapFiles(folder, file =>
+    file
+      .getText()
+      .then(text => JSON.parse(text))
+      .catch(e => void 0)
+  ).then(files => {
+    const out: CategoryFiles = {}
+    for (const file of files) {
+      if (file != null && typeof file.name === 'string') out[file.name] = file
+    }
+    return out
+  })
+}
+
+/**
+ * Writes some category files to the account folder,
+ * and returns the combined list.
+ */
+export function changeCategoryFiles (
+  state: any,
+  keyId: string,
+  files: CategoryFiles,
+  changes: Array<CategoryFile>
+): Promise<CategoryFiles> {
+  const folder = getStorageWalletFolder(state, keyId).folder('Categories')
+
+  return Promise.all(
+    changes.map(file => {
+      const nameHash = hashStorageWalletFilename(state, keyId, file.name)
+      return folder.file(`${nameHash}.json`).setText(JSON.stringify(file))
+    })
+  ).then(() => {
+    const out = { ...files }
+    for (const file of changes) out[file.name] = file
+    return out
+  })
+}
+
+/**
+ * Merges the saved categories with the defaults.
+ */
+export function listCategories (files: CategoryFiles): Array<PlusultraCategory> {
+  const names = [
+    ...defaultCategories.filter(name => files[name] == null),
+    ...Object.keys(files)
+  ]
+
+  const out: Array<PlusultraCategory> = []
+  for (const name of names.sort()) {
+    const file = files[name]
+    if (file == null) {
+      out.push({ name })
+    } else if (!file.deleted) {
+      out.push(file.budget != null ? { name, budget: file.budget } : { name })
+    }
+  }
+  return out
+}
+
+/**
+ * Swaps the start of a category name,
+ * so renaming "Expense" turns "Expense:Food" into "Spending:Food".
+ */
+export function renameCategory (
+  category: string,
+  oldName: string,
+  newName: string
+) {
+  return newName + category.slice(oldName.length)
+}
+
+/**
+ * A categorized transaction, from either a wallet or its repo.
+ */
+type CategoryTx = {
+  category: string,
+  exchangeAmount: { [fiatCurrencyCode: string]: number },
+  nativeAmount?: string
+}
+
+/**
+ * Visits every wallet that can hold categorized transactions.
+ * Active wallets come back as API objects once they load,
+ * while archived wallets have no engine, so we load their repos instead.
+ */
+async function forEachTxWallet<T> (
+  ai: ApiInput,
+  activeLoginId: string,
+  onWallet: (wallet: PlusultraCurrencyWallet) => Promise<T>,
+  onRepo: (walletInfo: PlusultraWalletInfo) => Promise<T>
+): Promise<Array<T>> {
+  const { logins } = ai.props.state.login
+  const { allWalletInfos, currencyWalletIds } = logins[activeLoginId]
+
+  const out: Array<T> = []
+  for (const walletId of currencyWalletIds) {
+    const walletInfo = allWalletInfos[walletId]
+
+    // The repo still works if the engine fails to start:
+    const wallet = walletInfo.archived
+      ? void 0
+      : await waitForCurrencyWallet(ai, walletId).catch(e => void 0)
+    if (wallet != null) {
+      out.push(await onWallet(wallet))
+      continue
+    }
+
+    if (ai.props.state.storageWallets[walletId] == null) {
+      await addStorageWallet(ai, walletInfo)
+    }
+    out.push(await onRepo(walletInfo))
+  }
+  return out
+}
+
+/**
+ * Moves a wallet's transactions from one category to another,
+ * including any subcategories.
+ */
+export async function renameTxCategory (
+  wallet: PlusultraCurrencyWallet,
+  oldName: string,
+  newName: string
+): Promise<void> {
+  const currencyCodes = [
+    wallet.currencyInfo.currencyCode,
+    ...(await wallet.getEnabledTokens())
+  ]
+
+  for (const currencyCode of currencyCodes) {
+    const txs = await wallet.getTransactions({
+      currencyCode,
+      category: oldName
+    })
+    for (const tx of txs) {
+      const { category = '' } = tx.metadata || {}
+      await wallet.saveTxMetadata(tx.txid, currencyCode, {
+        category: renameCategory(category, oldName, newName)
+      })
+    }
+  }
+}
+
+/**
+ * Moves the transactions in every wallet on the account,
+ * including archived ones, from one category to another.
+ */
+export async function renameAccountTxCategory (
+  ai: ApiInput,
+  activeLoginId: string,
+  oldName: string,
+  newName: string
+): Promise<void> {
+  await forEachTxWallet(
+    ai,
+    activeLoginId,
+    wallet => renameTxCategory(wallet, oldName, newName),
+    walletInfo =>
+      editRepoTxMetadata(ai.props.state, walletInfo.id, metadata => {
+        const { category } = metadata
+        if (typeof category !== 'string') return false
+        if (!matchCategory(category, oldName)) return false
+        metadata.category = renameCategory(category, oldName, newName)
+        return true
+      })
+  )
+}
+
+/**
+ * Lists the categorized transactions in every wallet on the account,
+ * including archived ones.
+ */
+export async function listAccountCategoryTxs (
+  ai: ApiInput,
+  activeLoginId: string,
+  opts: PlusultraCategoryTotalsOptions
+): Promise<Array<CategoryTx>> {
+  const { startDate, endDate } = opts
+
+  const lists = await forEachTxWallet(
+    ai,
+    activeLoginId,
+    async wallet => {
+      const currencyCodes = [
+        wallet.currencyInfo.currencyCode,
+        ...(await wallet.getEnabledTokens())
+      ]
+
+      const out: Array<CategoryTx> = []
+      for (const currencyCode of currencyCodes) {
+        const txs = await wallet.getTransactions({
+          currencyCode,
+          startDate,
+          endDate
+        })
+        for (const tx of txs) {
+          const { category = '', exchangeAmount = {} } = tx.metadata || {}
+          out.push({ category, exchangeAmount, nativeAmount: tx.nativeAmount })
+        }
+      }
+      return out
+    },
+    async walletInfo => {
+      const { state } = ai.props
+      const { currencyCode } = getCurrencyInfo(
+        state.currency.infos,
+        walletInfo.type
+      )
+      const files = await readRepoTxFiles(state, walletInfo.id, currencyCode)
+
+      const out: Array<CategoryTx> = []
+      for (const file of files) {
+        const date = file.creationDate
+        if (startDate != null && date < startDate) continue
+        if (endDate != null && date >= endDate) continue
+
+        for (const code of Object.keys(file.currencies)) {
+          const { metadata = {}, nativeAmount } = file.currencies[code]
+          const { category = '', exchangeAmount = {} } = metadata
+          out.push({ category, exchangeAmount, nativeAmount })
+        }
+      }
+      return out
+    }
+  )
+
+  const out: Array<CategoryTx> = []
+  for (const list of lists) out.push(...list)
+  return out
+}
+
+/**
+ * Searches the transaction names & notes in every wallet on the account,
+ * including archived ones, newest first.
+ */
+export async function searchAccountTxs (
+  ai: ApiInput,
+  activeLoginId: string,
+  searchString: string
+): Promise<Array<PlusultraTransaction>> {
+  const lists = await forEachTxWallet(
+    ai,
+    activeLoginId,
+    async wallet => {
+      // Each wallet searches its own index, including any tokens:
+      const currencyCodes = [
+        wallet.currencyInfo.currencyCode,
+        ...(await wallet.getEnabledTokens())
+      ]
+
+      const out: Array<PlusultraTransaction> = []
+      for (const currencyCode of currencyCodes) {
+        out.push(
+          ...(await wallet.getTransactions({ currencyCode, searchString }))
+        )
+      }
+      return out
+    },
+    async walletInfo => {
+      const { state } = ai.props
+      const { currencyCode } = getCurrencyInfo(
+        state.currency.infos,
+        walletInfo.type
+      )
+      const files = await readRepoTxFiles(state, walletInfo.id, currencyCode)
+
+      // Without an engine, the repo only knows the metadata:
+      const out: Array<PlusultraTransaction> = []
+      for (const file of files) {
+        const entry = makeTxIndexEntry(file)
+        for (const code of Object.keys(file.currencies)) {
+          if (!matchSearch(entry.currencies[code].text, searchString)) continue
+
+          const { metadata, nativeAmount = '0' } = file.currencies[code]
+          out.push({
+            txid: file.txid,
+            date: file.creationDate,
+            currencyCode: code,
+            blockHeight: 0,
+            nativeAmount,
+            networkFee: '0',
+            ourReceiveAddresses: [],
+            signedTx: '',
+            metadata,
+            otherParams: {}
+          })
+        }
+      }
+      return out
+    }
+  )
+
+  const out: Array<PlusultraTransaction> = []
+  for (const list of lists) out.push(...list)
+  return out.sort((a, b) => b.date - a.date)
+}
+
+/**
+ * Adds up the fiat value of each category across all the transactions.
+ * Parent categories like "Expense" include their subcategories.
+ */
+export function getCategoryTotals (
+  txs: Array<CategoryTx>,
+  categories: Array<PlusultraCategory>,
+  exchangeCache: Object,
+  opts: PlusultraCategoryTotalsOptions
+): Array<PlusultraCategoryTotal> {
+  const { fiatCurrencyCode } = opts
+
+  function toFiat (amount: number, currencyCode: string): number {
+    return currencyCode === fiatCurrencyCode
+      ? amount
+      : exchangeCache.convertCurrency(currencyCode, fiatCurrencyCode, amount)
+  }
+
+  // Total up the transactions with exactly each category:
+  const sums: { [category: string]: number } = {}
+  for (const tx of txs) {
+    const { category, exchangeAmount } = tx
+    if (category === '') continue
+
+    // Prefer the amount saved in our currency, but convert if needed:
+    const [savedFiat] = Object.keys(exchangeAmount)
+    const amount =
+      exchangeAmount[fiatCurrencyCode] != null
+        ? exchangeAmount[fiatCurrencyCode]
+        : savedFiat != null ? toFiat(exchangeAmount[savedFiat], savedFiat) : 0
+
+    // Apps don't agree on the sign, so use the transaction's.
+    // Legacy files have no native amount, but their fiat amount is signed:
+    const { nativeAmount = String(amount) } = tx
+    const sign = /^-/.test(nativeAmount) ? -1 : 1
+    sums[category] = (sums[category] || 0) + sign * Math.abs(amount)
+  }
+
+  // Report every category we know about, along with its parents:
+  const budgets: { [name: string]: PlusultraBudget | void } = {}
+  for (const category of categories) budgets[category.name] = category.budget
+  const names: { [name: string]: true } = {}
+  for (const name of [...Object.keys(budgets), ...Object.keys(sums)]) {
+    const parts = name.split(':')
+    for (let i = 1; i <= parts.length; ++i) {
+      names[parts.slice(0, i).join(':')] = true
+    }
+  }
+
+  return Object.keys(names)
+    .sort()
+    .map(name => {
+      let total = 0
+      for (const category of Object.keys(sums)) {
+        if (matchCategory(category, name)) total += sums[category]
+      }
+
+      const out: PlusultraCategoryTotal = { name, total }
+      const budget = budgets[name]
+      if (budget != null) {
+        out.budget = toFiat(budget.amount, budget.fiatCurrencyCode)
+      }
+      return out
+    })
+}
@@ -0,0 +1,80 @@
+// @flow
+
+import { expect } from 'chai'
+import { describe, it } from 'mocha'
+
+import {
+  getCategoryTotals,
+  listCategories,
+  renameCategory
+} from './categories.js'
+
+const fakeExchangeCache = {
+  convertCurrency (fromCurrency, toCurrency, amount) {
+    return fromCurrency === 'iso:EUR' ? amount * 2 : amount
+  }
+}
+
+describe('categories', function () {
+  it('merges saved categories with the defaults', function () {
+    const budget = { amount: 100, fiatCurrencyCode: 'iso:USD' }
+    const categories = listCategories({
+      'Expense:Groceries': { name: 'Expense:Groceries', deleted: true },
+      'Expense:Pets': { name: 'Expense:Pets', budget, deleted: false }
+    })
+    const names = categories.map(category => category.name)
+
+    expect(names).to.include('Expense:Travel')
+    expect(names).to.not.include('Expense:Groceries')
+    expect(categories.find(c => c.name === 'Expense:Pets')).to.deep.equal({
+      name: 'Expense:Pets',
+      budget
+    })
+  })
+
+  it('renames subcategories', function () {
+    expect(renameCategory('Expense:Food', 'Expense', 'Spending')).to.equal(
+      'Spending:Food'
+    )
+  })
+
+  it('adds up category totals', function () {
+    const txs = [
+      {
+        category: 'Expense:Food',
+        exchangeAmount: { 'iso:USD': 5 },
+        nativeAmount: '-100'
+      },
+      {
+        category: 'Expense:Rent',
+        exchangeAmount: { 'iso:EUR': 10 },
+        nativeAmount: '-100'
+      },
+      {
+        category: 'Income:Salary',
+        exchangeAmount: { 'iso:USD': 30 },
+        nativeAmount: '300'
+      },
+      // Legacy files only have a signed fiat amount:
+      { category: 'Expense:Food', exchangeAmount: { 'iso:USD': -1 } },
+      { category: '', exchangeAmount: { 'iso:USD': 99 }, nativeAmount: '1' }
+    ]
+    const categories = [
+      {
+        name: 'Expense:Food',
+        budget: { amount: 4, fiatCurrencyCode: 'iso:EUR' }
+      }
+    ]
+
+    const totals = getCategoryTotals(txs, categories, fakeExchangeCache, {
+      fiatCurrencyCode: 'iso:USD'
+    })
+    expect(totals).to.deep.equal([
+      { name: 'Expense', total: -26 },
+      { name: 'Expense:Food', total: -6, budget: 8 },
+      { name: 'Expense:Rent', total: -20 },
+      { name: 'Income', total: 30 },
+      { name: 'Income:Salary', total: 30 }
+    ])
+  })
+})
@@ -1,14 +1,41 @@
 // @flow
 
-import type { PlusultraLobby, PlusultraLoginRequest } from '../../plusultra-core-index.js'
+import type {
+  PlusultraLobby,
+  PlusultraWalletInfo
+} from '../../plusultra-core-index.js'
 import { wrapObject } from '../../util/api.js'
 import { base64 } from '../../util/encoding.js'
-import { fetchLobbyRequest, sendLobbyReply } from '../login/lobby.js'
-import type { LobbyRequest } from '../login/lobby.js'
+import {
+  getCurrencyPlugin,
+  waitForCurrencyPlugins,
+  waitForCurrencyWallet
+} from '../currency/currency-selectors.js'
+import {
+  checkLobbySchema,
+  fetchLobbyRequest,
+  sendLobbyReply
+} from '../login/lobby.js'
+import type { LobbyRequest, LobbySchema } from '../login/lobby.js'
 import { sanitizeLoginStash } from '../login/login.js'
 import type { ApiInput } from '../root.js'
 import { ensureAccountExists, findAppLogin } from './accountState.js'
 
+/**
+ * Describes one kind of request another device can place in a lobby.
+ * Supporting a new kind of request only takes a new entry in the table below.
+ */
+type LobbyRequestType = {
+  name: string, // For `wrapObject`
+  schema: LobbySchema, // Required fields
+  makeApi(
+    ai: ApiInput,
+    lobbyId: string,
+    lobbyJson: LobbyRequest,
+    accountState: any
+  ): Promise<Object>
+}
+
 interface AppIdInfo {
   displayName: string;
   displayImageUrl?: string;
@@ -59,10 +86,12 @@ async function approveLoginRequest (
   }
 
   // Create a sanitized login stash object:
-  const stashTree = await ai.props.loginStore.load(
-    accountState.loginTree.username
+  const { loginStore } = ai.props
+  const stashTree = await loginStore.load(accountState.loginTree.username)
+  const loginStash = await loginStore.exportStash(
+    sanitizeLoginStash(stashTree, appId),
+    'Log in to another app'
   )
-  const loginStash = sanitizeLoginStash(stashTree, appId)
 
   // Send the reply:
   const replyData = {
@@ -86,8 +115,156 @@ async function approveLoginRequest (
   })
 }
 
+/**
+ * Finds one of the account's wallets, making sure it has the right type.
+ */
+function findWallet (
+  accountState: any,
+  walletId: string,
+  type?: string
+): PlusultraWalletInfo {
+  const walletInfo = accountState.allKeys.find(
+    walletInfo => walletInfo.id === walletId
+  )
+  if (walletInfo == null || (type != null && walletInfo.type !== type)) {
+    throw new Error(`No ${type || 'matching'} wallet with id ${walletId}`)
+  }
+  return walletInfo
+}
+
+async function makeLoginRequestApi (
+  ai: ApiInput,
+  lobbyId: string,
+  lobbyJson: LobbyRequest,
+  accountState: any
+): Promise<Object> {
+  const { appId } = lobbyJson.loginRequest
+  const { displayName, displayImageUrl } = await fetchAppIdInfo(ai, appId)
+
+  const out: Object = {
+    appId,
+    displayName,
+    approve () {
+      return approveLoginRequest(ai, appId, lobbyId, lobbyJson, accountState)
+    }
+  }
+  if (displayImageUrl) out.displayImageUrl = displayImageUrl
+  return out
+}
+
+/**
+ * Hands out a wallet's public keys, so another device can watch it.
+ */
+async function makePublicKeyRequestApi (
+  ai: ApiInput,
+  lobbyId: string,
+  lobbyJson: LobbyRequest,
+  accountState: any
+): Promise<Object> {
+  const { walletType } = lobbyJson.publicKeyRequest
+
+  return {
+    walletType,
+    async approve (walletId: string) {
+      const walletInfo = findWallet(accountState, walletId, walletType)
+      const plugins = await waitForCurrencyPlugins(ai)
+      const plugin = getCurrencyPlugin(plugins, walletType)
+      const keys = plugin.derivePublicKey(walletInfo)
+      return sendLobbyReply(ai, lobbyId, lobbyJson, {
+        walletId,
+        walletType,
+        keys
+      })
+    }
+  }
+}
+
+/**
+ * Signs a transaction that another device has prepared.
+ */
+async function makeSignRequestApi (
+  ai: ApiInput,
+  lobbyId: string,
+  lobbyJson: LobbyRequest,
+  accountState: any
+): Promise<Object> {
+  const { walletId, transaction } = lobbyJson.signRequest
+
+  return {
+    walletId,
+    transaction,
+    async approve () {
+      findWallet(accountState, walletId)
+      const wallet = await waitForCurrencyWallet(ai, walletId)
+      const signedTx = { ...(await wallet.signTx(transaction)) }
+      delete signedTx.wallet // The API object can't go over the wire
+      return sendLobbyReply(ai, lobbyId, lobbyJson, { transaction: signedTx })
+    }
+  }
+}
+
+/**
+ * Shares a wallet's storage keys, but not its private keys.
+ */
+async function makeRepoRequestApi (
+  ai: ApiInput,
+  lobbyId: string,
+  lobbyJson: LobbyRequest,
+  accountState: any
+): Promise<Object> {
+  const { repoType } = lobbyJson.repoRequest
+
+  return {
+    repoType,
+    approve (walletId: string) {
+      const { id, type, keys } = findWallet(accountState, walletId, repoType)
+      const { dataKey, syncKey } = keys
+      if (dataKey == null || syncKey == null) {
+        throw new Error(`Wallet ${walletId} has no storage keys`)
+      }
+      return sendLobbyReply(ai, lobbyId, lobbyJson, {
+        id,
+        type,
+        keys: { dataKey, syncKey }
+      })
+    }
+  }
+}
+
+const lobbyRequestTypes: { [key: string]: LobbyRequestType } = {
+  loginRequest: {
+    name: 'LoginRequest',
+    schema: { appId: 'string' },
+    makeApi: makeLoginRequestApi
+  },
+  publicKeyRequest: {
+    name: 'PublicKeyRequest',
+    schema: { walletType: 'string' },
+    makeApi: makePublicKeyRequestApi
+  },
+  signRequest: {
+    name: 'SignRequest',
+    schema: { walletId: 'string', transaction: 'object' },
+    makeApi: makeSignRequestApi
+  },
+  repoRequest: {
+    name: 'RepoRequest',
+    schema: { repoType: 'string' },
+    makeApi: makeRepoRequestApi
+  }
+}
+
+/**
+ * Verifies that an incoming request has the fields its type requires.
+ */
+export function checkLobbyRequest (key: string, json: mixed) {
+  checkLobbySchema(key, lobbyRequestTypes[key].schema, json)
+}
+
 /**
  * Fetches the contents of a lobby and returns them as an PlusultraLobby API.
+ * Every request type also gets a `reject` method,
+ * which tells the other device we said no.
  */
 export async function makeLobbyApi (
   ai: ApiInput,
@@ -99,24 +276,16 @@ export async function makeLobbyApi (
   // Look up the lobby on the server:
   const lobbyJson: LobbyRequest = await fetchLobbyRequest(ai, lobbyId)
 
-  // If the lobby has a login request, set up that API:
-  if (lobbyJson.loginRequest) {
-    const appId = lobbyJson.loginRequest.appId
-    if (typeof appId !== 'string') throw new TypeError('Invalid login request')
-    const { displayName, displayImageUrl } = await fetchAppIdInfo(ai, appId)
-
-    // Make the API:
-    const rawLoginRequest: PlusultraLoginRequest = {
-      appId,
-      displayName,
-      approve () {
-        return approveLoginRequest(ai, appId, lobbyId, lobbyJson, accountState)
-      }
-    }
-    if (displayImageUrl) rawLoginRequest.displayImageUrl = displayImageUrl
+  // Set up an API for each request the lobby contains:
+  for (const key of Object.keys(lobbyRequestTypes)) {
+    if (lobbyJson[key] == null) continue
+    checkLobbyRequest(key, lobbyJson[key])
 
-    // Wrap the API:
-    lobbyApi.loginRequest = wrapObject('LoginRequest', rawLoginRequest)
+    const { name, makeApi } = lobbyRequestTypes[key]
+    const api = await makeApi(ai, lobbyId, lobbyJson, accountState)
+    api.reject = () =>
+      sendLobbyReply(ai, lobbyId, lobbyJson, { rejected: true })
+    lobbyApi[key] = wrapObject(name, api)
   }
 
   return wrapObject('Lobby', lobbyApi)
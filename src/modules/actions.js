@@ -3,9 +3,11 @@
 import type {
   PlusultraAccountCallbacks,
   PlusultraCurrencyInfo,
+  PlusultraSyncConflict,
   PlusultraTokenInfo,
   PlusultraWalletInfo
 } from '../plusultra-core-index.js'
+import type { TxIndex } from './currency/wallet/currency-wallet-index.js'
 import type { ExchangePair } from './exchange/exchange-reducer.js'
 import type {
   StorageWalletState,
@@ -91,6 +93,28 @@ export interface CurrencyWalletFiatChanged {
   };
 }
 
+/**
+ * Called when a currency wallet's receive address record has changed.
+ */
+export interface CurrencyWalletAddressFileChanged {
+  type: 'CURRENCY_WALLET_ADDRESS_FILE_CHANGED';
+  payload: {
+    json: any,
+    walletId: string
+  };
+}
+
+/**
+ * Called when a currency wallet's receive address records have been loaded.
+ */
+export interface CurrencyWalletAddressFilesLoaded {
+  type: 'CURRENCY_WALLET_ADDRESS_FILES_LOADED';
+  payload: {
+    files: any,
+    walletId: string
+  };
+}
+
 /**
  * Called when a currency wallet's individual transaction metadata has changed.
  */
@@ -137,6 +161,28 @@ export interface CurrencyWalletNameChanged {
   };
 }
 
+/**
+ * Called when a currency wallet's search index has been loaded from disk.
+ */
+export interface CurrencyWalletTxIndexLoaded {
+  type: 'CURRENCY_WALLET_TX_INDEX_LOADED';
+  payload: {
+    index: TxIndex,
+    walletId: string
+  };
+}
+
+/**
+ * Called when a sync changes transaction files behind the index's back.
+ */
+export interface CurrencyWalletTxIndexStale {
+  type: 'CURRENCY_WALLET_TX_INDEX_STALE';
+  payload: {
+    txidHashes: Array<string>,
+    walletId: string
+  };
+}
+
 /**
  * Fired when we fetch exchange pairs from some server.
  */
@@ -170,6 +216,15 @@ export interface LoginAction {
   };
 }
 
+/**
+ * Fires when an auth server reply shows how far off our clock is.
+ * The payload is the server time minus our time, in seconds.
+ */
+export interface LoginServerClockMeasured {
+  type: 'LOGIN_SERVER_CLOCK_MEASURED';
+  payload: number;
+}
+
 /**
  * Fires when a user logs out.
  */
@@ -189,6 +244,30 @@ export interface StorageWalletAdded {
   };
 }
 
+/**
+ * Fires when the user edits or deletes a file in a repo.
+ */
+export interface StorageWalletChanged {
+  type: 'STORAGE_WALLET_CHANGED';
+  payload: {
+    id: string,
+    path: string,
+    deleted: boolean
+  };
+}
+
+/**
+ * Fires when local changes get thrown away without being uploaded,
+ * such as when they are quarantined.
+ */
+export interface StorageWalletChangesDropped {
+  type: 'STORAGE_WALLET_CHANGES_DROPPED';
+  payload: {
+    id: string,
+    paths: Array<string>
+  };
+}
+
 /**
  * Fires when a repo has been synced.
  */
@@ -197,10 +276,33 @@ export interface StorageWalletSynced {
   payload: {
     id: string,
     changes: Array<string>,
+    conflicts: Array<PlusultraSyncConflict>,
+    uploaded: Array<string>,
+    bytesSent: number,
+    bytesReceived: number,
     status: StorageWalletStatus
   };
 }
 
+/**
+ * Fires when a repo sync fails.
+ */
+export interface StorageWalletSyncFailed {
+  type: 'STORAGE_WALLET_SYNC_FAILED';
+  payload: {
+    id: string,
+    error: Error
+  };
+}
+
+/**
+ * Fires when a repo sync begins.
+ */
+export interface StorageWalletSyncStarted {
+  type: 'STORAGE_WALLET_SYNC_STARTED';
+  payload: { id: string };
+}
+
 export type RootAction =
   | AccountKeysLoadedAction
   | AddedCustomToken
@@ -209,14 +311,23 @@ export type RootAction =
   | CurrencyEngineFailed
   | CurrencyPluginsFailed
   | CurrencyPluginsLoaded
+  | CurrencyWalletAddressFileChanged
+  | CurrencyWalletAddressFilesLoaded
   | CurrencyWalletFiatChanged
   | CurrencyWalletFileChanged
   | CurrencyWalletFilesLoaded
   | CurrencyWalletFileNamesLoaded
   | CurrencyWalletNameChanged
+  | CurrencyWalletTxIndexLoaded
+  | CurrencyWalletTxIndexStale
   | ExchangePairsFetched
   | InitAction
   | LoginAction
+  | LoginServerClockMeasured
   | LogoutAction
   | StorageWalletAdded
+  | StorageWalletChanged
+  | StorageWalletChangesDropped
   | StorageWalletSynced
+  | StorageWalletSyncFailed
+  | StorageWalletSyncStarted
@@ -7,19 +7,29 @@ import type {
   PlusultraContext,
   PlusultraPlusultraLoginOptions,
   PlusultraExchangeSwapInfo,
-  PlusultraLoginMessages
+  PlusultraLoginMessages,
+  PlusultraPublicKeyRequestOptions,
+  PlusultraRepoRequestOptions,
+  PlusultraSignRequestOptions,
+  PlusultraStorageReport
 } from '../../plusultra-core-index.js'
 import { wrapObject } from '../../util/api.js'
 import { base58 } from '../../util/encoding.js'
 import { makeAccount } from '../account/accountApi.js'
 import { waitForCurrencyPlugins } from '../currency/currency-selectors.js'
 import { makeShapeshiftApi } from '../exchange/shapeshift.js'
+import { restoreBackup } from '../login/backup.js'
 import { createLogin, usernameAvailable } from '../login/create.js'
+import {
+  requestPublicKey,
+  requestRepo,
+  requestSignature
+} from '../login/lobby-requests.js'
 import { requestPlusultraLogin } from '../login/plusultra.js'
 import { fetchLoginMessages, makeLoginTree, resetOtp } from '../login/login.js'
 import { fixUsername } from '../login/loginStore.js'
 import { checkPasswordRules, loginPassword } from '../login/password.js'
-import { getPin2Key, loginPin2 } from '../login/pin2.js'
+import { findPin2Stash, loginPin2 } from '../login/pin2.js'
 import {
   getQuestions2,
   getRecovery2Key,
@@ -27,6 +37,7 @@ import {
   loginRecovery2
 } from '../login/recovery2.js'
 import type { ApiInput } from '../root.js'
+import { compactStorage } from '../storage/storage-compact.js'
 
 export const contextApiPixie = (ai: ApiInput) => () => {
   ai.onOutput(makeContextApi(ai))
@@ -47,6 +58,19 @@ function makeContextApi (ai: ApiInput) {
       return waitForCurrencyPlugins(ai)
     },
 
+    '@setOnline': { sync: true },
+    setOnline (online: boolean): void {
+      ai.props.syncScheduler.setOnline(online)
+    },
+
+    compactStorage (): Promise<PlusultraStorageReport> {
+      return compactStorage(ai)
+    },
+
+    importBackup (archive: string, password: string): Promise<string> {
+      return restoreBackup(ai, archive, password)
+    },
+
     '@fixUsername': { sync: true },
     fixUsername (username: string): string {
       return fixUsername(username)
@@ -110,20 +134,23 @@ function makeContextApi (ai: ApiInput) {
     },
 
     '@checkPasswordRules': { sync: true },
-    checkPasswordRules (password) {
-      return checkPasswordRules(password)
+    checkPasswordRules (password, username) {
+      return checkPasswordRules(password, username)
     },
 
     async pinExists (username: string) {
       const loginStash = await loginStore.load(username)
-      const pin2Key = getPin2Key(loginStash, appId)
-      return pin2Key && pin2Key.pin2Key != null
+      return findPin2Stash(loginStash, appId) != null
     },
 
     pinLoginEnabled (username: string) {
       return this.pinExists(username)
     },
 
+    getLoginLockout (username: string) {
+      return loginStore.getLockout(username)
+    },
+
     loginWithPIN (username: string, pin: string, opts?: PlusultraAccountOptions) {
       const { callbacks, otp } = opts || {} // opts can be `null`
 
@@ -192,6 +219,18 @@ function makeContextApi (ai: ApiInput) {
       })
     },
 
+    requestPublicKey (opts: PlusultraPublicKeyRequestOptions) {
+      return requestPublicKey(ai, opts.walletType, opts.onReply)
+    },
+
+    requestSignature (opts: PlusultraSignRequestOptions) {
+      return requestSignature(ai, opts.walletId, opts.transaction, opts.onReply)
+    },
+
+    requestRepo (opts: PlusultraRepoRequestOptions) {
+      return requestRepo(ai, opts.repoType, opts.onReply)
+    },
+
     requestOtpReset (username: string, otpResetToken: string): Promise<Date> {
       return resetOtp(ai, username, otpResetToken)
     },
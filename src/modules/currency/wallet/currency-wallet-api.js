@@ -5,6 +5,7 @@ import { add, div, lte, mul, sub } from 'biggystring'
 import type {
   PlusultraCoinExchangeQuote,
   PlusultraCurrencyEngine,
+  PlusultraCurrencyInfo,
   PlusultraCurrencyPlugin,
   PlusultraCurrencyWallet,
   PlusultraDataDump,
@@ -12,10 +13,12 @@ import type {
   PlusultraGetTransactionsOptions,
   PlusultraMetadata,
   PlusultraReceiveAddress,
+  PlusultraRepoReport,
   PlusultraSpendInfo,
   PlusultraSpendTarget,
   PlusultraTokenInfo,
-  PlusultraTransaction
+  PlusultraTransaction,
+  PlusultraVerifyOptions
 } from '../../../plusultra-core-index.js'
 import { SameCurrencyError } from '../../../error.js'
 import { wrapObject } from '../../../util/api.js'
@@ -32,12 +35,14 @@ import {
 import {
   loadTxFiles,
   renameCurrencyWallet,
+  saveReceiveAddressFile,
   setCurrencyWalletFiat,
   setCurrencyWalletTxMetadata
 } from './currency-wallet-files.js'
+import { makeTxIndexEntry, queryTxIndex } from './currency-wallet-index.js'
 import type { CurrencyWalletInput } from './currency-wallet-pixie.js'
 
-const fakeMetadata = {
+const blankMetadata = {
   bizId: 0,
   category: '',
   exchangeAmount: {},
@@ -76,9 +81,15 @@ export function makeCurrencyWalletApi (
     get localFolder () {
       return storageWalletApi.localFolder
     },
+    get syncStatus () {
+      return storageWalletApi.syncStatus
+    },
     sync () {
       return storageWalletApi.sync()
     },
+    verify (opts?: PlusultraVerifyOptions): Promise<PlusultraRepoReport> {
+      return storageWalletApi.verify(opts)
+    },
 
     // Storage stuff:
     get name () {
@@ -144,52 +155,49 @@ export function makeCurrencyWalletApi (
     async getTransactions (
       opts: PlusultraGetTransactionsOptions = {}
     ): Promise<Array<PlusultraTransaction>> {
-      const defaultCurrency = plugin.currencyInfo.currencyCode
-      const currencyCode = opts.currencyCode || defaultCurrency
+      const walletCurrency = plugin.currencyInfo.currencyCode
+      const currencyCode = opts.currencyCode || walletCurrency
       const state = input.props.selfState
-      // Txid array of all txs
-      const txids = state.txids
       // Merged tx data from metadata files and blockchain data
       const txs = state.txs
-      const { startIndex = 0, startEntries = txids.length } = opts
       // Decrypted metadata files
       const files = state.files
       // A sorted list of transaction based on chronological order
-      const sortedTransactions = state.sortedTransactions.sortedList
-      // Quick fix for Tokens
-      const allInfos = input.props.state.currency.infos
-      let slice = false
-      for (const currencyInfo of allInfos) {
-        if (currencyCode === currencyInfo.currencyCode) {
-          slice = true
-          break
+      const { sortedList = [], txidHashes = {} } = state.sortedTransactions
+
+      // Files we have never loaded are missing from the index,
+      // so load those once. After that, the index has everything:
+      const index = { ...state.txIndex }
+      const missingTxIdHashes = sortedList.filter(
+        txidHash => !index[txidHash] && state.fileNames[txidHash]
+      )
+      if (missingTxIdHashes.length > 0) {
+        const missingFiles = await loadTxFiles(input, missingTxIdHashes)
+        Object.assign(files, missingFiles)
+        for (const txidHash of Object.keys(missingFiles)) {
+          index[txidHash] = makeTxIndexEntry(missingFiles[txidHash])
         }
       }
-      const slicedTransactions = slice
-        ? sortedTransactions.slice(startIndex, startIndex + startEntries)
-        : sortedTransactions
-      const missingTxIdHashes = slicedTransactions.filter(
-        txidHash => !files[txidHash]
-      )
-      const missingFiles = await loadTxFiles(input, missingTxIdHashes)
-      Object.assign(files, missingFiles)
 
-      const out = []
-      for (const txidHash of slicedTransactions) {
-        const file = files[txidHash]
-        const tx = txs[file.txid]
-        // Skip irrelevant transactions:
-        if (
-          !tx ||
-          (!tx.nativeAmount[currencyCode] && !tx.networkFee[currencyCode])
-        ) {
-          continue
-        }
+      const page = queryTxIndex(index, sortedList, txidHashes, txs, {
+        ...opts,
+        currencyCode,
+        walletCurrency
+      })
 
-        out.push(combineTxWithFile(input, tx, file, currencyCode))
+      // An index loaded from disk has no files behind it,
+      // so only decrypt the ones on this page:
+      const unloadedTxIdHashes = page.filter(
+        txidHash => !files[txidHash] && state.fileNames[txidHash]
+      )
+      if (unloadedTxIdHashes.length > 0) {
+        Object.assign(files, await loadTxFiles(input, unloadedTxIdHashes))
       }
 
-      return out
+      return page.filter(txidHash => files[txidHash]).map(txidHash => {
+        const file = files[txidHash]
+        return combineTxWithFile(input, txs[file.txid], file, currencyCode)
+      })
     },
 
     async exportTransactionsToQBO (
@@ -230,10 +238,30 @@ export function makeCurrencyWalletApi (
     },
 
     getReceiveAddress (opts: any): Promise<PlusultraReceiveAddress> {
-      const freshAddress = engine.getFreshAddress(opts)
+      const { addressFiles } = input.props.selfState
+      const isLocked = address =>
+        addressFiles[address] != null && addressFiles[address].locked
+
+      // Locked addresses belong to their request, so ask the engine to skip:
+      let freshAddress = engine.getFreshAddress(opts)
+      if (isLocked(freshAddress.publicAddress)) {
+        engine.addGapLimitAddresses([freshAddress.publicAddress], opts)
+        freshAddress = engine.getFreshAddress(opts)
+      }
+      if (isLocked(freshAddress.publicAddress)) {
+        return Promise.reject(
+          new Error('The engine has no unlocked receive addresses')
+        )
+      }
+
+      // Pick up any payment request we saved for this address:
+      const addressFile = addressFiles[freshAddress.publicAddress]
       const receiveAddress: PlusultraReceiveAddress = {
-        metadata: fakeMetadata,
-        nativeAmount: '0',
+        metadata:
+          addressFile != null
+            ? { ...blankMetadata, ...addressFile.metadata }
+            : blankMetadata,
+        nativeAmount: addressFile != null ? addressFile.nativeAmount : '0',
         publicAddress: freshAddress.publicAddress,
         legacyAddress: freshAddress.legacyAddress,
         segwitAddress: freshAddress.segwitAddress
@@ -242,21 +270,26 @@ export function makeCurrencyWalletApi (
     },
 
     saveReceiveAddress (receiveAddress: PlusultraReceiveAddress): Promise<void> {
-      return Promise.resolve()
+      return saveReceiveAddressFile(input, receiveAddress).then(() => {})
     },
 
     lockReceiveAddress (receiveAddress: PlusultraReceiveAddress): Promise<void> {
-      return Promise.resolve()
+      return saveReceiveAddressFile(input, receiveAddress, {
+        locked: true
+      }).then(() => {})
     },
 
     '@makeAddressQrCode': { sync: true },
     makeAddressQrCode (address: PlusultraReceiveAddress) {
-      return address.publicAddress
+      // The QR code payload is just the payment URI:
+      const { currencyInfo } = input.props.selfState
+      return makePaymentUri(plugin, currencyInfo, address)
     },
 
     '@makeAddressUri': { sync: true },
     makeAddressUri (address: PlusultraReceiveAddress) {
-      return address.publicAddress
+      const { currencyInfo } = input.props.selfState
+      return makePaymentUri(plugin, currencyInfo, address)
     },
 
     async makeSpend (spendInfo: PlusultraSpendInfo): Promise<PlusultraTransaction> {
@@ -476,6 +509,50 @@ export function makeCurrencyWalletApi (
   return wrapObject('CurrencyWallet', out)
 }
 
+/**
+ * Builds a payment URI for a receive address.
+ * The plugin knows its own URI format, but if it has no encoder,
+ * we fall back on a BIP21-style URI with the amount in whole coins.
+ */
+export function makePaymentUri (
+  plugin: PlusultraCurrencyPlugin,
+  currencyInfo: PlusultraCurrencyInfo,
+  address: PlusultraReceiveAddress
+): string {
+  const { metadata = {}, nativeAmount } = address
+  const request: PlusultraEncodeUri = filterObject(address, [
+    'publicAddress',
+    'legacyAddress',
+    'segwitAddress'
+  ])
+  if (nativeAmount != null && nativeAmount !== '0') {
+    request.nativeAmount = nativeAmount
+  }
+  if (metadata.name) request.label = metadata.name
+  if (metadata.notes) request.message = metadata.notes
+
+  if (typeof plugin.encodeUri === 'function') return plugin.encodeUri(request)
+
+  const query: Array<string> = []
+  if (request.nativeAmount != null) {
+    const { currencyCode, denominations } = currencyInfo
+    const denomination = denominations.find(d => d.name === currencyCode)
+    const multiplier = denomination != null ? denomination.multiplier : '1'
+    const amount = div(request.nativeAmount, multiplier, multiplier.length - 1)
+    query.push(`amount=${amount}`)
+  }
+  if (request.label != null) {
+    query.push(`label=${encodeURIComponent(request.label)}`)
+  }
+  if (request.message != null) {
+    query.push(`message=${encodeURIComponent(request.message)}`)
+  }
+
+  const scheme = currencyInfo.currencyName.toLowerCase().replace(/\s/g, '')
+  const uri = `${scheme}:${request.publicAddress}`
+  return query.length > 0 ? `${uri}?${query.join('&')}` : uri
+}
+
 function fixMetadata (metadata: PlusultraMetadata, fiat: any) {
   const out = filterObject(metadata, [
     'bizId',
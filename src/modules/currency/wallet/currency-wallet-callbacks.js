@@ -10,10 +10,18 @@ import type {
 import { compare } from '../../../util/compare.js'
 import {
   getStorageWalletLastChanges,
+  getStorageWalletLastConflicts,
+  getStorageWalletPendingChanges,
+  getStorageWalletSyncState,
+  getStorageWalletSyncStatus,
   hashStorageWalletFilename
 } from '../../storage/storage-selectors.js'
 import { combineTxWithFile } from './currency-wallet-api.js'
-import { loadAllFiles, setupNewTxMetadata } from './currency-wallet-files.js'
+import {
+  forgetSyncedTxFiles,
+  loadAllFiles,
+  setupNewTxMetadata
+} from './currency-wallet-files.js'
 import type {
   CurrencyWalletInput,
   CurrencyWalletProps
@@ -274,7 +282,10 @@ export function watchCurrencyWallet (input: CurrencyWalletInput) {
   const walletId = input.props.id
 
   let lastChanges
+  let lastConflicts
   let lastName
+  let lastPendingChanges
+  let lastSyncState
   function checkChangesLoop (props: CurrencyWalletProps) {
     // Check for name changes:
     const name = props.selfState.name
@@ -295,6 +306,7 @@ export function watchCurrencyWallet (input: CurrencyWalletInput) {
       lastChanges = changes
 
       // Reload our data from disk:
+      forgetSyncedTxFiles(input, changes)
       loadAllFiles(input).catch(e => input.props.onError(e))
 
       // Call onWalletDataChanged:
@@ -305,6 +317,35 @@ export function watchCurrencyWallet (input: CurrencyWalletInput) {
       })
     }
 
+    // Check for merge conflicts:
+    const conflicts = getStorageWalletLastConflicts(props.state, walletId)
+    if (conflicts !== lastConflicts) {
+      lastConflicts = conflicts
+
+      // Call onSyncConflict:
+      forEachListener(input, ({ onSyncConflict }) => {
+        if (onSyncConflict && conflicts.length) {
+          onSyncConflict(walletId, conflicts)
+        }
+      })
+    }
+
+    // Check for sync progress:
+    const pendingChanges = getStorageWalletPendingChanges(props.state, walletId)
+    const syncState = getStorageWalletSyncState(props.state, walletId)
+    if (pendingChanges !== lastPendingChanges || syncState !== lastSyncState) {
+      lastPendingChanges = pendingChanges
+      lastSyncState = syncState
+
+      // Call onSyncStatusChanged:
+      const status = getStorageWalletSyncStatus(props.state, walletId)
+      forEachListener(input, ({ onSyncStatusChanged }) => {
+        if (onSyncStatusChanged) {
+          onSyncStatusChanged(walletId, status)
+        }
+      })
+    }
+
     input
       .nextProps()
       .then(checkChangesLoop)
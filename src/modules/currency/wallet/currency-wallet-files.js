@@ -3,22 +3,27 @@
 import { number as currencyFromNumber } from 'currency-codes'
 import { mapFiles } from 'disklet'
 
-import { mergeDeeply } from '../../../util/util.js'
+import type { PlusultraReceiveAddress } from '../../../plusultra-core-index.js'
+import { filterObject, mergeDeeply } from '../../../util/util.js'
 import { fetchAppIdInfo } from '../../account/lobbyApi.js'
 import { getExchangeRate } from '../../exchange/exchange-selectors.js'
 import {
   getStorageWalletFolder,
   getStorageWalletLocalFolder,
-  hashStorageWalletFilename
+  hashStorageWalletFilename,
+  makeStorageWalletLocalEncryptedFolder
 } from '../../storage/storage-selectors.js'
 import { getCurrencyMultiplier } from '../currency-selectors.js'
 import { combineTxWithFile } from './currency-wallet-api.js'
 import { forEachListener } from './currency-wallet-callbacks.js'
+import type { TxIndex } from './currency-wallet-index.js'
 import type { CurrencyWalletInput } from './currency-wallet-pixie.js'
 
 const LEGACY_MAP_FILE = 'fixedLegacyFileNames.json'
 const WALLET_NAME_FILE = 'WalletName.json'
 const CURRENCY_FILE = 'Currency.json'
+const TX_INDEX_FILE = 'txIndex.json'
+const TX_INDEX_VERSION = 1
 
 export type TransactionFile = {
   txid: string,
@@ -67,6 +72,22 @@ export type LegacyTransactionFile = {
   }
 }
 
+export type AddressFile = {
+  address: string, // The public address
+  legacyAddress?: string,
+  segwitAddress?: string,
+  creationDate: number,
+  locked: boolean, // Reserved, so getReceiveAddress never hands it out
+  used: boolean, // Some transaction has paid this address
+  metadata: {
+    bizId?: number,
+    category?: string,
+    name?: string,
+    notes?: string
+  },
+  nativeAmount: string // The requested amount
+}
+
 export type LegacyAddressFile = {
   seq: number, // index
   address: string,
@@ -110,6 +131,27 @@ function fixLegacyFile (
   return out
 }
 
+/**
+ * Converts a LegacyAddressFile to an AddressFile.
+ */
+function fixLegacyAddressFile (file: LegacyAddressFile): AddressFile {
+  return {
+    address: file.address,
+    creationDate: file.state.creationDate,
+    locked: !file.state.recycleable,
+    used: false,
+    metadata: {},
+    nativeAmount: (file.meta.amountSatoshi || 0).toFixed()
+  }
+}
+
+function getAddressFile (state: any, keyId: string, address: string) {
+  const addressHash = hashStorageWalletFilename(state, keyId, address)
+  return getStorageWalletFolder(state, keyId)
+    .folder('address')
+    .file(`${addressHash}.json`)
+}
+
 function getTxFile (state: any, keyId: string, date: number, txid: string) {
   const txidHash = hashStorageWalletFilename(state, keyId, txid)
   const timestamp = date.toFixed(0)
@@ -122,6 +164,13 @@ function getTxFile (state: any, keyId: string, date: number, txid: string) {
   }
 }
 
+function getTxIndexFile (input: CurrencyWalletInput) {
+  const { id, io, state } = input.props
+  return makeStorageWalletLocalEncryptedFolder(state, id, io).file(
+    TX_INDEX_FILE
+  )
+}
+
 /**
  * Changes a wallet's name.
  */
@@ -134,7 +183,7 @@ export function renameCurrencyWallet (
 
   return getStorageWalletFolder(state, walletId)
     .file(WALLET_NAME_FILE)
-    .setText(JSON.stringify({ walletName: name }))
+    .setText(JSON.stringify({ walletName: name, modified: Date.now() / 1000 }))
     .then(() =>
       dispatch({
         type: 'CURRENCY_WALLET_NAME_CHANGED',
@@ -175,6 +224,19 @@ function loadFiatFile (input: CurrencyWalletInput, folder) {
   const walletId = input.props.id
   const { dispatch } = input.props
 
+  return readFiatFile(folder).then((fiatCurrencyCode: string) => {
+    dispatch({
+      type: 'CURRENCY_WALLET_FIAT_CHANGED',
+      payload: { fiatCurrencyCode, walletId }
+    })
+    return fiatCurrencyCode
+  })
+}
+
+/**
+ * Reads the fiat currency out of a wallet's repo.
+ */
+function readFiatFile (folder): Promise<string> {
   return folder
     .file(CURRENCY_FILE)
     .getText()
@@ -183,13 +245,6 @@ function loadFiatFile (input: CurrencyWalletInput, folder) {
       return file.fiat ? file.fiat : 'iso:' + currencyFromNumber(file.num).code
     })
     .catch(e => 'iso:USD')
-    .then((fiatCurrencyCode: string) => {
-      dispatch({
-        type: 'CURRENCY_WALLET_FIAT_CHANGED',
-        payload: { fiatCurrencyCode, walletId }
-      })
-      return fiatCurrencyCode
-    })
 }
 
 /**
@@ -282,6 +337,132 @@ export async function loadTxFiles (
   return out
 }
 
+/**
+ * Reads every transaction file straight out of a wallet's repo,
+ * for wallets that have no engine running, such as archived ones.
+ * Legacy files come back in the new format.
+ */
+export async function readRepoTxFiles (
+  state: any,
+  walletId: string,
+  walletCurrency: string
+): Promise<Array<TransactionFile>> {
+  const folder = getStorageWalletFolder(state, walletId)
+  const walletFiat = await readFiatFile(folder)
+
+  const getFiles = (folderName, cb) =>
+    mapFiles(folder.folder(folderName), file =>
+      file
+        .getText()
+        .then(text => cb(JSON.parse(text)))
+        .catch(e => null)
+    )
+
+  // New files replace legacy ones for the same transaction:
+  const out: { [txid: string]: TransactionFile } = {}
+  for (const file of await getFiles('Transactions', json =>
+    fixLegacyFile(json, walletCurrency, walletFiat)
+  )) {
+    if (file != null && file.txid) out[file.txid] = file
+  }
+  for (const file of await getFiles('transaction', json => json)) {
+    if (file != null && file.txid) out[file.txid] = file
+  }
+  return Object.keys(out).map(txid => out[txid])
+}
+
+/**
+ * Edits the metadata in every transaction file in a wallet's repo,
+ * for wallets that have no engine running.
+ * The callback changes the metadata in place,
+ * and returns true if the file needs saving.
+ */
+export function editRepoTxMetadata (
+  state: any,
+  walletId: string,
+  edit: (metadata: Object) => boolean
+): Promise<mixed> {
+  const folder = getStorageWalletFolder(state, walletId)
+
+  const editFiles = (folderName, cb) =>
+    mapFiles(folder.folder(folderName), file =>
+      file
+        .getText()
+        .then(text => {
+          const json = JSON.parse(text)
+          if (cb(json)) return file.setText(JSON.stringify(json))
+        })
+        .catch(e => null)
+    )
+
+  return Promise.all([
+    editFiles('Transactions', json => json.meta != null && edit(json.meta)),
+    editFiles('transaction', json => {
+      let changed = false
+      for (const currencyCode of Object.keys(json.currencies || {})) {
+        const { metadata } = json.currencies[currencyCode]
+        if (metadata != null && edit(metadata)) changed = true
+      }
+      return changed
+    })
+  ])
+}
+
+/**
+ * Loads the transaction search index saved by a previous session.
+ * The index never leaves this device, so it lives in the local folder.
+ */
+export async function loadTxIndexFile (input: CurrencyWalletInput) {
+  const walletId = input.props.id
+  const { dispatch } = input.props
+
+  let index: TxIndex = {}
+  try {
+    const json = JSON.parse(await getTxIndexFile(input).getText())
+    if (json.version === TX_INDEX_VERSION) index = json.index
+  } catch (e) {
+    // Start over with an empty index
+  }
+
+  dispatch({
+    type: 'CURRENCY_WALLET_TX_INDEX_LOADED',
+    payload: { index, walletId }
+  })
+}
+
+/**
+ * Drops index entries for transaction files that a sync just changed,
+ * so they get re-indexed the next time somebody reads them.
+ */
+export function forgetSyncedTxFiles (
+  input: CurrencyWalletInput,
+  changes: Array<string>
+) {
+  const walletId = input.props.id
+  const { dispatch } = input.props
+
+  const txidHashes = []
+  for (const path of changes) {
+    const match = /^transaction\/\d+-([^.]+)\.json$/.exec(path)
+    if (match != null) txidHashes.push(match[1])
+  }
+  if (txidHashes.length === 0) return
+
+  dispatch({
+    type: 'CURRENCY_WALLET_TX_INDEX_STALE',
+    payload: { txidHashes, walletId }
+  })
+}
+
+/**
+ * Saves the transaction search index for the next session.
+ */
+export function saveTxIndexFile (input: CurrencyWalletInput, index: TxIndex) {
+  return getTxIndexFile(input).setText(
+    JSON.stringify({ version: TX_INDEX_VERSION, index })
+  )
+}
+
 /**
  * Return the legacy file names in the new format.
  * If they in the legacy format, convert them to the new format
@@ -380,28 +561,48 @@ async function loadTxFileNames (input: CurrencyWalletInput, folder) {
  * Loads address metadata files.
  */
 function loadAddressFiles (input: CurrencyWalletInput, folder) {
-  // Actually load the files:
-  const allFiles = Promise.all([
-    // Legacy transaction metadata:
-    mapFiles(folder.folder('Addresses'), file =>
+  const walletId = input.props.id
+  const { dispatch } = input.props
+
+  const getFiles = folderName =>
+    mapFiles(folder.folder(folderName), file =>
       file
         .getText()
         .then(text => JSON.parse(text))
         .catch(e => null)
     )
+
+  // Actually load the files:
+  const allFiles = Promise.all([
+    // Legacy address metadata:
+    getFiles('Addresses'),
+    // New address metadata:
+    getFiles('address')
   ])
 
   // Save the results to our state:
   return allFiles.then(allFiles => {
-    const [oldFiles] = allFiles
+    const [oldFiles, newFiles] = allFiles
 
+    const files: { [address: string]: AddressFile } = {}
     const out: Array<string> = []
     for (const json: LegacyAddressFile of oldFiles) {
       if (json == null || !json.state || !json.meta) continue
       const address = json.address
       if (!address || json.state.recycleable) continue
+      files[address] = fixLegacyAddressFile(json)
       out.push(address)
     }
+    for (const json: AddressFile of newFiles) {
+      if (json == null || !json.address) continue
+      if (files[json.address] == null) out.push(json.address)
+      files[json.address] = json
+    }
+
+    dispatch({
+      type: 'CURRENCY_WALLET_ADDRESS_FILES_LOADED',
+      payload: { files, walletId }
+    })
 
     // Load these addresses into the engine:
     const engine = input.props.selfOutput.engine
@@ -411,6 +612,77 @@ function loadAddressFiles (input: CurrencyWalletInput, folder) {
   })
 }
 
+/**
+ * Saves a payment request, so it survives restarts and syncs
+ * to other devices.
+ */
+export function saveReceiveAddressFile (
+  input: CurrencyWalletInput,
+  receiveAddress: PlusultraReceiveAddress,
+  opts: { locked?: boolean } = {}
+): Promise<mixed> {
+  const { publicAddress, legacyAddress, segwitAddress } = receiveAddress
+  const oldFile: AddressFile | void =
+    input.props.selfState.addressFiles[publicAddress]
+
+  const file: AddressFile = {
+    address: publicAddress,
+    legacyAddress,
+    segwitAddress,
+    creationDate: oldFile ? oldFile.creationDate : Date.now() / 1000,
+    locked: oldFile ? oldFile.locked : false,
+    used: oldFile ? oldFile.used : false,
+    metadata: filterObject(receiveAddress.metadata || {}, [
+      'bizId',
+      'category',
+      'name',
+      'notes'
+    ]),
+    nativeAmount: receiveAddress.nativeAmount,
+    ...opts
+  }
+
+  // The engine needs to keep watching this address:
+  const engine = input.props.selfOutput.engine
+  if (engine) engine.addGapLimitAddresses([publicAddress])
+
+  return writeAddressFile(input, file)
+}
+
+function writeAddressFile (
+  input: CurrencyWalletInput,
+  file: AddressFile
+): Promise<mixed> {
+  const walletId = input.props.id
+  const { dispatch, state } = input.props
+
+  dispatch({
+    type: 'CURRENCY_WALLET_ADDRESS_FILE_CHANGED',
+    payload: { json: file, walletId }
+  })
+  return getAddressFile(state, walletId, file.address).setText(
+    JSON.stringify(file)
+  )
+}
+
+/**
+ * Finds the payment request that an incoming transaction is paying.
+ */
+function findAddressFile (
+  input: CurrencyWalletInput,
+  ourReceiveAddresses: Array<string>
+): AddressFile | void {
+  const addressFiles: { [address: string]: AddressFile } =
+    input.props.selfState.addressFiles
+  for (const address of Object.keys(addressFiles)) {
+    const file = addressFiles[address]
+    const addresses = [file.address, file.legacyAddress, file.segwitAddress]
+    if (addresses.some(a => a != null && ourReceiveAddresses.includes(a))) {
+      return file
+    }
+  }
+}
+
 /**
  * Updates the wallet in response to data syncs.
  */
@@ -509,6 +781,9 @@ export function setupNewTxMetadata (input: CurrencyWalletInput, tx: any) {
     currencies: {}
   }
 
+  // Incoming payments inherit the metadata from their payment request:
+  const addressFile = findAddressFile(input, tx.ourReceiveAddresses || [])
+
   // Set up exchange-rate metadata:
   for (const currency of Object.keys(tx.nativeAmount)) {
     const rate =
@@ -522,7 +797,10 @@ export function setupNewTxMetadata (input: CurrencyWalletInput, tx: any) {
       )
     const nativeAmount = tx.nativeAmount[currency]
 
-    const metadata = { exchangeAmount: {} }
+    const metadata =
+      addressFile != null && !/^-/.test(nativeAmount)
+        ? { ...addressFile.metadata, exchangeAmount: {} }
+        : { exchangeAmount: {} }
     metadata.exchangeAmount[fiatCurrency] = rate * nativeAmount
     file.currencies[currency] = { metadata, nativeAmount }
   }
@@ -532,5 +810,10 @@ export function setupNewTxMetadata (input: CurrencyWalletInput, tx: any) {
     type: 'CURRENCY_WALLET_FILE_CHANGED',
     payload: { json: file, txid, walletId, txFileName }
   })
-  return txFile.setText(JSON.stringify(file)).then(() => void 0)
+  return Promise.all([
+    txFile.setText(JSON.stringify(file)),
+    addressFile != null && !addressFile.used
+      ? writeAddressFile(input, { ...addressFile, used: true })
+      : void 0
+  ]).then(() => void 0)
 }
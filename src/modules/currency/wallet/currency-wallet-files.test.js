@@ -0,0 +1,41 @@
+// @flow
+
+import { expect } from 'chai'
+import { describe, it } from 'mocha'
+
+import { forgetSyncedTxFiles } from './currency-wallet-files.js'
+
+function makeFakeInput (actions: Array<Object>): any {
+  return {
+    props: {
+      id: 'wallet',
+      dispatch: action => actions.push(action)
+    }
+  }
+}
+
+describe('currency wallet files', function () {
+  it('marks synced transaction files stale', function () {
+    const actions = []
+    forgetSyncedTxFiles(makeFakeInput(actions), [
+      'transaction/1500000000-hashA.json',
+      'Transactions/legacy.json',
+      'Addresses/address.json',
+      'transaction/1500000001-hashB.json',
+      'WalletName.json'
+    ])
+
+    expect(actions).to.deep.equal([
+      {
+        type: 'CURRENCY_WALLET_TX_INDEX_STALE',
+        payload: { txidHashes: ['hashA', 'hashB'], walletId: 'wallet' }
+      }
+    ])
+  })
+
+  it('ignores syncs without transaction files', function () {
+    const actions = []
+    forgetSyncedTxFiles(makeFakeInput(actions), ['WalletName.json'])
+    expect(actions).to.deep.equal([])
+  })
+})
@@ -0,0 +1,152 @@
+// @flow
+
+import { gte, lte } from 'biggystring'
+
+import type { PlusultraGetTransactionsOptions } from '../../../plusultra-core-index.js'
+import type { TransactionFile } from './currency-wallet-files.js'
+
+/**
+ * The searchable parts of a transaction metadata file.
+ * Keeping these in memory lets us filter transactions
+ * without touching the encrypted files again.
+ */
+export type TxIndexEntry = {
+  txid: string,
+  currencies: {
+    [currencyCode: string]: {
+      category: string,
+      text: string // Lower-case name & notes, for searching
+    }
+  }
+}
+
+export type TxIndex = { [txidHash: string]: TxIndexEntry }
+
+export type TxQuery = PlusultraGetTransactionsOptions & {
+  currencyCode: string,
+  walletCurrency: string
+}
+
+/**
+ * Pulls the searchable fields out of a transaction file.
+ */
+export function makeTxIndexEntry (file: TransactionFile): TxIndexEntry {
+  const out: TxIndexEntry = { txid: file.txid, currencies: {} }
+  for (const currencyCode of Object.keys(file.currencies)) {
+    const { metadata = {} } = file.currencies[currencyCode]
+    const { category = '', name = '', notes = '' } = metadata
+    out.currencies[currencyCode] = {
+      category,
+      text: `${name}\n${notes}`.toLowerCase()
+    }
+  }
+  return out
+}
+
+/**
+ * Finds the transactions matching a query, newest first.
+ * Returns one page of txid hashes.
+ */
+export function queryTxIndex (
+  index: TxIndex,
+  sortedList: Array<string>,
+  timestamps: { [txidHash: string]: number },
+  txs: { [txid: string]: Object },
+  query: TxQuery
+): Array<string> {
+  const { currencyCode, cursor, startIndex = 0, startEntries } = query
+  const searchWords = splitWords(query.searchString || '')
+
+  const out: Array<string> = []
+  let skipping = cursor != null
+  for (const txidHash of sortedList) {
+    const entry = index[txidHash]
+    if (entry == null) continue
+
+    // Resume after the last transaction from the previous page:
+    if (skipping) {
+      if (entry.txid === cursor) skipping = false
+      continue
+    }
+
+    // Date range:
+    const date = timestamps[txidHash]
+    if (query.startDate != null && date < query.startDate) continue
+    if (query.endDate != null && date >= query.endDate) continue
+
+    // Skip irrelevant transactions:
+    const tx = txs[entry.txid]
+    if (!tx) continue
+    const nativeAmount: string | void = tx.nativeAmount[currencyCode]
+    if (!nativeAmount && !tx.networkFee[currencyCode]) continue
+
+    // Amount & direction:
+    const amount = (nativeAmount || '0').replace(/^-/, '')
+    const sent = /^-/.test(nativeAmount || '')
+    if (query.direction === 'sent' && !sent) continue
+    if (query.direction === 'received' && sent) continue
+    if (query.minAmount != null && !gte(amount, query.minAmount)) continue
+    if (query.maxAmount != null && !lte(amount, query.maxAmount)) continue
+
+    // Metadata, where the token's own entry beats the wallet currency's:
+    const metadata = {
+      category: '',
+      text: '',
+      ...entry.currencies[query.walletCurrency],
+      ...entry.currencies[currencyCode]
+    }
+    if (
+      query.category != null &&
+      !matchCategory(metadata.category, query.category)
+    ) {
+      continue
+    }
+    if (!matchWords(metadata.text, searchWords)) continue
+
+    out.push(txidHash)
+  }
+
+  return out.slice(
+    startIndex,
+    startEntries != null ? startIndex + startEntries : void 0
+  )
+}
+
+/**
+ * Breaks text into lower-case search words.
+ */
+function splitWords (text: string): Array<string> {
+  return text
+    .toLowerCase()
+    .split(/[^0-9a-z\u00c0-\uffff]+/)
+    .filter(word => word !== '')
+}
+
+/**
+ * Every search word must start some word in the text,
+ * so "jo caf" matches "Joe's Cafe".
+ */
+function matchWords (text: string, searchWords: Array<string>) {
+  if (searchWords.length === 0) return true
+  const words = splitWords(text)
+  return searchWords.every(searchWord =>
+    words.some(word => word.indexOf(searchWord) === 0)
+  )
+}
+
+/**
+ * Checks some lower-case index text against a search string,
+ * using the same word matching as `queryTxIndex`.
+ */
+export function matchSearch (text: string, searchString: string) {
+  return matchWords(text, splitWords(searchString))
+}
+
+/**
+ * Categories look like "Expense:Food", so "Expense" matches both.
+ */
+export function matchCategory (category: string, search: string) {
+  const have = category.toLowerCase()
+  const want = search.toLowerCase()
+  return have === want || have.indexOf(want + ':') === 0
+}
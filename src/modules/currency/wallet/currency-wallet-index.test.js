@@ -0,0 +1,82 @@
+// @flow
+
+import { expect } from 'chai'
+import { describe, it } from 'mocha'
+
+import { makeTxIndexEntry, queryTxIndex } from './currency-wallet-index.js'
+
+function makeFile (txid, metadata, currencyCode = 'BTC') {
+  return {
+    txid,
+    internal: false,
+    creationDate: 0,
+    currencies: {
+      [currencyCode]: { metadata: { exchangeAmount: {}, ...metadata } }
+    }
+  }
+}
+
+const files = {
+  hashA: makeFile('a', { name: 'Coffee Shop', category: 'Expense:Food' }),
+  hashB: makeFile('b', { name: 'Payroll', category: 'Income:Salary' }),
+  hashC: makeFile('c', { notes: 'Rent for March', category: 'Expense:Rent' }),
+  hashD: makeFile('d', { name: 'Airdrop' }, 'TOKEN')
+}
+const index = {}
+for (const hash of Object.keys(files)) {
+  index[hash] = makeTxIndexEntry(files[hash])
+}
+
+const sortedList = ['hashD', 'hashC', 'hashB', 'hashA']
+const timestamps = { hashA: 100, hashB: 200, hashC: 300, hashD: 400 }
+const txs = {
+  a: { nativeAmount: { BTC: '-500' }, networkFee: { BTC: '10' } },
+  b: { nativeAmount: { BTC: '20000' }, networkFee: { BTC: '0' } },
+  c: { nativeAmount: { BTC: '-9000' }, networkFee: { BTC: '10' } },
+  d: { nativeAmount: { TOKEN: '7' }, networkFee: { TOKEN: '0' } }
+}
+
+function query (opts = {}) {
+  const txids = queryTxIndex(index, sortedList, timestamps, txs, {
+    currencyCode: 'BTC',
+    walletCurrency: 'BTC',
+    ...opts
+  })
+  return txids.map(hash => index[hash].txid)
+}
+
+describe('transaction index', function () {
+  it('lists relevant transactions, newest first', function () {
+    expect(query()).to.deep.equal(['c', 'b', 'a'])
+    expect(query({ currencyCode: 'TOKEN' })).to.deep.equal(['d'])
+  })
+
+  it('filters by date, amount, and direction', function () {
+    expect(query({ startDate: 200, endDate: 300 })).to.deep.equal(['b'])
+    expect(query({ minAmount: '1000' })).to.deep.equal(['c', 'b'])
+    expect(query({ maxAmount: '9000' })).to.deep.equal(['c', 'a'])
+    expect(query({ direction: 'sent' })).to.deep.equal(['c', 'a'])
+    expect(query({ direction: 'received' })).to.deep.equal(['b'])
+  })
+
+  it('filters by metadata', function () {
+    expect(query({ category: 'expense' })).to.deep.equal(['c', 'a'])
+    expect(query({ category: 'Expense:Food' })).to.deep.equal(['a'])
+    expect(query({ searchString: 'MARCH' })).to.deep.equal(['c'])
+    expect(query({ searchString: 'shop' })).to.deep.equal(['a'])
+  })
+
+  it('searches by word prefix', function () {
+    expect(query({ searchString: 'cof sh' })).to.deep.equal(['a'])
+    expect(query({ searchString: 'rent, mar' })).to.deep.equal(['c'])
+    expect(query({ searchString: 'hop' })).to.deep.equal([])
+    expect(query({ searchString: 'coffee rent' })).to.deep.equal([])
+    expect(query({ searchString: '  ' })).to.deep.equal(['c', 'b', 'a'])
+  })
+
+  it('pages with a cursor', function () {
+    expect(query({ startEntries: 2 })).to.deep.equal(['c', 'b'])
+    expect(query({ cursor: 'b', startEntries: 2 })).to.deep.equal(['a'])
+    expect(query({ startIndex: 1, startEntries: 1 })).to.deep.equal(['b'])
+  })
+})
@@ -25,7 +25,12 @@ import {
   makeCurrencyWalletCallbacks,
   watchCurrencyWallet
 } from './currency-wallet-callbacks.js'
-import { loadAllFiles } from './currency-wallet-files.js'
+import {
+  loadAllFiles,
+  loadTxIndexFile,
+  saveTxIndexFile
+} from './currency-wallet-files.js'
+import type { TxIndex } from './currency-wallet-index.js'
 import type { CurrencyWalletState } from './currency-wallet-reducer.js'
 
 export interface CurrencyWalletOutput {
@@ -33,7 +38,8 @@ export interface CurrencyWalletOutput {
   plugin: PlusultraCurrencyPlugin | void;
   engine: PlusultraCurrencyEngine | void;
   engineStarted: boolean | void;
-  syncTimer: void;
+  syncScheduler: void;
+  txIndexSaver: void;
 }
 
 export interface CurrencyWalletProps extends RootProps {
@@ -44,6 +50,9 @@ export interface CurrencyWalletProps extends RootProps {
 
 export type CurrencyWalletInput = PixieInput<CurrencyWalletProps>
 
+// How long to wait for more index changes before saving, in milliseconds:
+const txIndexSaveDelay = 5000
+
 export default combinePixies({
   // Looks up the currency plugin for this wallet:
   plugin: (input: CurrencyWalletInput) => () => {
@@ -90,6 +99,7 @@ export default combinePixies({
     }
 
     // Reload our data from disk:
+    await loadTxIndexFile(input)
     loadAllFiles(input).catch(e => input.props.onError(e))
 
     // Fire callbacks when our state changes:
@@ -156,36 +166,60 @@ export default combinePixies({
     return stopUpdates
   },
 
-  syncTimer (input: CurrencyWalletInput) {
+  // Keeps the wallet repo in sync while the wallet is active:
+  syncScheduler (input: CurrencyWalletInput) {
     const ai: ApiInput = (input: any) // Safe, since input extends ApiInput
-    let timeout: number | void
+    let stopSync: (() => void) | void
+
+    return {
+      update () {
+        // Bail out if either the wallet or the repo aren't ready:
+        const { id, state, syncScheduler } = input.props
+        if (
+          stopSync != null ||
+          !input.props.selfOutput ||
+          !state.storageWallets[id] ||
+          !state.storageWallets[id].status.lastSync
+        ) {
+          return
+        }
+
+        stopSync = syncScheduler.register(id, () => syncStorageWallet(ai, id))
+      },
 
-    function startTimer () {
-      // Bail out if either the wallet or the repo aren't ready:
-      const { id, state } = input.props
-      if (
-        !input.props.selfOutput ||
-        !state.storageWallets[id] ||
-        !state.storageWallets[id].status.lastSync
-      ) {
-        return
+      destroy () {
+        if (stopSync != null) stopSync()
       }
+    }
+  },
+
+  // Saves the transaction search index once things settle down:
+  txIndexSaver (input: CurrencyWalletInput) {
+    let lastIndex: TxIndex | void
+    let timeout: number | void
 
-      timeout = setTimeout(() => {
-        syncStorageWallet(ai, id)
-          .then(changes => startTimer())
-          .catch(e => startTimer())
-      }, 30 * 1000)
+    function save () {
+      timeout = void 0
+      const { txIndex } = input.props.selfState
+      if (txIndex === lastIndex) return
+      lastIndex = txIndex
+      saveTxIndexFile(input, txIndex).catch(e => input.props.onError(e))
     }
 
     return {
       update () {
-        // Kick off the initial sync if we don't already have one running:
-        if (timeout == null) return startTimer()
+        // Saving before loading would wipe out the file on disk:
+        const { txIndex, txIndexLoaded } = input.props.selfState
+        if (!txIndexLoaded || txIndex === lastIndex || timeout != null) return
+
+        timeout = setTimeout(save, txIndexSaveDelay)
       },
 
       destroy () {
-        clearTimeout(timeout)
+        if (timeout != null) {
+          clearTimeout(timeout)
+          save()
+        }
       }
     }
   }
@@ -9,6 +9,8 @@ import type {
 import type { RootAction } from '../../actions.js'
 import type { RootState } from '../../root-reducer.js'
 import { getCurrencyInfo } from '../currency-selectors.js'
+import { makeTxIndexEntry } from './currency-wallet-index.js'
+import type { TxIndex } from './currency-wallet-index.js'
 
 export type TxIdHash = {
   [txidHash: string]: number
@@ -25,6 +27,7 @@ export type SortedTransactions = {
 }
 
 export interface CurrencyWalletState {
+  addressFiles: { [address: string]: Object };
   currencyInfo: PlusultraCurrencyInfo;
   engineFailure: Error | null;
   fiat: string;
@@ -36,6 +39,8 @@ export interface CurrencyWalletState {
   name: string | null;
   nameLoaded: boolean;
   walletInfo: PlusultraWalletInfo;
+  txIndex: TxIndex;
+  txIndexLoaded: boolean;
   txids: Array<string>;
   txs: { [txid: string]: Object };
 }
@@ -47,6 +52,25 @@ export interface CurrencyWalletNext {
 }
 
 const currencyWalletReducer = buildReducer({
+  addressFiles (state = {}, action: RootAction) {
+    switch (action.type) {
+      case 'CURRENCY_WALLET_ADDRESS_FILE_CHANGED': {
+        const { json } = action.payload
+        const out = { ...state }
+        out[json.address] = json
+        return out
+      }
+      case 'CURRENCY_WALLET_ADDRESS_FILES_LOADED': {
+        const { files } = action.payload
+        return {
+          ...state,
+          ...files
+        }
+      }
+    }
+    return state
+  },
+
   currencyInfo (state, action, next: CurrencyWalletNext): PlusultraCurrencyInfo {
     if (state) return state
     return getCurrencyInfo(next.root.currency.infos, next.self.walletInfo.type)
@@ -139,6 +163,42 @@ const currencyWalletReducer = buildReducer({
     return action.type === 'CURRENCY_WALLET_NAME_CHANGED' ? true : state
   },
 
+  txIndex (state = {}, action: RootAction): TxIndex {
+    switch (action.type) {
+      case 'CURRENCY_WALLET_FILE_CHANGED': {
+        const { json, txFileName } = action.payload
+        const out = { ...state }
+        out[txFileName.txidHash] = makeTxIndexEntry(json)
+        return out
+      }
+      case 'CURRENCY_WALLET_FILES_LOADED': {
+        const { files } = action.payload
+        const out = { ...state }
+        for (const txidHash of Object.keys(files)) {
+          out[txidHash] = makeTxIndexEntry(files[txidHash])
+        }
+        return out
+      }
+      case 'CURRENCY_WALLET_TX_INDEX_LOADED': {
+        // Anything we indexed since startup is newer than the disk:
+        return {
+          ...action.payload.index,
+          ...state
+        }
+      }
+      case 'CURRENCY_WALLET_TX_INDEX_STALE': {
+        const out = { ...state }
+        for (const txidHash of action.payload.txidHashes) delete out[txidHash]
+        return out
+      }
+    }
+    return state
+  },
+
+  txIndexLoaded (state = false, action: RootAction) {
+    return action.type === 'CURRENCY_WALLET_TX_INDEX_LOADED' ? true : state
+  },
+
   txids: memoizeReducer(
     (next: CurrencyWalletNext) => next.self.txs,
     txs => Object.keys(txs)
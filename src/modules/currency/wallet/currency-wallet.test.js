@@ -2,25 +2,34 @@
 
 import { add } from 'biggystring'
 import { assert, expect } from 'chai'
+import { makeLoggedFolder, makeMemoryFolder } from 'disklet'
 import { describe, it } from 'mocha'
 import { createStore } from 'redux'
 
-import { fakeUser, makeFakeContexts } from '../../../plusultra-core-index'
 import {
   makeFakeCurrency,
   makeFakeCurrencyStore
 } from '../../../fake-plugins/fakeCurrency.js'
 import { fakeExchangePlugin } from '../../../fake-plugins/fakeExchange.js'
+import { fakeUser, makeFakeContexts } from '../../../plusultra-core-index'
 import { makeAssertLog } from '../../../util/assertLog.js'
 import { awaitState } from '../../../util/redux/reaction.js'
+import { makePaymentUri } from './currency-wallet-api.js'
 
 function snooze (ms: number) {
   return new Promise(resolve => setTimeout(resolve, ms))
 }
 
 async function makeFakeCurrencyWallet (store, callbacks) {
-  const plugin = makeFakeCurrency(store)
+  const [context] = makeFakeContexts({
+    localFakeUser: true,
+    plugins: [makeFakeCurrency(store), fakeExchangePlugin]
+  })
+  const { wallet } = await loginFakeCurrencyWallet(context, callbacks)
+  return wallet
+}
 
+async function loginFakeCurrencyWallet (context, callbacks) {
   // Use `onKeyListChanged` to trigger checking for wallets:
   const trigger = createStore(state => null)
   callbacks = {
@@ -30,10 +39,6 @@ async function makeFakeCurrencyWallet (store, callbacks) {
     }
   }
 
-  const [context] = makeFakeContexts({
-    localFakeUser: true,
-    plugins: [plugin, fakeExchangePlugin]
-  })
   const account = await context.loginWithPIN(fakeUser.username, fakeUser.pin, {
     callbacks
   })
@@ -41,7 +46,11 @@ async function makeFakeCurrencyWallet (store, callbacks) {
   // Wait for the wallet to load:
   const walletInfo = account.getFirstWalletInfo('wallet:fakecoin')
   if (!walletInfo) throw new Error('Broken test account')
-  return awaitState(trigger, state => account.currencyWallets[walletInfo.id])
+  const wallet = await awaitState(
+    trigger,
+    state => account.currencyWallets[walletInfo.id]
+  )
+  return { account, wallet }
 }
 
 describe('currency wallets', function () {
@@ -174,6 +183,47 @@ describe('currency wallets', function () {
     })
   })
 
+  it('saves the search index for the next session', async function () {
+    const store = makeFakeCurrencyStore()
+    const txs = [
+      { txid: 'a', currencyCode: 'TEST', nativeAmount: '2' },
+      { txid: 'b', currencyCode: 'TEST', nativeAmount: '3' },
+      { txid: 'c', currencyCode: 'TEST', nativeAmount: '4' }
+    ]
+
+    // Watch which transaction files get read:
+    const reads: Array<string> = []
+    const folder = makeLoggedFolder(makeMemoryFolder(), {
+      callback (path, operation) {
+        const match = /\/transaction\/([^/]+)$/.exec(path)
+        if (match != null && /^get/.test(operation)) reads.push(match[1])
+      },
+      verbose: true
+    })
+    const [context] = makeFakeContexts({
+      io: { folder },
+      localFakeUser: true,
+      plugins: [makeFakeCurrency(store), fakeExchangePlugin]
+    })
+
+    // Name the transactions, then log out to save the index:
+    const first = await loginFakeCurrencyWallet(context)
+    store.dispatch({ type: 'SET_TXS', payload: txs })
+    await first.wallet.getTransactions({})
+    await first.wallet.saveTxMetadata('a', 'TEST', { name: 'Alice' })
+    await first.wallet.saveTxMetadata('b', 'TEST', { name: 'Bob' })
+    await first.wallet.saveTxMetadata('c', 'TEST', { name: 'Carol' })
+    await first.account.logout()
+
+    // The next session searches without decrypting every file:
+    const { wallet } = await loginFakeCurrencyWallet(context)
+    store.dispatch({ type: 'SET_TXS', payload: txs })
+    reads.splice(0, reads.length)
+    const found = await wallet.getTransactions({ searchString: 'alice' })
+    expect(found.map(tx => tx.txid)).to.deep.equal(['a'])
+    expect(new Set(reads).size).to.equal(1)
+  })
+
   it('get max spendable', async function () {
     const store = makeFakeCurrencyStore()
     store.dispatch({ type: 'SET_BALANCE', payload: 50 })
@@ -205,6 +255,113 @@ describe('currency wallets', function () {
     expect(rejectResult).to.equal('REJECT')
   })
 
+  it('saves receive addresses', async function () {
+    const store = makeFakeCurrencyStore()
+    const wallet = await makeFakeCurrencyWallet(store)
+
+    const address = await wallet.getReceiveAddress()
+    expect(address.nativeAmount).to.equal('0')
+    await wallet.saveReceiveAddress({
+      ...address,
+      metadata: { name: 'Alice', category: 'Income:Sales' },
+      nativeAmount: '250'
+    })
+
+    // The request comes back:
+    const saved = await wallet.getReceiveAddress()
+    expect(saved.nativeAmount).to.equal('250')
+    expect(saved.metadata.name).to.equal('Alice')
+
+    // Payments inherit the request's metadata:
+    store.dispatch({
+      type: 'SET_TXS',
+      payload: [
+        {
+          txid: 'a',
+          nativeAmount: '250',
+          ourReceiveAddresses: [address.publicAddress]
+        }
+      ]
+    })
+    const txs = await wallet.getTransactions({})
+    expect(txs[0].metadata.name).to.equal('Alice')
+    expect(txs[0].metadata.category).to.equal('Income:Sales')
+  })
+
+  it('locks receive addresses', async function () {
+    const wallet = await makeFakeCurrencyWallet()
+
+    const address = await wallet.getReceiveAddress()
+    await wallet.lockReceiveAddress({
+      ...address,
+      metadata: { name: 'Alice' },
+      nativeAmount: '250'
+    })
+
+    // Saving the request again keeps it locked:
+    await wallet.saveReceiveAddress({ ...address, nativeAmount: '300' })
+
+    // The fake engine only has one address, so there is nothing to hand out:
+    const error = await wallet.getReceiveAddress().then(() => void 0, e => e)
+    expect(error).to.be.an('error')
+    expect(error.message).to.equal(
+      'The engine has no unlocked receive addresses'
+    )
+  })
+
+  it('makes payment uris', async function () {
+    const currencyInfo: any = {
+      currencyCode: 'BTC',
+      currencyName: 'Bitcoin Cash',
+      denominations: [
+        { name: 'BTC', multiplier: '100000000' },
+        { name: 'mBTC', multiplier: '100000' }
+      ]
+    }
+    const address = {
+      publicAddress: 'address1',
+      metadata: { name: 'Coffee Shop', notes: 'Two lattes & a muffin' },
+      nativeAmount: '150000'
+    }
+
+    // Without an encoder, we build the URI ourselves:
+    expect(makePaymentUri(({}: any), currencyInfo, address)).to.equal(
+      'bitcoincash:address1?amount=0.0015' +
+        '&label=Coffee%20Shop&message=Two%20lattes%20%26%20a%20muffin'
+    )
+    expect(
+      makePaymentUri(({}: any), currencyInfo, {
+        publicAddress: 'address1',
+        nativeAmount: '0'
+      })
+    ).to.equal('bitcoincash:address1')
+
+    // The plugin's encoder gets the request:
+    const requests = []
+    const plugin: any = {
+      encodeUri (request) {
+        requests.push(request)
+        return 'plugin:uri'
+      }
+    }
+    expect(makePaymentUri(plugin, currencyInfo, address)).to.equal('plugin:uri')
+    expect(requests).to.deep.equal([
+      {
+        publicAddress: 'address1',
+        nativeAmount: '150000',
+        label: 'Coffee Shop',
+        message: 'Two lattes & a muffin'
+      }
+    ])
+
+    // The wallet's QR code holds the same URI:
+    const wallet = await makeFakeCurrencyWallet()
+    const receiveAddress = await wallet.getReceiveAddress()
+    expect(wallet.makeAddressQrCode(receiveAddress)).to.equal(
+      wallet.makeAddressUri(receiveAddress)
+    )
+  })
+
   // it('can have metadata', function () {
   //   const store = makeFakeCurrencyStore()
   //
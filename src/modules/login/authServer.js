@@ -5,12 +5,16 @@ import {
   ObsoleteApiError,
   OtpError,
   PasswordError,
+  SessionRevokedError,
   UsernameError
 } from '../../error.js'
 import { timeout } from '../../util/promise.js'
 import type { ApiInput } from '../root.js'
 
-function parseReply (json) {
+/**
+ * Unpacks an auth server reply, turning failures into errors.
+ */
+export function parseReply (json: Object) {
   switch (json.status_code) {
     case 0: // Success
       return json.results
@@ -31,6 +35,9 @@ function parseReply (json) {
     case 8: // Invalid OTP
       throw new OtpError(json.results)
 
+    case 9: // Session revoked
+      throw new SessionRevokedError()
+
     case 1000: // Endpoint obsolete
       throw new ObsoleteApiError()
 
@@ -75,6 +82,7 @@ export function authRequest (
         io.console.info(
           `${method} ${fullUri} returned ${response.status} in ${time}ms`
         )
+        checkClock(ai, response, start)
         return response.json().then(parseReply, jsonError => {
           throw new Error('Non-JSON reply, HTTP status ' + response.status)
         })
@@ -87,3 +95,23 @@ export function authRequest (
     new NetworkError('Could not reach the auth server: timeout')
   )
 }
+
+/**
+ * Compares our clock with the `Date` header on a server reply.
+ * The header only has 1-second resolution, so small changes don't count.
+ */
+function checkClock (ai: ApiInput, response: Response, start: number) {
+  const date = response.headers != null ? response.headers.get('date') : void 0
+  if (date == null) return
+  const serverTime = Date.parse(date)
+  if (isNaN(serverTime)) return
+
+  const clockOffset = Math.round((serverTime - (start + Date.now()) / 2) / 1000)
+  const oldOffset = ai.props.state.login.server.clockOffset
+  if (oldOffset == null || Math.abs(clockOffset - oldOffset) > 1) {
+    ai.props.dispatch({
+      type: 'LOGIN_SERVER_CLOCK_MEASURED',
+      payload: clockOffset
+    })
+  }
+}
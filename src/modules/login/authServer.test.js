@@ -0,0 +1,35 @@
+// @flow
+
+import { expect } from 'chai'
+import { describe, it } from 'mocha'
+
+import { authRequest } from './authServer.js'
+import { makeFakeAuthServer } from './fakeAuthServer.js'
+
+describe('auth server', function () {
+  it('measures the server clock', async function () {
+    const date = new Date(Date.now() + 60000).toUTCString()
+    const { ai, server } = makeFakeAuthServer({ date })
+    await authRequest(ai, 'GET', '/v2/test')
+
+    const { actions } = server
+    expect(actions).to.have.length(1)
+    expect(actions[0].type).to.equal('LOGIN_SERVER_CLOCK_MEASURED')
+    expect(actions[0].payload).to.be.within(58, 61)
+  })
+
+  it('ignores small clock changes', async function () {
+    const date = new Date(Date.now() + 60000).toUTCString()
+    const { ai, server } = makeFakeAuthServer({ date, clockOffset: 60 })
+    await authRequest(ai, 'GET', '/v2/test')
+    expect(server.actions).to.deep.equal([])
+  })
+
+  it('ignores missing or broken dates', async function () {
+    for (const date of [void 0, 'yesterday']) {
+      const { ai, server } = makeFakeAuthServer({ date })
+      await authRequest(ai, 'GET', '/v2/test')
+      expect(server.actions).to.deep.equal([])
+    }
+  })
+})
@@ -0,0 +1,150 @@
+// @flow
+
+import { locateFile, mapAllFiles } from 'disklet'
+
+import { PasswordError, UsernameError } from '../../error.js'
+import type {
+  DiskletFolder,
+  PlusultraWalletInfo
+} from '../../plusultra-core-index.js'
+import { decrypt, encrypt } from '../../util/crypto/crypto.js'
+import type { JsonBox } from '../../util/crypto/crypto.js'
+import { base64, utf8 } from '../../util/encoding.js'
+import type { ApiInput } from '../root.js'
+import type { JsonSnrp } from '../scrypt/scrypt-pixie.js'
+import { makeSnrp, scrypt } from '../scrypt/scrypt-selectors.js'
+import { makeRepoName } from '../storage/repo.js'
+import type { LoginStash } from './login-types.js'
+
+const backupFormat = 'plusultra-backup'
+const backupVersion = 1
+
+/**
+ * The outer archive, which is the only part stored in plain text.
+ */
+export type BackupArchive = {
+  format: string,
+  version: number,
+  snrp: JsonSnrp,
+  box: JsonBox
+}
+
+/**
+ * The data inside the archive's encrypted box.
+ * The repo files are copied as-is, so they remain encrypted as well.
+ */
+export type BackupContents = {
+  stash: LoginStash,
+  repos: { [repoName: string]: { [path: string]: string } }
+}
+
+/**
+ * Reads every file in a folder into a path-to-text map.
+ */
+function readFolder (
+  folder: DiskletFolder
+): Promise<{ [path: string]: string }> {
+  return mapAllFiles(folder, (file, path) =>
+    file.getText().then(text => ({ path, text }))
+  ).then(files => {
+    const out = {}
+    for (const { path, text } of files) out[path] = text
+    return out
+  })
+}
+
+/**
+ * Packs a login stash and its repos into a password-protected archive.
+ */
+export async function makeBackup (
+  ai: ApiInput,
+  username: string,
+  walletInfos: Array<PlusultraWalletInfo>,
+  password: string
+): Promise<string> {
+  const { io, loginStore } = ai.props
+
+  const stashTree = await loginStore.load(username)
+  if (stashTree.loginId == null) {
+    throw new Error(`Cannot find a local login for "${username}"`)
+  }
+  const stash = await loginStore.exportStash(stashTree, 'Back up your account')
+
+  const repos = {}
+  for (const walletInfo of walletInfos) {
+    const { syncKey } = walletInfo.keys
+    if (syncKey == null) continue
+
+    const repoName = makeRepoName(base64.parse(syncKey))
+    const files = await readFolder(io.folder.folder('repos').folder(repoName))
+    if (Object.keys(files).length) repos[repoName] = files
+  }
+
+  const contents: BackupContents = { stash, repos }
+  const snrp = await makeSnrp(ai)
+  const backupKey = await scrypt(ai, password, snrp)
+  const archive: BackupArchive = {
+    format: backupFormat,
+    version: backupVersion,
+    snrp,
+    box: encrypt(io, utf8.parse(JSON.stringify(contents)), backupKey)
+  }
+  return JSON.stringify(archive)
+}
+
+/**
+ * Unpacks a backup archive onto this device.
+ * Existing repos are left alone, since they may be newer than the backup.
+ * @return The restored username.
+ */
+export async function restoreBackup (
+  ai: ApiInput,
+  text: string,
+  password: string
+): Promise<string> {
+  const { io, loginStore } = ai.props
+
+  let archive: BackupArchive
+  try {
+    archive = JSON.parse(text)
+  } catch (e) {
+    throw new Error('This is not a backup archive')
+  }
+  if (archive.format !== backupFormat) {
+    throw new Error('This is not a backup archive')
+  }
+  if (archive.version !== backupVersion) {
+    throw new Error(`Unsupported backup version ${archive.version}`)
+  }
+
+  const backupKey = await scrypt(ai, password, archive.snrp)
+  let contents: BackupContents
+  try {
+    contents = JSON.parse(utf8.stringify(decrypt(archive.box, backupKey)))
+  } catch (e) {
+    throw new PasswordError({}, 'Invalid backup password')
+  }
+  const { repos, stash } = contents
+
+  // Never clobber a login that already lives here:
+  const usernames = await loginStore.listUsernames()
+  if (usernames.indexOf(stash.username) >= 0) {
+    throw new UsernameError('Account already exists on this device')
+  }
+
+  for (const repoName of Object.keys(repos)) {
+    const folder = io.folder.folder('repos').folder(repoName)
+    const existing = await mapAllFiles(folder, (file, path) => path)
+    if (existing.length) continue
+
+    const files = repos[repoName]
+    await Promise.all(
+      Object.keys(files).map(path =>
+        locateFile(folder, path).setText(files[path])
+      )
+    )
+  }
+  await loginStore.save(stash)
+
+  return stash.username
+}
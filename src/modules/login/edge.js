@@ -24,6 +24,10 @@ class ABCPlusultraLoginRequest {
  */
 function onReply (ai: ApiInput, subscription, reply, appId, opts) {
   subscription.unsubscribe()
+  if (reply.rejected) {
+    if (opts.onLogin != null) opts.onLogin(new Error('Login request rejected'))
+    return
+  }
   const stashTree = reply.loginStash
   const { io, loginStore } = ai.props
 
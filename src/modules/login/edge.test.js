@@ -5,6 +5,8 @@ import { describe, it } from 'mocha'
 
 import type { PlusultraLobby } from '../../plusultra-core-index.js'
 import { fakeUser, makeFakeContexts } from '../../plusultra-core-index.js'
+import type { ApiInput } from '../root.js'
+import { fetchLobbyRequest, makeLobby, sendLobbyReply } from './lobby.js'
 
 async function simulateRemoteApproval (remote, lobbyId: string) {
   const account = await remote.loginWithPIN(fakeUser.username, fakeUser.pin)
@@ -41,6 +43,124 @@ describe('plusultra login', function () {
     return context.loginWithPIN(fakeUser.username, fakeUser.pin)
   })
 
+  it('reject', async function () {
+    const [context, remote] = makeFakeContexts(
+      { appId: 'test-child' },
+      { localFakeUser: true }
+    )
+
+    const error = await new Promise((resolve, reject) => {
+      const opts = {
+        onLogin: (err, account) => resolve(err),
+        displayName: 'test suite'
+      }
+      return context
+        .requestPlusultraLogin(opts)
+        .then(async pending => {
+          const account = await remote.loginWithPIN(
+            fakeUser.username,
+            fakeUser.pin
+          )
+          const { loginRequest } = await account.fetchLobby(pending.id)
+          if (!loginRequest) throw new Error('No login request')
+          return loginRequest.reject()
+        })
+        .catch(reject)
+    })
+    expect(error).to.be.an('error')
+  })
+
+  it('checks other request types', async function () {
+    const [context, remote] = makeFakeContexts({}, { localFakeUser: true })
+    const ai: ApiInput = (context: any).internalUnitTestingHack()
+    const account = await remote.loginWithPIN(fakeUser.username, fakeUser.pin)
+
+    const good = await makeLobby(ai, { repoRequest: { repoType: 'a' } })
+    const lobby = await account.fetchLobby(good.lobbyId)
+    if (!lobby.repoRequest) throw new Error('No repo request')
+    expect(lobby.repoRequest.repoType).to.equal('a')
+    expect(lobby.loginRequest).to.equal(undefined)
+
+    const bad = await makeLobby(ai, { signRequest: { walletId: 1 } })
+    await account
+      .fetchLobby(bad.lobbyId)
+      .then(
+        () => Promise.reject(new Error('Should fail')),
+        e => expect(e.name).to.equal('TypeError')
+      )
+  })
+
+  it('requests a repo', async function () {
+    const [context, remote] = makeFakeContexts({}, { localFakeUser: true })
+    const account = await remote.loginWithPIN(fakeUser.username, fakeUser.pin)
+    const walletInfo = account.allKeys.find(
+      info => info.keys.dataKey != null && info.keys.syncKey != null
+    )
+    if (walletInfo == null) throw new Error('No repo to share')
+
+    const reply = await new Promise((resolve, reject) => {
+      const onReply = (e, reply) => (e != null ? reject(e) : resolve(reply))
+      return context
+        .requestRepo({ repoType: walletInfo.type, onReply })
+        .then(async pending => {
+          const { repoRequest } = await account.fetchLobby(pending.id)
+          if (!repoRequest) throw new Error('No repo request')
+          return repoRequest.approve(walletInfo.id)
+        })
+        .catch(reject)
+    })
+    expect(reply).to.deep.equal({
+      id: walletInfo.id,
+      type: walletInfo.type,
+      keys: {
+        dataKey: walletInfo.keys.dataKey,
+        syncKey: walletInfo.keys.syncKey
+      }
+    })
+  })
+
+  it('reports rejected requests', async function () {
+    const [context, remote] = makeFakeContexts({}, { localFakeUser: true })
+    const account = await remote.loginWithPIN(fakeUser.username, fakeUser.pin)
+
+    const error = await new Promise((resolve, reject) => {
+      const onReply = (e, reply) => resolve(e)
+      return context
+        .requestPublicKey({ walletType: 'wallet:fakecoin', onReply })
+        .then(async pending => {
+          const { publicKeyRequest } = await account.fetchLobby(pending.id)
+          if (!publicKeyRequest) throw new Error('No public key request')
+          expect(publicKeyRequest.walletType).to.equal('wallet:fakecoin')
+          return publicKeyRequest.reject()
+        })
+        .catch(reject)
+    })
+    expect(error).to.be.an('error')
+  })
+
+  it('checks replies', async function () {
+    const [context, remote] = makeFakeContexts({}, {})
+    const ai: ApiInput = (remote: any).internalUnitTestingHack()
+
+    const error = await new Promise((resolve, reject) => {
+      const onReply = (e, reply) => resolve(e)
+      const transaction: any = { txid: 'fake' }
+      return context
+        .requestSignature({ walletId: 'fake', transaction, onReply })
+        .then(async pending => {
+          const request = await fetchLobbyRequest(ai, pending.id)
+          expect(request.signRequest).to.deep.equal({
+            walletId: 'fake',
+            transaction
+          })
+          return sendLobbyReply(ai, pending.id, request, { transaction: 1 })
+        })
+        .catch(reject)
+    })
+    expect(error).to.be.an('error')
+    expect(error.name).to.equal('TypeError')
+  })
+
   it('cancel', async function () {
     const [context] = makeFakeContexts({})
 
@@ -0,0 +1,62 @@
+// @flow
+
+import { makeFakeIos } from '../../edge-core-index.js'
+import { fixIo } from '../../io/fixIo.js'
+import { LoginStore } from './loginStore.js'
+import type { LoginStoreOptions } from './loginStore.js'
+
+export type FakeAuthServerOptions = {
+  reply?: Object, // The JSON the server sends back
+  date?: string, // The server's `Date` header
+  clockOffset?: number, // How far off we already think the server clock is
+  loginStore?: LoginStoreOptions, // Settings for the fake's login store
+  props?: Object // Extra `ApiInput` props the test needs
+}
+
+/**
+ * Makes just enough of an `ApiInput` to talk to a fake auth server,
+ * which gives the same reply to every request.
+ * Tests can change `server.reply` between requests.
+ */
+export function makeFakeAuthServer (opts: FakeAuthServerOptions = {}) {
+  const { clockOffset, props } = opts
+  const [io] = makeFakeIos(1).map(fixIo)
+
+  const server = {
+    actions: [],
+    date: opts.date,
+    reply: opts.reply != null ? opts.reply : { status_code: 0, results: {} },
+    requests: []
+  }
+
+  const ai: any = {
+    props: {
+      dispatch: action => server.actions.push(action),
+      io: {
+        ...io,
+        fetch: (uri, opts = {}) => {
+          server.requests.push({
+            method: opts.method,
+            body: opts.body != null ? JSON.parse(opts.body) : void 0
+          })
+          return Promise.resolve({
+            status: 200,
+            headers: { get: name => (name === 'date' ? server.date : null) },
+            json: () => Promise.resolve(server.reply)
+          })
+        }
+      },
+      loginStore: new LoginStore(io, opts.loginStore),
+      onError (e) {
+        throw e
+      },
+      state: {
+        login: {
+          server: { apiKey: 'fake', uri: 'https://example.com', clockOffset }
+        }
+      },
+      ...props
+    }
+  }
+  return { ai, io, server }
+}
@@ -0,0 +1,33 @@
+// @flow
+
+import type { PlusultraSecureStorage } from '../../plusultra-core-index.js'
+
+export type FakeSecureStorage = PlusultraSecureStorage & {
+  items: { [key: string]: string }, // Everything the keychain holds
+  prompts: Array<string> // Every unlock prompt the keychain has shown
+}
+
+/**
+ * Makes an in-memory keychain, which unlocks without asking,
+ * but records the prompts it would have shown.
+ */
+export function makeFakeSecureStorage (): FakeSecureStorage {
+  const items = {}
+  const prompts = []
+  return {
+    items,
+    prompts,
+    get (key, prompt) {
+      if (prompt != null) prompts.push(prompt)
+      return Promise.resolve(items[key])
+    },
+    set (key, value) {
+      items[key] = value
+      return Promise.resolve()
+    },
+    delete (key) {
+      delete items[key]
+      return Promise.resolve()
+    }
+  }
+}
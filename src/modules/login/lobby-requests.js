@@ -0,0 +1,128 @@
+// @flow
+
+import type {
+  PlusultraPendingLobbyRequest,
+  PlusultraPublicKeyReply,
+  PlusultraRepoReply,
+  PlusultraSignReply,
+  PlusultraTransaction
+} from '../../plusultra-core-index.js'
+import type { ApiInput } from '../root.js'
+import { checkLobbySchema, makeLobby } from './lobby.js'
+import type { LobbySchema } from './lobby.js'
+
+/**
+ * The public API for lobby requests to another device.
+ */
+class PendingLobbyRequest {
+  id: string
+  cancelRequest: () => void
+
+  constructor (lobbyId, subscription) {
+    this.id = lobbyId
+    this.cancelRequest = () => subscription.unsubscribe()
+  }
+}
+
+/**
+ * Places a typed request in a new lobby,
+ * and passes the first reply to `onReply` once it checks out.
+ * @param key The request type, such as `repoRequest`.
+ * @param schema The fields a valid reply must have.
+ */
+function requestLobbyReply<Reply> (
+  ai: ApiInput,
+  key: string,
+  request: Object,
+  schema: LobbySchema,
+  onReply: (e?: Error, reply?: Reply) => mixed
+): Promise<PlusultraPendingLobbyRequest> {
+  return makeLobby(ai, { [key]: request }).then(lobby => {
+    const subscription = lobby.subscribe(
+      reply => {
+        subscription.unsubscribe()
+        if (reply.rejected) {
+          return onReply(new Error('Lobby request rejected'))
+        }
+        try {
+          checkLobbySchema(key + ' reply', schema, reply)
+        } catch (e) {
+          return onReply(e)
+        }
+        onReply(void 0, reply)
+      },
+      e => onReply(e)
+    )
+    return new PendingLobbyRequest(lobby.lobbyId, subscription)
+  })
+}
+
+/**
+ * Asks another device for a wallet's public keys.
+ */
+export function requestPublicKey (
+  ai: ApiInput,
+  walletType: string,
+  onReply: (e?: Error, reply?: PlusultraPublicKeyReply) => mixed
+): Promise<PlusultraPendingLobbyRequest> {
+  return requestLobbyReply(
+    ai,
+    'publicKeyRequest',
+    { walletType },
+    { walletId: 'string', walletType: 'string', keys: 'object' },
+    (e, reply) => {
+      if (reply != null && reply.walletType !== walletType) {
+        return onReply(new TypeError('Invalid publicKeyRequest reply type'))
+      }
+      onReply(e, reply)
+    }
+  )
+}
+
+/**
+ * Asks another device to sign a transaction we have prepared.
+ */
+export function requestSignature (
+  ai: ApiInput,
+  walletId: string,
+  transaction: PlusultraTransaction,
+  onReply: (e?: Error, reply?: PlusultraSignReply) => mixed
+): Promise<PlusultraPendingLobbyRequest> {
+  const unsignedTx = { ...transaction }
+  delete unsignedTx.wallet // The API object can't go over the wire
+
+  return requestLobbyReply(
+    ai,
+    'signRequest',
+    { walletId, transaction: unsignedTx },
+    { transaction: 'object' },
+    onReply
+  )
+}
+
+/**
+ * Asks another device to share one of its wallet repos.
+ */
+export function requestRepo (
+  ai: ApiInput,
+  repoType: string,
+  onReply: (e?: Error, reply?: PlusultraRepoReply) => mixed
+): Promise<PlusultraPendingLobbyRequest> {
+  return requestLobbyReply(
+    ai,
+    'repoRequest',
+    { repoType },
+    { id: 'string', type: 'string', keys: 'object' },
+    (e, reply) => {
+      if (
+        reply != null &&
+        (reply.type !== repoType ||
+          typeof reply.keys.dataKey !== 'string' ||
+          typeof reply.keys.syncKey !== 'string')
+      ) {
+        return onReply(new TypeError('Invalid repoRequest reply'))
+      }
+      onReply(e, reply)
+    }
+  )
+}
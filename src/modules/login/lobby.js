@@ -10,11 +10,15 @@ import type { JsonBox } from '../../util/crypto/crypto.js'
 import { elliptic } from '../../util/crypto/external.js'
 import { base58, base64, utf8 } from '../../util/encoding.js'
 import type { ApiInput } from '../root.js'
-import { authRequest } from './authServer.js'
+import { authRequest, parseReply } from './authServer.js'
 
 const EC = elliptic.ec
 const secp256k1 = new EC('secp256k1')
 
+// Lobby watching limits, in milliseconds:
+const maxPollPeriod = 5000 // Idle polling slows down to this
+const socketTimeout = 10000 // Give up on the push channel after this
+
 // The JSON structure placed in the lobby as a reply:
 export interface LobbyReply {
   publicKey: string;
@@ -26,9 +30,35 @@ export interface LobbyRequest {
   timeout?: number;
   publicKey?: string;
   loginRequest?: Object;
+  publicKeyRequest?: Object;
+  signRequest?: Object;
+  repoRequest?: Object;
   replies?: Array<LobbyReply>;
 }
 
+// Required fields for a lobby message, and their types:
+export type LobbySchema = { [field: string]: 'string' | 'object' }
+
+/**
+ * Verifies that a lobby message has the fields its type requires.
+ */
+export function checkLobbySchema (
+  name: string,
+  schema: LobbySchema,
+  json: mixed
+) {
+  if (json == null || typeof json !== 'object') {
+    throw new TypeError(`Invalid ${name}`)
+  }
+  for (const field of Object.keys(schema)) {
+    const value = json[field]
+    const type = typeof value
+    if (value == null || type !== schema[field]) {
+      throw new TypeError(`Invalid ${name}.${field}`)
+    }
+  }
+}
+
 /**
  * Derives a shared secret from the given secret key and public key.
  */
@@ -75,7 +105,11 @@ class ObservableLobby {
   onError: (e: Error) => void
   onReply: (reply: Object) => void
   period: number
+  pollPeriod: number // Grows while the lobby is idle
+  pushing: boolean // True while the push channel is open
   replyCount: number
+  socket: WebSocket | void
+  socketTimeout: number // Gives up if the push channel won't open
   timeout: number
 
   constructor (ai: ApiInput, lobbyId: string, keypair) {
@@ -88,8 +122,11 @@ class ObservableLobby {
     this.onReply = onReply
     this.onError = onError
     this.period = period
+    this.pollPeriod = period
+    this.pushing = false
     this.replyCount = 0
     this.done = false
+    connectLobby(this)
     pollLobby(this)
 
     const subscription = {
@@ -98,33 +135,119 @@ class ObservableLobby {
         if (this.timeout != null) {
           clearTimeout(this.timeout)
         }
+        if (this.socket != null) {
+          clearTimeout(this.socketTimeout)
+          this.socket.close()
+        }
       }
     }
     return subscription
   }
 }
 
+/**
+ * Passes any replies we haven't seen yet to the subscriber, in order.
+ * The push channel and the poller both deliver through here,
+ * so neither one can repeat or skip a reply.
+ * @return True if there were new replies.
+ */
+function handleReplies (
+  watcher: ObservableLobby,
+  replies: Array<LobbyReply>
+): boolean {
+  const { keypair, onReply } = watcher
+  const startCount = watcher.replyCount
+
+  while (watcher.replyCount < replies.length) {
+    const lobbyReply = replies[watcher.replyCount]
+    if (onReply) {
+      onReply(decryptLobbyReply(keypair, lobbyReply))
+    }
+    ++watcher.replyCount
+  }
+
+  return watcher.replyCount > startCount
+}
+
+/**
+ * Opens a push channel to the auth server, if the server supports one.
+ * The server sends the same JSON as the lobby GET endpoint,
+ * once on connection and again whenever a reply arrives.
+ * We keep polling until the channel opens, and go back to polling
+ * if it closes early.
+ */
+function connectLobby (watcher: ObservableLobby) {
+  const { ai, lobbyId } = watcher
+  const { io, state } = ai.props
+  const uri =
+    state.login.server.uri.replace(/^http/, 'ws') + '/v2/lobby/' + lobbyId
+
+  let socket
+  try {
+    socket = new io.WebSocket(uri)
+  } catch (e) {
+    return
+  }
+  watcher.socket = socket
+  watcher.socketTimeout = setTimeout(() => socket.close(), socketTimeout)
+
+  socket.onopen = () => {
+    clearTimeout(watcher.socketTimeout)
+    if (watcher.done) return socket.close()
+
+    watcher.pushing = true
+    if (watcher.timeout != null) clearTimeout(watcher.timeout)
+  }
+
+  socket.onmessage = (event: MessageEvent) => {
+    if (watcher.done) return
+
+    try {
+      if (typeof event.data !== 'string') throw new Error('Bad lobby message')
+      handleReplies(watcher, parseReply(JSON.parse(event.data)).replies)
+    } catch (e) {
+      if (watcher.onError) watcher.onError(e)
+      watcher.done = true
+      socket.close()
+    }
+  }
+
+  // Failures show up as a close event too:
+  socket.onerror = () => {}
+
+  socket.onclose = () => {
+    clearTimeout(watcher.socketTimeout)
+    watcher.socket = void 0
+    if (!watcher.pushing) return
+
+    // Fall back to polling:
+    watcher.pushing = false
+    watcher.pollPeriod = watcher.period
+    if (!watcher.done) pollLobby(watcher)
+  }
+}
+
 function pollLobby (watcher: ObservableLobby) {
-  const { ai, lobbyId, keypair, onReply, onError } = watcher
+  const { ai, lobbyId, onError, period } = watcher
 
   return authRequest(ai, 'GET', '/v2/lobby/' + lobbyId, {})
     .then(reply => {
       // Process any new replies that have arrived on the server:
-      while (watcher.replyCount < reply.replies.length) {
-        const lobbyReply = reply.replies[watcher.replyCount]
-        if (onReply) {
-          onReply(decryptLobbyReply(keypair, lobbyReply))
-        }
-        ++watcher.replyCount
-      }
+      const changed = handleReplies(watcher, reply.replies)
 
-      // Schedule another poll:
-      if (!watcher.done) {
-        watcher.timeout = setTimeout(() => pollLobby(watcher), watcher.period)
+      // Schedule another poll, backing off while nothing happens:
+      if (!watcher.done && !watcher.pushing) {
+        watcher.pollPeriod = changed
+          ? period
+          : Math.min(watcher.pollPeriod * 1.5, Math.max(period, maxPollPeriod))
+        watcher.timeout = setTimeout(
+          () => pollLobby(watcher),
+          watcher.pollPeriod
+        )
       }
     })
     .catch(e => {
-      if (onError) onError(e)
+      if (onError && !watcher.pushing) onError(e)
     })
 }
 
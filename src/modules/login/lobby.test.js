@@ -4,7 +4,9 @@ import { assert } from 'chai'
 import elliptic from 'elliptic'
 import { describe, it } from 'mocha'
 
+import { fixIo } from '../../io/fixIo.js'
 import { makeFakeContexts, makeFakeIos } from '../../plusultra-core-index.js'
+import { base64 } from '../../util/encoding.js'
 import type { ApiInput } from '../root.js'
 import {
   decryptLobbyReply,
@@ -17,6 +19,49 @@ import {
 const EC = elliptic.ec
 const secp256k1 = new EC('secp256k1')
 
+function snooze (ms: number) {
+  return new Promise(resolve => setTimeout(resolve, ms))
+}
+
+/**
+ * Fakes just enough of the auth server to host lobbies,
+ * with the given WebSocket class standing in for the push channel.
+ */
+function makeLobbyAi (WebSocket: any) {
+  const lobbies = {}
+  const server = { gets: 0, lobbies }
+
+  function fetch (uri: string, opts: Object) {
+    const lobbyId = uri.split('/').pop()
+    if (opts.method === 'PUT') {
+      const { data } = JSON.parse(opts.body)
+      lobbies[lobbyId] = { request: data, replies: [] }
+    } else {
+      ++server.gets
+    }
+    const json = { status_code: 0, results: lobbies[lobbyId] }
+    return Promise.resolve({ status: 200, json: () => Promise.resolve(json) })
+  }
+
+  const [io] = makeFakeIos(1)
+  const ai: any = {
+    props: {
+      io: fixIo({ ...io, fetch, WebSocket }),
+      state: { login: { server: { apiKey: 'x', uri: 'https://test/api' } } }
+    }
+  }
+  return { ai, server }
+}
+
+function makeReplies (ai: ApiInput, lobbyRequest: Object, count: number) {
+  const pubkey = base64.parse(lobbyRequest.publicKey)
+  const out = []
+  for (let n = 0; n < count; ++n) {
+    out.push(encryptLobbyReply(ai.props.io, pubkey, { n }))
+  }
+  return out
+}
+
 describe('plusultra login lobby', function () {
   it('round-trip data', function () {
     const [io] = makeFakeIos(1)
@@ -57,4 +102,90 @@ describe('plusultra login lobby', function () {
         .catch(reject)
     })
   })
+
+  it('receives replies over a push channel', async function () {
+    const sockets = []
+    class FakeSocket {
+      closed: boolean
+      onopen: Function
+      onmessage: Function
+      uri: string
+
+      constructor (uri: string) {
+        this.closed = false
+        this.uri = uri
+        sockets.push(this)
+        setTimeout(() => this.onopen(), 0)
+      }
+
+      close () {
+        this.closed = true
+      }
+    }
+    const { ai, server } = makeLobbyAi(FakeSocket)
+    const lobby = await makeLobby(ai, {})
+    const lobbyReplies = makeReplies(
+      ai,
+      server.lobbies[lobby.lobbyId].request,
+      2
+    )
+
+    const replies = []
+    const subscription = lobby.subscribe(
+      reply => replies.push(reply),
+      e => assert.fail(e.message),
+      10
+    )
+    await snooze(50)
+    const [socket] = sockets
+    assert.equal(socket.uri, 'wss://test/api/v2/lobby/' + lobby.lobbyId)
+
+    // Repeated replies only show up once:
+    const push = replies =>
+      socket.onmessage({
+        data: JSON.stringify({ status_code: 0, results: { replies } })
+      })
+    push(lobbyReplies.slice(0, 1))
+    push(lobbyReplies)
+    assert.deepEqual(replies, [{ n: 0 }, { n: 1 }])
+
+    // We stopped polling once the channel opened:
+    assert.equal(server.gets, 1)
+    subscription.unsubscribe()
+    assert.equal(socket.closed, true)
+  })
+
+  it('polls again when the push channel drops', async function () {
+    const sockets = []
+    class FakeSocket {
+      onopen: Function
+      onclose: Function
+
+      constructor (uri: string) {
+        sockets.push(this)
+        setTimeout(() => this.onopen(), 0)
+      }
+
+      close () {
+        this.onclose()
+      }
+    }
+    const { ai, server } = makeLobbyAi(FakeSocket)
+    const lobby = await makeLobby(ai, {})
+    const { replies, request } = server.lobbies[lobby.lobbyId]
+
+    const subscription = await new Promise((resolve, reject) => {
+      const subscription = lobby.subscribe(
+        reply => resolve(subscription),
+        reject,
+        10
+      )
+      snooze(50).then(() => {
+        replies.push(...makeReplies(ai, request, 1))
+        sockets[0].close()
+      })
+    })
+    subscription.unsubscribe()
+    assert.equal(server.gets, 2)
+  })
 })
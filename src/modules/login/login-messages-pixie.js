@@ -0,0 +1,59 @@
+// @flow
+
+import { errorNames } from '../../error.js'
+import type { ApiInput, ApiProps } from '../root.js'
+import { fetchLoginMessages } from './login.js'
+
+/**
+ * Polls the auth server for login messages,
+ * passing them to the `onLoginMessages` callback whenever they change.
+ * @param pollDelay How often to check the server, in milliseconds.
+ */
+export function makeLoginMessagesPixie (pollDelay: number = 5 * 60 * 1000) {
+  return (ai: ApiInput) => {
+    let started = false
+    let stopped = false
+    let timeout: number | void
+    let lastMessages: string | void
+
+    function doFetch (): Promise<void> {
+      return fetchLoginMessages(ai)
+        .then(
+          messages => {
+            const { onLoginMessages } = ai.props
+            const json = JSON.stringify(messages)
+            if (json === lastMessages || onLoginMessages == null) return
+            lastMessages = json
+
+            try {
+              onLoginMessages(messages)
+            } catch (e) {
+              ai.props.onError(e)
+            }
+          },
+          e => {
+            // Being offline is normal, so just try again later:
+            if (e.name !== errorNames.NetworkError) ai.props.onError(e)
+          }
+        )
+        .then(() => {
+          if (!stopped) timeout = setTimeout(doFetch, pollDelay)
+        })
+    }
+
+    return {
+      update (props: ApiProps): Promise<void> | void {
+        // Only bother the server if somebody is listening:
+        if (!started && props.onLoginMessages != null) {
+          started = true
+          return doFetch()
+        }
+      },
+
+      destroy () {
+        stopped = true
+        clearTimeout(timeout)
+      }
+    }
+  }
+}
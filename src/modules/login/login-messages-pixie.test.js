@@ -0,0 +1,67 @@
+// @flow
+
+import { expect } from 'chai'
+import { describe, it } from 'mocha'
+
+import { base64 } from '../../util/encoding.js'
+import { makeFakeAuthServer } from './fakeAuthServer.js'
+import { makeLoginMessagesPixie } from './login-messages-pixie.js'
+
+const loginId = base64.stringify(new Uint8Array(32))
+
+/**
+ * Checks a condition until it comes true.
+ */
+function waitFor (condition: () => boolean): Promise<void> {
+  return new Promise(resolve => {
+    const check = () => (condition() ? resolve() : setTimeout(check, 1))
+    check()
+  })
+}
+
+describe('login messages pixie', function () {
+  it('polls for new messages', async function () {
+    const calls = []
+    const { ai, server } = makeFakeAuthServer({
+      reply: {
+        status_code: 0,
+        results: [{ loginId, otpResetPending: false }]
+      },
+      props: { onLoginMessages: messages => calls.push(messages) }
+    })
+    await ai.props.loginStore.save({
+      appId: '',
+      loginId,
+      username: 'js test 0'
+    })
+
+    const pixie = makeLoginMessagesPixie(1)(ai)
+    await pixie.update(ai.props)
+    expect(calls).to.deep.equal([
+      {
+        'js test 0': {
+          otpResetPending: false,
+          recovery2Corrupt: false,
+          messages: []
+        }
+      }
+    ])
+
+    // The same messages don't trigger the callback again.
+    // The third request only goes out once the second one is done:
+    await waitFor(() => server.requests.length >= 3)
+    expect(calls).to.have.length(1)
+
+    // But new ones do:
+    server.reply = {
+      status_code: 0,
+      results: [{ loginId, pendingLobbies: ['lobby'] }]
+    }
+    await waitFor(() => calls.length >= 2)
+    expect(calls[1]['js test 0'].messages).to.deep.equal([
+      { type: 'lobbyRequest', lobbyId: 'lobby' }
+    ])
+
+    pixie.destroy()
+  })
+})
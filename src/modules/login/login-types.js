@@ -8,6 +8,9 @@ export type LoginReply = Object
 export type LoginTree = Object
 export type ServerPayload = Object
 
+// Secrets that can live in the platform's secure storage:
+export type SecretName = 'otpKey' | 'pin2Key' | 'recovery2Key'
+
 /**
  * The login data we store on disk.
  */
@@ -21,6 +24,8 @@ export type LoginStash = {
 
   // 2-factor:
   otpKey?: string,
+  otpClockOffset?: number, // Server time minus our time, in seconds
+  otpLastStep?: number, // The newest OTP time step we have used
   otpResetDate?: number,
   otpTimeout?: number,
 
@@ -36,6 +41,9 @@ export type LoginStash = {
   // Recovery login:
   recovery2Key?: string,
 
+  // Secrets kept in secure storage instead of this file:
+  secureKeys?: Array<SecretName>,
+
   // Resources:
   children?: Array<LoginStash>,
   keyBoxes?: Array<JsonBox>,
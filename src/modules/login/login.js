@@ -3,9 +3,13 @@
  */
 // @flow
 
-import type { PlusultraLoginMessages } from '../../plusultra-core-index.js'
+import { errorNames } from '../../error.js'
+import type {
+  PlusultraLoginMessage,
+  PlusultraLoginMessages
+} from '../../plusultra-core-index.js'
 import { decrypt, hmacSha256 } from '../../util/crypto/crypto.js'
-import { totp } from '../../util/crypto/hotp.js'
+import { getTotpStep, getTotpStepStart, totp } from '../../util/crypto/hotp.js'
 import { base64, utf8 } from '../../util/encoding.js'
 import { elvis, filterObject, softCat } from '../../util/util.js'
 import type { ApiInput } from '../root.js'
@@ -93,6 +97,15 @@ function applyLoginReplyInner (stash, loginKey, loginReply) {
   out.username = stash.username
   out.userId = stash.userId
   out.otpKey = stash.otpKey
+  out.otpClockOffset = stash.otpClockOffset
+  out.otpLastStep = stash.otpLastStep
+
+  // Secrets in secure storage stay there, unless the server drops them:
+  if (stash.secureKeys != null) {
+    out.secureKeys = stash.secureKeys
+    out.pin2Key = void 0
+    out.recovery2Key = void 0
+  }
 
   // Store the pin key unencrypted:
   if (loginReply.pin2KeyBox != null) {
@@ -161,6 +174,7 @@ function makeLoginTreeInner (stash, loginKey) {
   login.loginId = stash.loginId
   login.loginKey = loginKey
   login.otpKey = stash.otpKey
+  login.otpClockOffset = stash.otpClockOffset
   login.otpResetDate = stash.otpResetDate
   login.otpTimeout = stash.otpTimeout
 
@@ -283,8 +297,8 @@ export function applyKit (ai: ApiInput, loginTree: LoginTree, kit: LoginKit) {
   const login = searchTree(loginTree, login => login.loginId === loginId)
   if (!login) throw new Error('Cannot apply kit: missing login')
 
-  return loginStore.load(loginTree.username).then(stashTree => {
-    const request: Object = makeAuthJson(login)
+  return makeAuthJson(ai, login).then(async request => {
+    const stashTree = await loginStore.load(loginTree.username)
     request.data = kit.server
     return authRequest(ai, serverMethod, serverPath, request).then(reply => {
       const newLoginTree = updateTree(
@@ -323,38 +337,144 @@ export function syncLogin (
   login: LoginTree
 ): Promise<LoginTree> {
   const { loginStore } = ai.props
-  return loginStore.load(loginTree.username).then(stashTree => {
-    const request = makeAuthJson(login)
-    return authRequest(ai, 'POST', '/v2/login', request).then(reply => {
-      const newStashTree = applyLoginReply(stashTree, login.loginKey, reply)
-      const newLoginTree = makeLoginTree(stashTree, login.loginKey, login.appId)
-
-      return loginStore.save(newStashTree).then(() => newLoginTree)
-    })
+  return makeAuthJson(ai, login).then(async request => {
+    const stashTree = await loginStore.load(loginTree.username)
+    return authRequest(ai, 'POST', '/v2/login', request).then(
+      reply => {
+        const newStashTree = applyLoginReply(stashTree, login.loginKey, reply)
+        const newLoginTree = makeLoginTree(
+          stashTree,
+          login.loginKey,
+          login.appId
+        )
+
+        return loginStore.save(newStashTree).then(() => newLoginTree)
+      },
+      e => {
+        if (e.name !== errorNames.SessionRevokedError) throw e
+
+        // Our saved credentials are dead, so stop using them:
+        return loginStore.save(forgetLoginAuth(stashTree)).then(() => {
+          throw e
+        })
+      }
+    )
   })
 }
 
+/**
+ * Removes the saved `loginAuth` from every node in a stash tree.
+ */
+function forgetLoginAuth (stash: LoginStash): LoginStash {
+  const { loginAuthBox, children, ...rest } = stash
+  return children != null
+    ? { ...rest, children: children.map(forgetLoginAuth) }
+    : rest
+}
+
 /**
  * Sets up a login v2 server authorization JSON.
  */
-export function makeAuthJson (login: LoginTree) {
+export async function makeAuthJson (
+  ai: ApiInput,
+  login: LoginTree
+): Promise<Object> {
+  const { loginStore } = ai.props
+  const deviceId = await loginStore.loadDeviceId()
+
   if (login.loginAuth != null) {
     return {
+      deviceId,
       loginId: login.loginId,
       loginAuth: base64.stringify(login.loginAuth),
-      otp: totp(login.otpKey)
+      otp: await makeOtp(ai, login.loginId, login.otpKey, login.otpClockOffset)
     }
   }
   if (login.passwordAuth != null) {
     return {
+      deviceId,
       userId: login.userId,
       passwordAuth: base64.stringify(login.passwordAuth),
-      otp: totp(login.otpKey)
+      otp: await makeOtp(ai, login.loginId, login.otpKey, login.otpClockOffset)
     }
   }
   throw new Error('No server authentication methods available')
 }
 
+/**
+ * Makes an OTP code, correcting for the difference between our clock
+ * and the auth server's clock.
+ * Each code uses up a time step, which the login store saves,
+ * so we don't send the same code twice if we can help it.
+ */
+export async function makeOtp (
+  ai: ApiInput,
+  loginId: string | void,
+  otpKey: string | void,
+  clockOffset: number = 0
+): Promise<string | void> {
+  if (otpKey == null) return
+
+  const { loginStore } = ai.props
+  const step = await loginStore.saveOtpStep(loginId, lastStep =>
+    pickOtpStep(clockOffset, lastStep, loginStore.otpWindow)
+  )
+  return totp(otpKey, getTotpStepStart(step))
+}
+
+/**
+ * Picks the time step for our next OTP code.
+ * Steps we have already used get skipped while the server
+ * would still take the code, but once the whole window is used up,
+ * we send the newest code the server will take, rather than stalling.
+ * @param lastStep The newest step we have already used, if any.
+ * @param window How many steps of clock drift the server allows.
+ */
+export function pickOtpStep (
+  clockOffset: number,
+  lastStep: number | void,
+  window: number
+): number {
+  const step = getTotpStep(Date.now() / 1000 + clockOffset)
+  if (lastStep == null || lastStep < step) return step
+  return Math.min(lastStep + 1, step + window)
+}
+
+/**
+ * Sends a login request that needs an OTP code.
+ * If the server rejects the code, but its reply shows that our clock
+ * is off, we try once more using the server's time.
+ * @param clockOffset The clock offset that worked last time, if any.
+ * @return The reply, along with the clock offset that worked.
+ */
+export async function otpRequest<T> (
+  ai: ApiInput,
+  loginId: string | void,
+  otpKey: string | void,
+  clockOffset: number = 0,
+  request: (otp: string | void) => Promise<T>
+): Promise<{ reply: T, clockOffset: number }> {
+  try {
+    const reply = await request(await makeOtp(ai, loginId, otpKey, clockOffset))
+    return { reply, clockOffset }
+  } catch (e) {
+    const serverOffset = ai.props.state.login.server.clockOffset
+    const now = Date.now() / 1000
+    if (
+      e.name !== errorNames.OtpError ||
+      otpKey == null ||
+      serverOffset == null ||
+      getTotpStep(now + serverOffset) === getTotpStep(now + clockOffset)
+    ) {
+      throw e
+    }
+    const reply = await request(
+      await makeOtp(ai, loginId, otpKey, serverOffset)
+    )
+    return { reply, clockOffset: serverOffset }
+  }
+}
+
 /**
  * Requests an OTP reset.
  */
@@ -376,19 +496,60 @@ export async function resetOtp (
 /**
  * Fetches any login-related messages for all the users on this device.
  */
-export function fetchLoginMessages (ai: ApiInput): Promise<PlusultraLoginMessages> {
+export function fetchLoginMessages (
+  ai: ApiInput
+): Promise<PlusultraLoginMessages> {
   const { loginStore } = ai.props
   return loginStore.mapLoginIds().then(loginMap => {
     const request = {
       loginIds: Object.keys(loginMap)
     }
+    if (request.loginIds.length === 0) return {}
+
     return authRequest(ai, 'POST', '/v2/messages', request).then(reply => {
       const out = {}
       for (const message of reply) {
         const username = loginMap[message.loginId]
-        if (username) out[username] = message
+        if (username) {
+          out[username] = {
+            otpResetPending: !!message.otpResetPending,
+            recovery2Corrupt: !!message.recovery2Corrupt,
+            messages: parseLoginMessages(message)
+          }
+        }
       }
       return out
     })
   })
 }
+
+/**
+ * Sorts the server's per-user message blob into typed messages.
+ */
+function parseLoginMessages (message: Object): Array<PlusultraLoginMessage> {
+  // The server returns dates as ISO 8601 formatted strings:
+  const parseDate = (date: string | void) =>
+    date != null ? new Date(date) : void 0
+
+  const out: Array<PlusultraLoginMessage> = []
+  if (message.otpResetPending) {
+    out.push({ type: 'otpReset', resetDate: parseDate(message.otpResetDate) })
+  }
+  if (message.recovery2Pending) {
+    out.push({
+      type: 'passwordRecovery',
+      date: parseDate(message.recovery2Date)
+    })
+  }
+  for (const alert of message.securityAlerts || []) {
+    out.push({
+      type: 'securityAlert',
+      message: alert.message,
+      date: parseDate(alert.date)
+    })
+  }
+  for (const lobbyId of message.pendingLobbies || []) {
+    out.push({ type: 'lobbyRequest', lobbyId })
+  }
+  return out
+}
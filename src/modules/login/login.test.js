@@ -4,7 +4,17 @@ import { assert, expect } from 'chai'
 import { describe, it } from 'mocha'
 
 import { error, fakeUser, makeFakeContexts } from '../../edge-core-index.js'
-import { base58 } from '../../util/encoding.js'
+import {
+  findTotpStep,
+  getTotpStep,
+  getTotpStepStart,
+  totp
+} from '../../util/crypto/hotp.js'
+import { base58, base64 } from '../../util/encoding.js'
+import { makeFakeAuthServer } from './fakeAuthServer.js'
+import { makeFakeSecureStorage } from './fakeSecureStorage.js'
+import { otpRequest } from './login.js'
+import { LoginStore } from './loginStore.js'
 
 const contextOptions = { localFakeUser: true }
 
@@ -49,6 +59,30 @@ describe('appId', function () {
   })
 })
 
+describe('stash encryption', function () {
+  it('works with secure storage', async function () {
+    const errors = []
+    const [context] = makeFakeContexts({
+      ...contextOptions,
+      callbacks: { onError: e => errors.push(e) },
+      encryptLoginStash: true,
+      io: { secureStorage: makeFakeSecureStorage() }
+    })
+    await context.loginWithPIN(fakeUser.username, fakeUser.pin)
+    expect(errors).to.deep.equal([])
+  })
+
+  it('requires secure storage', function () {
+    expect(() =>
+      makeFakeContexts({
+        ...contextOptions,
+        encryptLoginStash: true,
+        io: { secureStorage: void 0 }
+      })
+    ).to.throw('secure storage')
+  })
+})
+
 describe('creation', function () {
   it('username available', async function () {
     const [context] = makeFakeContexts(contextOptions)
@@ -103,7 +137,118 @@ describe('creation', function () {
   })
 })
 
+describe('otp requests', function () {
+  const otpKey = 'AAAAAAAA'
+  const serverOffset = 120
+  const loginId = base64.stringify(new Uint8Array(32))
+
+  async function makeFakeServer (otpWindow?: number) {
+    const fake = makeFakeAuthServer({
+      clockOffset: serverOffset,
+      loginStore: { otpWindow }
+    })
+    await fake.ai.props.loginStore.save({
+      appId: '',
+      loginId,
+      username: 'otp test',
+      otpKey
+    })
+    return fake
+  }
+
+  // A server whose clock is two minutes ahead of ours:
+  function makeRequest (otps: Array<string | void>) {
+    return (otp: string | void) => {
+      otps.push(otp)
+      const now = Date.now() / 1000 + serverOffset
+      return otp != null && findTotpStep(otpKey, otp, { now }) != null
+        ? Promise.resolve('ok')
+        : Promise.reject(new error.OtpError())
+    }
+  }
+
+  it('retries with the server clock', async function () {
+    const { ai } = await makeFakeServer()
+    const otps = []
+    const { reply, clockOffset } = await otpRequest(
+      ai,
+      loginId,
+      otpKey,
+      0,
+      makeRequest(otps)
+    )
+    expect(reply).to.equal('ok')
+    expect(clockOffset).to.equal(serverOffset)
+    expect(otps).to.have.length(2)
+    expect(otps[0]).to.not.equal(otps[1])
+  })
+
+  it('skips codes it has already sent', async function () {
+    const { ai, io } = await makeFakeServer()
+    const otps = []
+    const request = makeRequest(otps)
+    for (let i = 0; i < 3; ++i) {
+      await otpRequest(ai, loginId, otpKey, serverOffset, request)
+    }
+
+    // The server takes codes one step ahead, but no further:
+    const step = getTotpStep(Date.now() / 1000 + serverOffset)
+    expect(otps).to.deep.equal([
+      totp(otpKey, getTotpStepStart(step)),
+      totp(otpKey, getTotpStepStart(step + 1)),
+      totp(otpKey, getTotpStepStart(step + 1))
+    ])
+
+    // The used steps survive a restart:
+    const stash = await new LoginStore(io).load('otp test')
+    expect(stash.otpLastStep).to.equal(step + 1)
+  })
+
+  it('takes the drift window as an option', async function () {
+    const { ai } = await makeFakeServer(0)
+    const otps = []
+    const request = makeRequest(otps)
+    await otpRequest(ai, loginId, otpKey, serverOffset, request)
+    await otpRequest(ai, loginId, otpKey, serverOffset, request)
+    expect(otps[1]).to.equal(otps[0])
+  })
+})
+
 describe('otp', function () {
+  it('confirms authenticator setup', async function () {
+    const [context] = makeFakeContexts(contextOptions)
+    const account = await context.loginWithPIN(fakeUser.username, fakeUser.pin)
+    await account.disableOtp()
+
+    const uri = account.getOtpSetupUri('Test')
+    const match = /^otpauth:\/\/totp\/Test:js%20test%200\?secret=(\w+)&/.exec(
+      uri
+    )
+    if (match == null) throw new Error(`Bad URI ${uri}`)
+    const secret = match[1]
+    expect(account.getOtpSetupUri('Test')).to.equal(uri)
+
+    await account
+      .confirmOtp('000000')
+      .then(
+        ok => Promise.reject(new Error('Should fail')),
+        e => expect(e.name).to.equal(error.OtpError.name)
+      )
+    expect(account.otpKey == null).to.equal(true)
+
+    const otp = totp(secret) || ''
+    await account.confirmOtp(otp)
+    expect(account.otpKey).to.equal(secret)
+
+    // Codes only work once:
+    await account
+      .confirmOtp(otp)
+      .then(
+        ok => Promise.reject(new Error('Should fail')),
+        e => expect(e.name).to.equal(error.OtpError.name)
+      )
+  })
+
   it('local login works', async function () {
     const [context] = makeFakeContexts(contextOptions, contextOptions)
     const account = await context.loginWithPIN(fakeUser.username, fakeUser.pin)
@@ -137,11 +282,15 @@ describe('otp', function () {
     // Verify that a reset has been requested:
     const messages1 = await context.fetchLoginMessages()
     expect(messages1['js test 0'].otpResetPending).to.equal(true)
+    expect(messages1['js test 0'].messages.map(m => m.type)).to.include(
+      'otpReset'
+    )
 
     // Cancel the reset:
     await account.cancelOtpReset()
     const messages2 = await context.fetchLoginMessages()
     expect(messages2['js test 0'].otpResetPending).to.equal(false)
+    expect(messages2['js test 0'].messages).to.deep.equal([])
   })
 })
 
@@ -270,6 +419,58 @@ describe('pin', function () {
     await account.deletePin()
     expect(await context.pinLoginEnabled(fakeUser.username)).to.equal(false)
   })
+
+  it('locks out after failures', async function () {
+    const [context] = makeFakeContexts(contextOptions)
+    const account = await context.loginWithPIN(fakeUser.username, fakeUser.pin)
+
+    for (let i = 0; i < 3; ++i) {
+      expect(await account.checkPin('0000')).to.equal(false)
+    }
+    const lockout = await context.getLoginLockout(fakeUser.username)
+    expect(lockout.failures).to.equal(3)
+    expect(lockout.waitSeconds).to.be.above(0)
+
+    await account.checkPin(fakeUser.pin).then(
+      ok => Promise.reject(new Error('Should fail')),
+      e => {
+        expect(e.name).to.equal(error.PasswordError.name)
+        expect(e.wait).to.be.above(0)
+      }
+    )
+  })
+
+  it('counts parallel failures', async function () {
+    const [context] = makeFakeContexts(contextOptions)
+    const account = await context.loginWithPIN(fakeUser.username, fakeUser.pin)
+
+    const results = await Promise.all(
+      ['0000', '0001', '0002', '0003', '0004'].map(pin =>
+        account.checkPin(pin).catch(e => e.name)
+      )
+    )
+    expect(results).to.deep.equal([
+      false,
+      false,
+      false,
+      error.PasswordError.name,
+      error.PasswordError.name
+    ])
+    const lockout = await context.getLoginLockout(fakeUser.username)
+    expect(lockout.failures).to.equal(3)
+  })
+
+  it('wipes the key after failures', async function () {
+    const [context] = makeFakeContexts({
+      ...contextOptions,
+      pinWipeAttempts: 1
+    })
+
+    await context
+      .loginWithPIN(fakeUser.username, '0000')
+      .then(ok => Promise.reject(new Error('Should fail')), e => true)
+    expect(await context.pinLoginEnabled(fakeUser.username)).to.equal(false)
+  })
 })
 
 describe('recovery2', function () {
@@ -340,3 +541,42 @@ describe('recovery2', function () {
     expect(account.recoveryKey).to.equal(void 0)
   })
 })
+
+describe('backup', function () {
+  it('restores an account on a fresh device', async function () {
+    const [context, fresh] = makeFakeContexts(contextOptions, {})
+    const account = await context.loginWithPIN(fakeUser.username, fakeUser.pin)
+    const archive = await account.exportBackup('backup password')
+
+    const username = await fresh.importBackup(archive, 'backup password')
+    expect(username).to.equal(fakeUser.username)
+    expect(await fresh.listUsernames()).to.deep.equal([fakeUser.username])
+    await fresh.loginWithPIN(fakeUser.username, fakeUser.pin)
+  })
+
+  it('restores secrets from secure storage', async function () {
+    const [context, fresh] = makeFakeContexts(
+      { ...contextOptions, io: { secureStorage: makeFakeSecureStorage() } },
+      { io: { secureStorage: makeFakeSecureStorage() } }
+    )
+    const account = await context.loginWithPIN(fakeUser.username, fakeUser.pin)
+    const archive = await account.exportBackup('backup password')
+
+    await fresh.importBackup(archive, 'backup password')
+    await fresh.loginWithPIN(fakeUser.username, fakeUser.pin)
+  })
+
+  it('rejects the wrong password', async function () {
+    const [context, fresh] = makeFakeContexts(contextOptions, {})
+    const account = await context.loginWithPIN(fakeUser.username, fakeUser.pin)
+    const archive = await account.exportBackup('backup password')
+
+    await fresh
+      .importBackup(archive, 'wrong password')
+      .then(
+        () => assert.fail(),
+        e => expect(e.name).to.equal(error.PasswordError.name)
+      )
+    expect(await fresh.listUsernames()).to.deep.equal([])
+  })
+})
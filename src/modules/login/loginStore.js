@@ -2,63 +2,124 @@
 
 import { mapFiles } from 'disklet'
 
+import { PasswordError, errorNames } from '../../error.js'
 import type {
   DiskletFile,
-  DiskletFolder,
-  PlusultraIo
+  PlusultraIo,
+  PlusultraLoginLockout,
+  PlusultraSecureStorage
 } from '../../plusultra-core-index.js'
-import { base58, base64 } from '../../util/encoding.js'
+import {
+  decrypt,
+  encrypt,
+  hmacSha256,
+  sha256
+} from '../../util/crypto/crypto.js'
+import { serialize } from '../../util/decorators.js'
+import { base58, base64, utf8 } from '../../util/encoding.js'
 import type { ApiInput } from '../root.js'
 import { scrypt, userIdSnrp } from '../scrypt/scrypt-selectors.js'
-import type { LoginStash } from './login-types.js'
+import type { LoginStash, SecretName } from './login-types.js'
 
 export type LoginIdMap = { [loginId: string]: string }
 
+/**
+ * Failed login attempts for a single username.
+ */
+export type LoginAttempts = {
+  failures: number, // PIN and password failures, for the lockout
+  pinFailures: number, // Just the PIN failures, for the wipe
+  lastFailure: number // Seconds since the epoch
+}
+
+// How long to wait after each failure, in seconds.
+// The last entry applies to all further failures:
+const lockoutDelays = [0, 0, 0, 30, 60, 300, 900, 3600]
+
+// Stash fields to move into secure storage:
+const secretNames: Array<SecretName> = ['otpKey', 'pin2Key', 'recovery2Key']
+
+// The PIN key stays locked until the user passes the unlock prompt:
+const promptedSecrets: Array<SecretName> = ['pin2Key']
+
 export type FileInfo = {
   file: DiskletFile,
   json: Object
 }
 
-function getJsonFiles (folder: DiskletFolder): Promise<Array<FileInfo>> {
-  return mapFiles(folder, file =>
-    file
-      .getText()
-      .then(text => ({ file, json: JSON.parse(text) }))
-      .catch(e => void 0)
-  ).then(files => files.filter(file => file != null))
+export type LoginStoreOptions = {
+  deviceName?: string, // Shown to the user when listing sessions
+  encrypt?: boolean, // Encrypt stash files with a key from secure storage
+  onError?: (e: Error) => mixed, // Reports stashes we cannot read or encrypt
+  otpWindow?: number, // OTP time steps of clock drift to allow, either way
+  pinWipeAttempts?: number // Forget the local PIN key after this many failures
 }
 
-function findUserFile (folder, username) {
-  const fixedName = fixUsername(username)
-  return getJsonFiles(folder).then(files =>
-    files.find(file => file.json.username === fixedName)
-  )
-}
+// The secure storage entry holding the stash encryption key:
+const deviceKeyName = 'loginStashKey'
+
+// Identifies this device to the auth server:
+const deviceIdName = 'device'
 
 /**
  * Handles login data storage.
  */
 export class LoginStore {
+  io: PlusultraIo
   folder: $PropertyType<PlusultraIo, 'folder'>
+  attemptsFolder: $PropertyType<PlusultraIo, 'folder'>
+  attemptFiles: { [username: string]: Promise<DiskletFile> }
+  attemptLocks: { [username: string]: (task: () => Promise<any>) => any }
+  encrypt: boolean
+  pinWipeAttempts: number | void
+  secureStorage: PlusultraSecureStorage | void
+  deviceId: Promise<string> | void
+  deviceKey: Promise<Uint8Array> | void
+  deviceName: string
+  onError: (e: Error) => mixed
+  otpWindow: number
+  stashLock: (task: () => Promise<any>) => Promise<any>
+
+  constructor (io: PlusultraIo, opts: LoginStoreOptions = {}) {
+    const {
+      deviceName = '',
+      encrypt = false,
+      onError = e => void 0,
+      otpWindow = 1,
+      pinWipeAttempts
+    } = opts
 
-  constructor (io: PlusultraIo) {
+    // A key saved next to the stashes would protect nothing:
+    if (encrypt && io.secureStorage == null) {
+      throw new Error('Encrypting login stashes requires secure storage')
+    }
+
+    this.io = io
+    this.deviceName = deviceName
     this.folder = io.folder.folder('logins')
+    this.attemptsFolder = io.folder.folder('loginAttempts')
+    this.attemptFiles = {}
+    this.attemptLocks = {}
+    this.encrypt = encrypt
+    this.onError = onError
+    this.otpWindow = otpWindow
+    this.pinWipeAttempts = pinWipeAttempts
+    this.stashLock = serialize(task => task())
+    this.secureStorage = io.secureStorage
   }
 
   /**
    * Lists the usernames that have data in the store.
    */
   listUsernames (): Promise<Array<string>> {
-    return getJsonFiles(this.folder).then(files =>
-      files.map(file => file.json.username)
-    )
+    return this.readFiles().then(files => files.map(file => file.json.username))
   }
 
   /**
    * Creates a map from loginIds to usernames.
    */
   mapLoginIds (): Promise<LoginIdMap> {
-    return getJsonFiles(this.folder).then(files => {
+    return this.readFiles().then(files => {
       const out: LoginIdMap = {}
       for (const file of files) {
         out[file.json.loginId] = file.json.username
@@ -67,30 +128,98 @@ export class LoginStore {
     })
   }
 
+  /**
+   * Lists the loginIds of every stash in the folder.
+   * Unlike `mapLoginIds`, this fails if any stash is unreadable,
+   * so callers can't mistake a stash they can't read for a missing login.
+   */
+  listLoginIds (): Promise<Array<string>> {
+    return this.readFiles(true).then(files =>
+      files.map(file => file.json.loginId)
+    )
+  }
+
   /**
    * Finds the login stash for the given username.
-   * Returns a default object if
+   * Returns a default object if the username has nothing saved.
+   * Secrets needing an unlock prompt stay behind in secure storage,
+   * so use `loadSecret` to get those.
    */
   load (username: string): Promise<LoginStash> {
-    return findUserFile(this.folder, username).then(
+    return this.findUserFile(username).then(
       file =>
         file != null
-          ? file.json
+          ? this.unlockStash(file.json)
           : { username: fixUsername(username), appId: '' }
     )
   }
 
+  /**
+   * Reads a secret from a stash node,
+   * asking secure storage for it if necessary.
+   * @param prompt A message to show if the platform needs the user to unlock.
+   */
+  loadSecret (
+    stash: LoginStash,
+    name: SecretName,
+    prompt?: string
+  ): Promise<string | void> {
+    const { secureStorage } = this
+    if (stash[name] != null) return Promise.resolve(stash[name])
+    if (secureStorage == null || !hasSecret(stash, name)) {
+      return Promise.resolve()
+    }
+    return secureStorage.get(secretKey(stash, name), prompt)
+  }
+
+  /**
+   * Puts the secrets from secure storage back into a stash tree,
+   * so it can go to another device, which has its own secure storage.
+   * @param prompt A message to show if the platform needs the user to unlock.
+   */
+  exportStash (stash: LoginStash, prompt?: string): Promise<LoginStash> {
+    const out = { ...stash }
+    delete out.secureKeys
+
+    const { children = [] } = stash
+    return Promise.all([
+      ...(stash.secureKeys || []).map(name =>
+        this.loadSecret(stash, name, prompt).then(value => {
+          if (value != null) out[name] = value
+        })
+      ),
+      Promise.all(children.map(child => this.exportStash(child, prompt)))
+    ]).then(results => {
+      if (stash.children != null) out.children = results[results.length - 1]
+      return out
+    })
+  }
+
   /**
    * Removes any login stash that may be stored for the given username.
    */
-  remove (username: string): Promise<void> {
-    return findUserFile(this.folder, username).then(
-      file => (file != null ? file.file.delete() : void 0)
-    )
+  async remove (username: string): Promise<void> {
+    const file = await this.findUserFile(username)
+    if (file == null) return
+
+    const { secureStorage } = this
+    if (secureStorage != null) {
+      await forEachNode(file.json, stash =>
+        Promise.all(
+          (stash.secureKeys || []).map(name =>
+            secureStorage.delete(secretKey(stash, name))
+          )
+        )
+      )
+    }
+    await file.file.delete()
   }
 
   /**
    * Saves a login stash tree to the folder.
+   * If the platform has secure storage, the secrets go there instead.
+   * The saved OTP steps never go backwards,
+   * even if the caller loaded its stash before the last OTP request.
    */
   save (stashTree: LoginStash) {
     if (stashTree.appId !== '') {
@@ -103,9 +232,451 @@ export class LoginStore {
     if (loginId.length !== 32) {
       throw new Error('Invalid loginId')
     }
-    const filename = base58.stringify(loginId) + '.json'
-    return this.folder.file(filename).setText(JSON.stringify(stashTree))
+    const file = this.folder.file(base58.stringify(loginId) + '.json')
+    return this.lockStash(stashTree).then(stashTree =>
+      this.stashLock(async () => {
+        const oldTree = await this.readFile(file).catch(e => void 0)
+        const newTree =
+          oldTree != null ? keepOtpSteps(stashTree, oldTree) : stashTree
+        return this.writeFile(file, newTree)
+      })
+    )
+  }
+
+  /**
+   * Records the OTP time step a login is about to use,
+   * so its codes don't repeat, even after a restart.
+   * @param pickStep Chooses the step, given the newest one already used.
+   * It can throw to reject the step, in which case nothing changes.
+   */
+  saveOtpStep (
+    loginId: string | void,
+    pickStep: (lastStep: number | void) => number
+  ): Promise<number> {
+    return this.stashLock(async () => {
+      const files = loginId != null ? await this.readFiles() : []
+      for (const { file, json } of files) {
+        const stash = findNode(json, loginId)
+        if (stash == null) continue
+
+        const step = pickStep(stash.otpLastStep)
+        const newTree = keepOtpSteps(setOtpStep(json, loginId, step), json)
+        await this.writeFile(file, newTree)
+        return step
+      }
+      return pickStep(void 0) // Logins we haven't saved have nothing to record
+    })
+  }
+
+  /**
+   * Reads every stash in the folder, decrypting them as needed.
+   * If encryption is on, this also encrypts any plaintext stashes we find.
+   * Stashes we cannot decrypt go to `onError`, rather than vanishing.
+   * @param strict Fail on unreadable stashes, instead of skipping them.
+   */
+  readFiles (strict: boolean = false): Promise<Array<FileInfo>> {
+    return mapFiles(this.folder, async file => {
+      let json
+      try {
+        json = JSON.parse(await file.getText())
+      } catch (e) {
+        if (strict) throw e
+        return // Not a stash we can use
+      }
+
+      if (isBox(json)) {
+        try {
+          const deviceKey = await this.loadDeviceKey()
+          return {
+            file,
+            json: JSON.parse(utf8.stringify(decrypt(json, deviceKey)))
+          }
+        } catch (e) {
+          if (strict) throw e
+          this.onError(e)
+          return
+        }
+      }
+
+      if (this.encrypt) {
+        await this.writeFile(file, json).catch(e => this.onError(e))
+      }
+      return { file, json }
+    }).then(files => files.filter(file => file != null))
+  }
+
+  /**
+   * Returns true if any stash in the folder is encrypted.
+   */
+  hasEncryptedFiles (): Promise<boolean> {
+    return mapFiles(this.folder, file =>
+      file
+        .getText()
+        .then(text => isBox(JSON.parse(text)))
+        .catch(e => false)
+    ).then(results => results.some(result => result))
+  }
+
+  findUserFile (username: string): Promise<FileInfo | void> {
+    const fixedName = fixUsername(username)
+    return this.readFiles().then(files =>
+      files.find(file => file.json.username === fixedName)
+    )
+  }
+
+  /**
+   * Reads a JSON file saved with `writeFile`, decrypting it if needed.
+   */
+  async readFile (file: DiskletFile): Promise<Object> {
+    const json = JSON.parse(await file.getText())
+    if (!isBox(json)) return json
+
+    const deviceKey = await this.loadDeviceKey()
+    return JSON.parse(utf8.stringify(decrypt(json, deviceKey)))
+  }
+
+  /**
+   * Saves a JSON file, encrypting it with the device key if encryption is on.
+   */
+  async writeFile (file: DiskletFile, json: Object): Promise<mixed> {
+    if (!this.encrypt) return file.setText(JSON.stringify(json))
+
+    const deviceKey = await this.loadDeviceKey()
+    const data = utf8.parse(JSON.stringify(json))
+    return file.setText(JSON.stringify(encrypt(this.io, data, deviceKey)))
+  }
+
+  /**
+   * Hashes a name into a filename, so a folder doesn't reveal what it holds.
+   * With encryption on, the hash also needs the device key,
+   * so nobody can check for a name they guess.
+   */
+  async hashFilename (name: string): Promise<string> {
+    const data = utf8.parse(name)
+    const hash = this.encrypt
+      ? hmacSha256(data, await this.loadDeviceKey())
+      : sha256(data)
+    return base58.stringify(hash) + '.json'
+  }
+
+  /**
+   * Gets the key for encrypting stash files from secure storage.
+   * We only create a new key if nothing uses the old one,
+   * since a replacement key would lock us out of the existing stashes.
+   */
+  loadDeviceKey (): Promise<Uint8Array> {
+    if (this.deviceKey != null) return this.deviceKey
+
+    const { io, secureStorage } = this
+    if (secureStorage == null) {
+      return Promise.reject(
+        new Error('Encrypted login stashes require secure storage')
+      )
+    }
+
+    this.deviceKey = secureStorage
+      .get(deviceKeyName)
+      .then(async deviceKey => {
+        if (deviceKey == null) {
+          if (await this.hasEncryptedFiles()) {
+            throw new Error(
+              'The login stash key is missing from secure storage'
+            )
+          }
+          deviceKey = base64.stringify(io.random(32))
+          await secureStorage.set(deviceKeyName, deviceKey)
+        }
+        return base64.parse(deviceKey)
+      })
+      .catch(e => {
+        this.deviceKey = void 0
+        throw e
+      })
+    return this.deviceKey
+  }
+
+  /**
+   * Gets the id this device uses with the auth server,
+   * creating it if necessary.
+   */
+  loadDeviceId (): Promise<string> {
+    if (this.deviceId != null) return this.deviceId
+
+    const { io } = this
+    const file = io.folder.file(deviceIdName + '.json')
+    this.deviceId = file
+      .getText()
+      .then(text => JSON.parse(text).deviceId)
+      .catch(e => void 0)
+      .then(async deviceId => {
+        if (deviceId == null) {
+          deviceId = base58.stringify(io.random(16))
+          await file.setText(JSON.stringify({ deviceId }))
+        }
+        return deviceId
+      })
+    return this.deviceId
+  }
+
+  /**
+   * Moves secrets out of a stash tree and into secure storage.
+   * Secrets explicitly set to `undefined` get deleted.
+   */
+  lockStash (stash: LoginStash): Promise<LoginStash> {
+    const { secureStorage } = this
+    if (secureStorage == null || stash.loginId == null) {
+      return Promise.resolve(stash)
+    }
+
+    const out = { ...stash }
+    const secureKeys = new Set(stash.secureKeys)
+    const promises = []
+    for (const name of secretNames) {
+      if (!(name in stash)) continue
+      const value = stash[name]
+      const key = secretKey(stash, name)
+      delete out[name]
+
+      if (value != null) {
+        promises.push(secureStorage.set(key, value))
+        secureKeys.add(name)
+      } else if (secureKeys.has(name)) {
+        promises.push(secureStorage.delete(key))
+        secureKeys.delete(name)
+      }
+    }
+    out.secureKeys =
+      secureKeys.size > 0 ? Array.from(secureKeys).sort() : void 0
+
+    const { children = [] } = stash
+    return Promise.all([
+      ...promises,
+      Promise.all(children.map(child => this.lockStash(child)))
+    ]).then(results => {
+      if (stash.children != null) out.children = results[results.length - 1]
+      return out
+    })
+  }
+
+  /**
+   * Restores the secrets that don't need a prompt from secure storage.
+   */
+  unlockStash (stash: LoginStash): Promise<LoginStash> {
+    if (this.secureStorage == null) return Promise.resolve(stash)
+
+    const out = { ...stash }
+    const names = (stash.secureKeys || []).filter(
+      name => promptedSecrets.indexOf(name) < 0
+    )
+    const { children = [] } = stash
+    return Promise.all([
+      ...names.map(name =>
+        this.loadSecret(stash, name).then(value => {
+          if (value != null) out[name] = value
+        })
+      ),
+      Promise.all(children.map(child => this.unlockStash(child)))
+    ]).then(results => {
+      if (stash.children != null) out.children = results[results.length - 1]
+      return out
+    })
   }
+
+  /**
+   * Reports how long the user must wait before trying to log in again.
+   */
+  getLockout (username: string): Promise<PlusultraLoginLockout> {
+    return this.loadAttempts(username).then(({ failures, lastFailure }) => {
+      const delay = lockoutDelays[Math.min(failures, lockoutDelays.length - 1)]
+      const waitSeconds = Math.max(lastFailure + delay - Date.now() / 1000, 0)
+      return { failures, waitSeconds }
+    })
+  }
+
+  /**
+   * Throws a `PasswordError` if the user is still locked out.
+   */
+  checkLockout (username: string): Promise<mixed> {
+    return this.getLockout(username).then(({ waitSeconds }) => {
+      if (waitSeconds > 0) {
+        throw new PasswordError(
+          { wait_seconds: Math.ceil(waitSeconds) },
+          'Too many failed attempts'
+        )
+      }
+    })
+  }
+
+  /**
+   * Runs a PIN or password check, enforcing the lockout.
+   * Checks for the same username run one at a time,
+   * so parallel guesses can't all start before their failures count.
+   * @param check Resolves to false, or rejects with a `PasswordError`,
+   * if the credentials are wrong.
+   */
+  throttleAttempt<T> (
+    username: string,
+    type: 'password' | 'pin',
+    check: () => Promise<T>
+  ): Promise<T> {
+    return this.lockAttempts(username, async () => {
+      await this.checkLockout(username)
+
+      let out: T
+      try {
+        out = await check()
+      } catch (e) {
+        if (e.name === errorNames.PasswordError) {
+          await this.updateAttempts(username, false, type)
+        }
+        throw e
+      }
+      await this.updateAttempts(username, out !== false, type)
+      return out
+    })
+  }
+
+  /**
+   * Runs a task while holding the attempt counter for a username.
+   */
+  lockAttempts<T> (username: string, task: () => Promise<T>): Promise<T> {
+    const fixedName = fixUsername(username)
+    if (this.attemptLocks[fixedName] == null) {
+      this.attemptLocks[fixedName] = serialize(task => task())
+    }
+    return this.attemptLocks[fixedName](task)
+  }
+
+  /**
+   * Updates the failure count, which the caller must have locked.
+   * Success clears the count, while enough PIN failures
+   * wipe the PIN key from the device, if the app asked for that.
+   */
+  async updateAttempts (
+    username: string,
+    success: boolean,
+    type: 'password' | 'pin'
+  ): Promise<mixed> {
+    const file = await this.attemptsFile(username)
+    if (success) return file.delete().catch(e => void 0)
+
+    const { failures, pinFailures } = await this.loadAttempts(username)
+    const attempts: LoginAttempts = {
+      failures: failures + 1,
+      pinFailures: type === 'pin' ? pinFailures + 1 : pinFailures,
+      lastFailure: Date.now() / 1000
+    }
+    await file.setText(JSON.stringify(attempts))
+
+    const { pinWipeAttempts } = this
+    if (
+      type === 'pin' &&
+      pinWipeAttempts != null &&
+      attempts.pinFailures >= pinWipeAttempts
+    ) {
+      const stashTree = await this.load(username)
+      if (stashTree.loginId != null) await this.save(wipePin2Keys(stashTree))
+    }
+  }
+
+  loadAttempts (username: string): Promise<LoginAttempts> {
+    return this.attemptsFile(username)
+      .then(file => file.getText())
+      .then(text => JSON.parse(text))
+      .catch(e => ({ failures: 0, pinFailures: 0, lastFailure: 0 }))
+  }
+
+  /**
+   * Finds the file counting failed logins for a username.
+   * The name is a hash, so the folder doesn't list who uses this device.
+   */
+  attemptsFile (username: string): Promise<DiskletFile> {
+    const fixedName = fixUsername(username)
+    if (this.attemptFiles[fixedName] == null) {
+      this.attemptFiles[fixedName] = this.hashFilename(fixedName).then(
+        name => this.attemptsFolder.file(name),
+        e => {
+          delete this.attemptFiles[fixedName]
+          throw e
+        }
+      )
+    }
+    return this.attemptFiles[fixedName]
+  }
+}
+
+/**
+ * Returns true if a stash node has a secret, even one in secure storage.
+ */
+export function hasSecret (stash: LoginStash, name: SecretName): boolean {
+  return (
+    stash[name] != null ||
+    (stash.secureKeys != null && stash.secureKeys.indexOf(name) >= 0)
+  )
+}
+
+function secretKey (stash: LoginStash, name: SecretName): string {
+  const { loginId = '' } = stash
+  return `${base58.stringify(base64.parse(loginId))}.${name}`
+}
+
+function forEachNode (
+  stash: LoginStash,
+  callback: (stash: LoginStash) => Promise<mixed>
+): Promise<mixed> {
+  const { children = [] } = stash
+  return Promise.all([
+    callback(stash),
+    ...children.map(child => forEachNode(child, callback))
+  ])
+}
+
+function findNode (
+  stash: LoginStash,
+  loginId: string | void
+): LoginStash | void {
+  if (stash.loginId === loginId) return stash
+  for (const child of stash.children || []) {
+    const out = findNode(child, loginId)
+    if (out != null) return out
+  }
+}
+
+function setOtpStep (
+  stash: LoginStash,
+  loginId: string | void,
+  step: number
+): LoginStash {
+  if (stash.loginId === loginId) return { ...stash, otpLastStep: step }
+  if (stash.children == null) return stash
+  const children = stash.children.map(child => setOtpStep(child, loginId, step))
+  return { ...stash, children }
+}
+
+/**
+ * Copies any newer OTP steps from the saved stash tree into a new one.
+ */
+function keepOtpSteps (stash: LoginStash, oldTree: LoginStash): LoginStash {
+  const out = { ...stash }
+  const old = findNode(oldTree, stash.loginId)
+  if (old != null && old.otpLastStep != null) {
+    const { otpLastStep = -Infinity } = stash
+    out.otpLastStep = Math.max(old.otpLastStep, otpLastStep)
+  }
+  if (stash.children != null) {
+    out.children = stash.children.map(child => keepOtpSteps(child, oldTree))
+  }
+  return out
+}
+
+function isBox (json: Object): boolean {
+  return json.encryptionType != null && json.data_base64 != null
+}
+
+function wipePin2Keys (stash: LoginStash): LoginStash {
+  const out = { ...stash, pin2Key: void 0 }
+  if (stash.children != null) out.children = stash.children.map(wipePin2Keys)
+  return out
 }
 
 /**
@@ -0,0 +1,234 @@
+// @flow
+
+import { expect } from 'chai'
+import { describe, it } from 'mocha'
+
+import { makeFakeIos } from '../../edge-core-index.js'
+import { fixIo } from '../../io/fixIo.js'
+import { base58, base64, utf8 } from '../../util/encoding.js'
+import { makeFakeSecureStorage } from './fakeSecureStorage.js'
+import { applyLoginReply } from './login.js'
+import { LoginStore, hasSecret } from './loginStore.js'
+
+const loginId = base64.stringify(new Uint8Array(32))
+const childId = base64.stringify(new Uint8Array(32).fill(1))
+
+const fakeStash = {
+  appId: '',
+  loginId,
+  username: 'secure test',
+  otpKey: 'HELLO',
+  pin2Key: 'cGluMktleQ==',
+  children: [{ appId: 'test-child', loginId: childId, pin2Key: 'Y2hpbGQ=' }]
+}
+
+// A check that always finds the credentials wrong:
+const fail = () => Promise.resolve(false)
+
+describe('login store', function () {
+  it('moves secrets into secure storage', async function () {
+    const [io] = makeFakeIos(1).map(fixIo)
+    const secureStorage = makeFakeSecureStorage()
+    const loginStore = new LoginStore({ ...io, secureStorage })
+    await loginStore.save(fakeStash)
+
+    // Nothing secret hits the disk:
+    const [text] = await loginStore.folder
+      .listFiles()
+      .then(names =>
+        Promise.all(names.map(n => loginStore.folder.file(n).getText()))
+      )
+    expect(text).not.to.include('HELLO')
+    expect(text).not.to.include('cGluMktleQ==')
+    expect(Object.keys(secureStorage.items)).to.have.length(3)
+
+    // The OTP key comes back, but the PIN key needs a prompt:
+    const stash = await loginStore.load('secure test')
+    expect(stash.otpKey).to.equal('HELLO')
+    expect(stash.pin2Key).to.equal(undefined)
+    expect(hasSecret(stash, 'pin2Key')).to.equal(true)
+    expect(await loginStore.loadSecret(stash, 'pin2Key', 'Unlock')).to.equal(
+      'cGluMktleQ=='
+    )
+    expect(secureStorage.prompts).to.deep.equal(['Unlock'])
+
+    // Clearing a secret removes it from secure storage:
+    await loginStore.save({ ...stash, pin2Key: void 0 })
+    const cleared = await loginStore.load('secure test')
+    expect(hasSecret(cleared, 'pin2Key')).to.equal(false)
+    expect(hasSecret(cleared.children[0], 'pin2Key')).to.equal(true)
+
+    await loginStore.remove('secure test')
+    expect(secureStorage.items).to.deep.equal({})
+  })
+
+  it('exports secrets from secure storage', async function () {
+    const [io] = makeFakeIos(1).map(fixIo)
+    const secureStorage = makeFakeSecureStorage()
+    const loginStore = new LoginStore({ ...io, secureStorage })
+    await loginStore.save(fakeStash)
+
+    const stash = await loginStore.load('secure test')
+    expect(await loginStore.exportStash(stash, 'Export')).to.deep.equal(
+      fakeStash
+    )
+    expect(secureStorage.prompts).to.deep.equal(['Export', 'Export'])
+  })
+
+  it('forgets secrets the server drops', async function () {
+    const [io] = makeFakeIos(1).map(fixIo)
+    const secureStorage = makeFakeSecureStorage()
+    const loginStore = new LoginStore({ ...io, secureStorage })
+    await loginStore.save({ ...fakeStash, children: [] })
+
+    // The reply has no PIN, so the PIN key has to go:
+    const stash = await loginStore.load('secure test')
+    const loginKey = new Uint8Array(32)
+    await loginStore.save(
+      applyLoginReply(stash, loginKey, { appId: '', loginId })
+    )
+    expect(Object.keys(secureStorage.items)).to.have.length(1)
+
+    const reloaded = await loginStore.load('secure test')
+    expect(reloaded.otpKey).to.equal('HELLO')
+    expect(hasSecret(reloaded, 'pin2Key')).to.equal(false)
+  })
+
+  it('keeps secrets inline without secure storage', async function () {
+    const [io] = makeFakeIos(1).map(fixIo)
+    const loginStore = new LoginStore(io)
+    await loginStore.save(fakeStash)
+
+    const stash = await loginStore.load('secure test')
+    expect(stash).to.deep.equal(fakeStash)
+    expect(await loginStore.loadSecret(stash, 'pin2Key', 'Unlock')).to.equal(
+      'cGluMktleQ=='
+    )
+  })
+
+  it('encrypts stashes at rest', async function () {
+    const [fakeIo] = makeFakeIos(1).map(fixIo)
+    const io = { ...fakeIo, secureStorage: makeFakeSecureStorage() }
+    await new LoginStore(fakeIo).save(fakeStash)
+
+    // Old plaintext stashes still load, and get encrypted along the way:
+    const loginStore = new LoginStore(io, { encrypt: true })
+    expect(await loginStore.listUsernames()).to.deep.equal(['secure test'])
+    expect(await loginStore.mapLoginIds()).to.deep.equal({
+      [loginId]: 'secure test'
+    })
+    expect(await loginStore.load('secure test')).to.deep.equal(fakeStash)
+
+    const names = await loginStore.folder.listFiles()
+    for (const name of names) {
+      const text = await loginStore.folder.file(name).getText()
+      expect(text).not.to.include('secure test')
+    }
+
+    // A fresh store on the same device can still read them:
+    const reopened = new LoginStore(io, { encrypt: true })
+    expect(await reopened.load('secure test')).to.deep.equal(fakeStash)
+  })
+
+  it('requires secure storage for encryption', function () {
+    const [io] = makeFakeIos(1).map(fixIo)
+    expect(() => new LoginStore(io, { encrypt: true })).to.throw(
+      'secure storage'
+    )
+  })
+
+  it('reports stashes it cannot decrypt', async function () {
+    const [fakeIo] = makeFakeIos(1).map(fixIo)
+    const secureStorage = makeFakeSecureStorage()
+    const io = { ...fakeIo, secureStorage }
+    await new LoginStore(io, { encrypt: true }).save(fakeStash)
+
+    // Losing the key must not quietly replace it:
+    await secureStorage.delete('loginStashKey')
+    const errors = []
+    const loginStore = new LoginStore(io, {
+      encrypt: true,
+      onError: e => errors.push(e)
+    })
+    expect(await loginStore.listUsernames()).to.deep.equal([])
+    expect(errors).to.have.length(1)
+    await loginStore
+      .listLoginIds()
+      .then(() => expect.fail(), e => expect(e.message).to.include('missing'))
+    expect(secureStorage.items.loginStashKey).to.equal(undefined)
+    await loginStore
+      .save(fakeStash)
+      .then(() => expect.fail(), e => expect(e.message).to.include('missing'))
+  })
+
+  it('hides usernames in the attempt files', async function () {
+    const [io] = makeFakeIos(1).map(fixIo)
+    const loginStore = new LoginStore(io)
+    await loginStore.throttleAttempt('secure test', 'password', fail)
+    expect((await loginStore.getLockout('secure test')).failures).to.equal(1)
+
+    const [name] = await loginStore.attemptsFolder.listFiles()
+    expect(name).not.to.include(base58.stringify(utf8.parse('secure test')))
+  })
+
+  it('never rolls back the OTP step', async function () {
+    const [io] = makeFakeIos(1).map(fixIo)
+    const loginStore = new LoginStore(io)
+    await loginStore.save(fakeStash)
+    const staleStash = await loginStore.load('secure test')
+
+    expect(await loginStore.saveOtpStep(childId, lastStep => 5)).to.equal(5)
+    await loginStore.save(staleStash)
+    let seenStep
+    await loginStore.saveOtpStep(childId, lastStep => {
+      seenStep = lastStep
+      return 6
+    })
+    expect(seenStep).to.equal(5)
+
+    // Steps that can't be used leave the stash alone:
+    await loginStore
+      .saveOtpStep(childId, lastStep => {
+        throw new Error('Reused code')
+      })
+      .then(() => expect.fail(), e => expect(e.message).to.equal('Reused code'))
+    const stash = await loginStore.load('secure test')
+    expect(stash.children && stash.children[0].otpLastStep).to.equal(6)
+  })
+
+  it('counts parallel failures', async function () {
+    const [io] = makeFakeIos(1).map(fixIo)
+    const loginStore = new LoginStore(io)
+    await Promise.all(
+      [1, 2].map(() => loginStore.throttleAttempt('secure test', 'pin', fail))
+    )
+    expect((await loginStore.getLockout('secure test')).failures).to.equal(2)
+  })
+
+  it('only wipes the PIN after PIN failures', async function () {
+    const [io] = makeFakeIos(1).map(fixIo)
+    const loginStore = new LoginStore(io, { pinWipeAttempts: 2 })
+    await loginStore.save(fakeStash)
+
+    // Password failures count towards the lockout, but not the wipe:
+    await loginStore.throttleAttempt('secure test', 'password', fail)
+    await loginStore.throttleAttempt('secure test', 'pin', fail)
+    expect((await loginStore.getLockout('secure test')).failures).to.equal(2)
+    expect((await loginStore.load('secure test')).pin2Key).to.equal(
+      fakeStash.pin2Key
+    )
+
+    await loginStore.throttleAttempt('secure test', 'pin', fail)
+    expect((await loginStore.load('secure test')).pin2Key).to.equal(undefined)
+  })
+
+  it('remembers the device id', async function () {
+    const [io] = makeFakeIos(1).map(fixIo)
+    const deviceId = await new LoginStore(io).loadDeviceId()
+    expect(deviceId).to.be.a('string')
+    expect(await new LoginStore(io).loadDeviceId()).to.equal(deviceId)
+
+    const [otherIo] = makeFakeIos(1).map(fixIo)
+    expect(await new LoginStore(otherIo).loadDeviceId()).not.to.equal(deviceId)
+  })
+})
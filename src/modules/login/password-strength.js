@@ -0,0 +1,664 @@
+// @flow
+
+import { englishList, nameList, passwordList } from './password-words.js'
+
+/**
+ * A piece of the password that follows a guessable pattern.
+ */
+type Match = {
+  i: number, // Index of the first character
+  j: number, // Index of the last character
+  token: string,
+  pattern: string,
+  guesses: number,
+
+  // Pattern-specific details:
+  dictionary?: string,
+  rank?: number,
+  l33t?: boolean,
+  reversed?: boolean,
+  turns?: number,
+  baseToken?: string
+}
+
+export type PasswordStrength = {
+  guesses: number,
+  score: number,
+  feedback: Array<string>
+}
+
+// Only the start of very long passwords is worth looking at:
+const maxLength = 64
+
+// Guess counts for each score. Anything above the last is a 4:
+const scoreThresholds = [1e3, 1e6, 1e8, 1e10]
+
+// Dictionaries ----------------------------------------------------------
+
+function makeRanks (words: Array<string>): { [word: string]: number } {
+  const out = {}
+  words.forEach((word, i) => {
+    if (out[word] == null) out[word] = i + 1
+  })
+  return out
+}
+
+const dictionaries = {
+  passwords: makeRanks(passwordList),
+  english: makeRanks(englishList),
+  names: makeRanks(nameList)
+}
+
+// Common character substitutions. '1' is ambiguous, so it gets two tables:
+const l33tTable = {
+  '4': 'a',
+  '@': 'a',
+  '8': 'b',
+  '3': 'e',
+  '9': 'g',
+  '!': 'i',
+  '|': 'l',
+  '0': 'o',
+  $: 's',
+  '5': 's',
+  '7': 't',
+  '+': 't'
+}
+const l33tTables = [{ ...l33tTable, '1': 'i' }, { ...l33tTable, '1': 'l' }]
+
+function matchDictionaries (
+  password: string,
+  userWords: Array<string>
+): Array<Match> {
+  const lower = password.toLowerCase()
+  const out = []
+
+  const userRanks = makeRanks(userWords)
+  const allDictionaries = { ...dictionaries, user: userRanks }
+
+  function search (text: string, onMatch: (i: number, j: number) => mixed) {
+    for (const dictionary in allDictionaries) {
+      const ranks = allDictionaries[dictionary]
+      for (let i = 0; i < text.length; ++i) {
+        for (let j = i; j < text.length; ++j) {
+          const rank = ranks[text.slice(i, j + 1)]
+          if (rank != null) {
+            const match = onMatch(i, j)
+            if (match != null) {
+              out.push({ ...match, dictionary, rank })
+            }
+          }
+        }
+      }
+    }
+  }
+
+  function makeMatch (i, j, extra = {}) {
+    return {
+      i,
+      j,
+      token: password.slice(i, j + 1),
+      pattern: 'dictionary',
+      guesses: 0,
+      ...extra
+    }
+  }
+
+  // Plain words:
+  search(lower, (i, j) => makeMatch(i, j))
+
+  // Reversed words:
+  const reversed = lower
+    .split('')
+    .reverse()
+    .join('')
+  const n = lower.length
+  search(reversed, (i, j) => {
+    if (j - i < 2) return
+    return makeMatch(n - 1 - j, n - 1 - i, { reversed: true })
+  })
+
+  // Substituted words:
+  for (const table of l33tTables) {
+    const translated = lower.replace(/./g, c => table[c] || c)
+    if (translated === lower) continue
+    search(translated, (i, j) => {
+      if (lower.slice(i, j + 1) === translated.slice(i, j + 1)) return
+      return makeMatch(i, j, { l33t: true })
+    })
+  }
+
+  for (const match of out) {
+    match.guesses =
+      (match.rank || 1) *
+      caseVariations(match.token) *
+      (match.reversed ? 2 : 1) *
+      (match.l33t ? l33tVariations(match.token) : 1)
+  }
+  return out
+}
+
+/**
+ * Counts the ways a word could have been capitalized like the token.
+ */
+function caseVariations (token: string): number {
+  if (token === token.toLowerCase()) return 1
+  if (/^[A-Z][^A-Z]+$|^[^A-Z]+[A-Z]$|^[^a-z]+$/.test(token)) return 2
+
+  const upper = token.replace(/[^A-Z]/g, '').length
+  const lower = token.replace(/[^a-z]/g, '').length
+  let out = 0
+  for (let k = 1; k <= Math.min(upper, lower); ++k) {
+    out += choose(upper + lower, k)
+  }
+  return out
+}
+
+function l33tVariations (token: string): number {
+  const subs = token.replace(/[^0-9@!$+|]/g, '').length
+  return Math.pow(2, subs)
+}
+
+// Keyboard walks --------------------------------------------------------
+
+const keyboardRows = [
+  '1234567890-=',
+  'qwertyuiop[]\\',
+  "asdfghjkl;'",
+  'zxcvbnm,./'
+]
+const shiftedRows = [
+  '!@#$%^&*()_+',
+  'QWERTYUIOP{}|',
+  'ASDFGHJKL:"',
+  'ZXCVBNM<>?'
+]
+
+// Maps shifted keys to their unshifted versions:
+const unshifted = {}
+shiftedRows.forEach((row, r) => {
+  row.split('').forEach((c, i) => (unshifted[c] = keyboardRows[r][i]))
+})
+
+// Maps each key to its neighbors, keyed by direction.
+// Each row sits half a key to the right of the one above it.
+const keyboardGraph = {}
+keyboardRows.forEach((row, r) => {
+  row.split('').forEach((c, i) => {
+    const key = (r, i) => (keyboardRows[r] ? keyboardRows[r][i] : void 0)
+    keyboardGraph[c] = [
+      key(r, i - 1),
+      key(r, i + 1),
+      key(r - 1, i),
+      key(r - 1, i + 1),
+      key(r + 1, i - 1),
+      key(r + 1, i)
+    ]
+  })
+})
+const keyboardKeys = Object.keys(keyboardGraph).length
+const keyboardDegree = 4
+
+function matchKeyboard (password: string): Array<Match> {
+  const keys = password.split('').map(c => unshifted[c] || c)
+  const out = []
+
+  let i = 0
+  while (i < keys.length - 1) {
+    let j = i
+    let turns = 0
+    let lastDirection = -1
+    while (j < keys.length - 1) {
+      const neighbors = keyboardGraph[keys[j]]
+      const direction = neighbors ? neighbors.indexOf(keys[j + 1]) : -1
+      if (direction < 0) break
+      if (direction !== lastDirection) ++turns
+      lastDirection = direction
+      ++j
+    }
+
+    if (j - i >= 2) {
+      const token = password.slice(i, j + 1)
+      const shifted = token.split('').some(c => unshifted[c] != null)
+      out.push({
+        i,
+        j,
+        token,
+        pattern: 'keyboard',
+        guesses: keyboardGuesses(token.length, turns) * (shifted ? 2 : 1),
+        turns
+      })
+    }
+    i = j > i ? j : i + 1
+  }
+  return out
+}
+
+function keyboardGuesses (length: number, turns: number): number {
+  let out = 0
+  for (let i = 2; i <= length; ++i) {
+    for (let j = 1; j <= Math.min(turns, i - 1); ++j) {
+      out += choose(i - 1, j - 1) * keyboardKeys * Math.pow(keyboardDegree, j)
+    }
+  }
+  return out
+}
+
+// Sequences -------------------------------------------------------------
+
+function charClass (c: string): string {
+  if (/[a-z]/.test(c)) return 'lower'
+  if (/[A-Z]/.test(c)) return 'upper'
+  if (/[0-9]/.test(c)) return 'digit'
+  return 'other'
+}
+
+function matchSequences (password: string): Array<Match> {
+  const out = []
+
+  let i = 0
+  while (i < password.length - 1) {
+    const delta = password.charCodeAt(i + 1) - password.charCodeAt(i)
+    const type = charClass(password[i])
+    let j = i + 1
+    while (
+      j < password.length - 1 &&
+      password.charCodeAt(j + 1) - password.charCodeAt(j) === delta &&
+      charClass(password[j + 1]) === type
+    ) {
+      ++j
+    }
+
+    const ok =
+      j - i >= 2 &&
+      type !== 'other' &&
+      charClass(password[i + 1]) === type &&
+      delta !== 0 &&
+      Math.abs(delta) <= 5
+    if (ok) {
+      const token = password.slice(i, j + 1)
+      const base = /^[a1zZ9A0]/.test(token) ? 4 : type === 'digit' ? 10 : 26
+      out.push({
+        i,
+        j,
+        token,
+        pattern: 'sequence',
+        guesses: base * token.length * (delta === 1 ? 1 : 2)
+      })
+    }
+    i = j > i + 1 ? j : i + 1
+  }
+  return out
+}
+
+// Repeats ---------------------------------------------------------------
+
+function matchRepeats (
+  password: string,
+  userWords: Array<string>
+): Array<Match> {
+  const out = []
+  const repeat = /(.+)\1+/g
+
+  let match
+  while ((match = repeat.exec(password)) != null) {
+    // Find the shortest base that repeats across the whole run:
+    const token = match[0]
+    const [, base] = /^(.+?)\1+$/.exec(token) || match
+
+    const { guesses } = estimateGuesses(base, userWords)
+    const i = match.index
+    out.push({
+      i,
+      j: i + token.length - 1,
+      token,
+      pattern: 'repeat',
+      guesses: guesses * (token.length / base.length),
+      baseToken: base
+    })
+  }
+  return out
+}
+
+// Dates -----------------------------------------------------------------
+
+const referenceYear = new Date().getFullYear()
+const minYearSpace = 20
+
+function yearGuesses (year: number): number {
+  return Math.max(Math.abs(referenceYear - year), minYearSpace)
+}
+
+function fixYear (year: number, digits: number): number | void {
+  if (digits === 4) return year >= 1900 && year <= 2050 ? year : void 0
+  return year > 50 ? 1900 + year : 2000 + year
+}
+
+/**
+ * Checks if three numbers could be a date, in any of the usual orders.
+ */
+function parseDate (parts: Array<string>): number | void {
+  const [first, middle, last] = parts.map(Number)
+  const candidates = [
+    [last, parts[2].length, first, middle],
+    [first, parts[0].length, middle, last]
+  ]
+  for (const [year, digits, a, b] of candidates) {
+    if (digits !== 2 && digits !== 4) continue
+    const fixed = fixYear(year, digits)
+    if (fixed != null && (isDayMonth(a, b) || isDayMonth(b, a))) {
+      return fixed
+    }
+  }
+}
+
+function isDayMonth (day: number, month: number): boolean {
+  return day >= 1 && day <= 31 && month >= 1 && month <= 12
+}
+
+function matchDates (password: string): Array<Match> {
+  const out = []
+
+  for (let i = 0; i < password.length; ++i) {
+    for (let j = i + 3; j < Math.min(password.length, i + 10); ++j) {
+      const token = password.slice(i, j + 1)
+      let year: number | void
+      let separator = false
+
+      const split = /^(\d{1,4})([\s/\\_.-])(\d{1,2})\2(\d{1,4})$/.exec(token)
+      if (split != null) {
+        year = parseDate([split[1], split[3], split[4]])
+        separator = true
+      } else if (/^\d{4}$/.test(token)) {
+        year = fixYear(Number(token), 4)
+        if (year != null) {
+          out.push({
+            i,
+            j,
+            token,
+            pattern: 'year',
+            guesses: yearGuesses(year)
+          })
+          continue
+        }
+      }
+
+      if (year == null && /^\d{4,8}$/.test(token)) {
+        year = splitDate(token)
+      }
+
+      if (year != null) {
+        out.push({
+          i,
+          j,
+          token,
+          pattern: 'date',
+          guesses: 365 * yearGuesses(year) * (separator ? 4 : 1)
+        })
+      }
+    }
+  }
+  return out
+}
+
+/**
+ * Tries to split a run of digits into a day, month, and year.
+ */
+function splitDate (token: string): number | void {
+  for (const yearDigits of [4, 2]) {
+    const rest = token.length - yearDigits
+    if (rest < 2 || rest > 4) continue
+
+    for (const yearFirst of [false, true]) {
+      const yearText = yearFirst
+        ? token.slice(0, yearDigits)
+        : token.slice(rest)
+      const dayMonth = yearFirst
+        ? token.slice(yearDigits)
+        : token.slice(0, rest)
+
+      for (let k = 1; k < dayMonth.length; ++k) {
+        const a = dayMonth.slice(0, k)
+        const b = dayMonth.slice(k)
+        if (a.length > 2 || b.length > 2) continue
+        const year = parseDate(yearFirst ? [yearText, a, b] : [a, b, yearText])
+        if (year != null) return year
+      }
+    }
+  }
+}
+
+// Scoring ---------------------------------------------------------------
+
+function choose (n: number, k: number): number {
+  if (k > n) return 0
+  let out = 1
+  for (let i = 1; i <= k; ++i) out = out * (n - k + i) / i
+  return out
+}
+
+function factorial (n: number): number {
+  let out = 1
+  for (let i = 2; i <= n; ++i) out *= i
+  return out
+}
+
+function bruteforceCardinality (password: string): number {
+  return (
+    (/[0-9]/.test(password) ? 10 : 0) +
+    (/[a-z]/.test(password) ? 26 : 0) +
+    (/[A-Z]/.test(password) ? 26 : 0) +
+    (/[^0-9A-Za-z]/.test(password) ? 33 : 0)
+  )
+}
+
+/**
+ * Finds the cheapest way to build the password out of pattern matches,
+ * filling any gaps with brute force.
+ */
+function estimateGuesses (
+  password: string,
+  userWords: Array<string>
+): { guesses: number, sequence: Array<Match> } {
+  const n = password.length
+  if (n === 0) return { guesses: 1, sequence: [] }
+
+  const matches = [
+    ...matchDictionaries(password, userWords),
+    ...matchKeyboard(password),
+    ...matchSequences(password),
+    ...matchDates(password)
+  ]
+  if (n > 1) matches.push(...matchRepeats(password, userWords))
+
+  // Add brute-force filler for every possible gap:
+  const cardinality = bruteforceCardinality(password)
+  for (let i = 0; i < n; ++i) {
+    for (let j = i; j < n; ++j) {
+      matches.push({
+        i,
+        j,
+        token: password.slice(i, j + 1),
+        pattern: 'bruteforce',
+        guesses: Math.pow(cardinality, j - i + 1)
+      })
+    }
+  }
+
+  const byEnd: Array<Array<Match>> = []
+  for (let k = 0; k < n; ++k) byEnd.push([])
+  for (const match of matches) {
+    match.guesses = Math.max(match.guesses, match.token.length > 1 ? 50 : 10)
+    byEnd[match.j].push(match)
+  }
+
+  // best[k][l] is the cheapest way to cover password[0..k] with l matches:
+  const best: Array<{ [l: number]: { guesses: number, match: Match } }> = []
+  for (let k = 0; k < n; ++k) {
+    best[k] = {}
+    for (const match of byEnd[k]) {
+      if (match.i === 0) {
+        const old = best[k][1]
+        if (old == null || match.guesses < old.guesses) {
+          best[k][1] = { guesses: match.guesses, match }
+        }
+        continue
+      }
+      const before = best[match.i - 1]
+      for (const l in before) {
+        // Two brute-force runs in a row are really just one:
+        if (
+          match.pattern === 'bruteforce' &&
+          before[l].match.pattern === 'bruteforce'
+        ) {
+          continue
+        }
+        const guesses = before[l].guesses * match.guesses
+        const old = best[k][Number(l) + 1]
+        if (old == null || guesses < old.guesses) {
+          best[k][Number(l) + 1] = { guesses, match }
+        }
+      }
+    }
+  }
+
+  // Pick the best match count, penalizing longer sequences:
+  let bestGuesses = Infinity
+  let bestLength = 0
+  for (const l in best[n - 1]) {
+    const guesses = factorial(Number(l)) * best[n - 1][l].guesses
+    if (guesses < bestGuesses) {
+      bestGuesses = guesses
+      bestLength = Number(l)
+    }
+  }
+
+  // Walk backwards to recover the winning sequence:
+  const sequence = []
+  let k = n - 1
+  for (let l = bestLength; l > 0; --l) {
+    const { match } = best[k][l]
+    sequence.unshift(match)
+    k = match.i - 1
+  }
+
+  return { guesses: bestGuesses, sequence }
+}
+
+// Feedback --------------------------------------------------------------
+
+function matchFeedback (match: Match, soleMatch: boolean): Array<string> {
+  switch (match.pattern) {
+    case 'dictionary': {
+      const out = []
+      const { dictionary, rank = 0 } = match
+      if (dictionary === 'user') {
+        out.push('Avoid using your username in your password')
+      } else if (dictionary === 'passwords') {
+        if (match.l33t || match.reversed) {
+          out.push('This is similar to a commonly used password')
+        } else if (soleMatch && rank <= 10) {
+          out.push('This is a top-10 common password')
+        } else if (soleMatch && rank <= 100) {
+          out.push('This is a top-100 common password')
+        } else {
+          out.push('This is a very common password')
+        }
+      } else if (dictionary === 'names') {
+        out.push('Names and surnames by themselves are easy to guess')
+      } else if (soleMatch) {
+        out.push('A word by itself is easy to guess')
+      }
+
+      if (/^[A-Z][^A-Z]+$/.test(match.token)) {
+        out.push("Capitalization doesn't help very much")
+      } else if (/[a-z]/i.test(match.token) && !/[a-z]/.test(match.token)) {
+        out.push('All-uppercase is almost as easy to guess as all-lowercase')
+      }
+      if (match.reversed) {
+        out.push("Reversed words aren't much harder to guess")
+      }
+      if (match.l33t) {
+        out.push(
+          "Predictable substitutions like '@' instead of 'a' don't help very much"
+        )
+      }
+      return out
+    }
+
+    case 'keyboard':
+      return [
+        match.turns === 1
+          ? 'Straight rows of keys are easy to guess'
+          : 'Short keyboard patterns are easy to guess'
+      ]
+
+    case 'repeat':
+      return [
+        match.baseToken != null && match.baseToken.length === 1
+          ? 'Repeats like "aaa" are easy to guess'
+          : 'Repeats like "abcabcabc" are only slightly harder to guess than "abc"'
+      ]
+
+    case 'sequence':
+      return ['Sequences like abc or 6543 are easy to guess']
+
+    case 'year':
+      return ['Recent years are easy to guess']
+
+    case 'date':
+      return ['Dates are often easy to guess']
+
+    default:
+      return []
+  }
+}
+
+/**
+ * Estimates how many guesses an attacker would need to find a password,
+ * by looking for common words, keyboard patterns, dates, and the like.
+ * @param userWords Words the attacker probably knows, such as the username.
+ */
+export function estimatePasswordStrength (
+  password: string,
+  userWords: Array<string> = []
+): PasswordStrength {
+  const userInputs = []
+  for (const word of userWords) {
+    const lower = word.toLowerCase()
+    userInputs.push(
+      lower,
+      ...lower.split(/[^a-z0-9]+/).filter(w => w.length > 2)
+    )
+  }
+
+  const { guesses, sequence } = estimateGuesses(
+    password.slice(0, maxLength),
+    userInputs
+  )
+  const score = scoreThresholds.filter(threshold => guesses >= threshold).length
+
+  // Explain the weakest part of the password:
+  const feedback = []
+  if (score < 3) {
+    const patterns = sequence.filter(match => match.pattern !== 'bruteforce')
+    const userMatch = patterns.find(match => match.dictionary === 'user')
+    const longest = patterns.reduce(
+      (longest, match) =>
+        longest == null || match.token.length > longest.token.length
+          ? match
+          : longest,
+      void 0
+    )
+
+    if (userMatch != null && userMatch !== longest) {
+      feedback.push(...matchFeedback(userMatch, false))
+    }
+    if (longest != null) {
+      feedback.push(...matchFeedback(longest, sequence.length === 1))
+    }
+    feedback.push('Add another word or two. Uncommon words are better.')
+  }
+
+  return { guesses, score, feedback }
+}
@@ -0,0 +1,58 @@
+// @flow
+
+import { assert } from 'chai'
+import { describe, it } from 'mocha'
+
+import { estimatePasswordStrength } from './password-strength.js'
+import { checkPasswordRules } from './password.js'
+
+describe('password strength', function () {
+  it('rejects common patterns', function () {
+    for (const password of [
+      'Password1234',
+      'qwertyuiop',
+      'zxcvbnm,./',
+      'aaaaaaaaaaaa',
+      'abcabcabcabc',
+      'abcdefghij',
+      'P@$$w0rd',
+      'drowssaP',
+      'Monkey12/25/1990'
+    ]) {
+      const { score, passed } = checkPasswordRules(password)
+      assert.isBelow(score, 3, password)
+      assert.isFalse(passed, password)
+    }
+  })
+
+  it('accepts strong passwords', function () {
+    for (const password of ['y768Mv4PLFupQjMu', 'Gk4#vQ9z!Lm2Xw']) {
+      const { score, passed } = checkPasswordRules(password)
+      assert.isAtLeast(score, 3, password)
+      assert.isTrue(passed, password)
+    }
+  })
+
+  it('explains what is wrong', function () {
+    assert.include(
+      estimatePasswordStrength('password').feedback,
+      'This is a top-10 common password'
+    )
+    assert.include(
+      estimatePasswordStrength('ertyuiop[]9').feedback,
+      'Straight rows of keys are easy to guess'
+    )
+    assert.include(
+      estimatePasswordStrength('Sunday2001').feedback,
+      'Recent years are easy to guess'
+    )
+  })
+
+  it('notices the username', function () {
+    const password = 'Zebulon.Quix77'
+    const plain = checkPasswordRules(password)
+    const rules = checkPasswordRules(password, 'zebulon.quix')
+    assert.isBelow(rules.secondsToCrack, plain.secondsToCrack)
+    assert.include(rules.feedback, 'Avoid using your username in your password')
+  })
+})
@@ -0,0 +1,170 @@
+// @flow
+
+/**
+ * Word lists for the password strength estimator,
+ * bundled so the estimate works without a network connection.
+ * Each list is ordered from most to least common.
+ */
+
+// Leaked passwords, most popular first:
+const passwords = `
+123456 password 12345678 qwerty 123456789 12345 1234 111111 1234567 dragon
+123123 baseball abc123 football monkey letmein 696969 shadow master 666666
+qwertyuiop 123321 mustang 1234567890 michael 654321 superman 1qaz2wsx 7777777
+121212 000000 qazwsx 123qwe killer trustno1 jordan jennifer zxcvbnm asdfgh
+hunter buster soccer harley batman andrew tigger sunshine iloveyou 2000
+charlie robert thomas hockey ranger daniel starwars klaster 112233 george
+computer michelle jessica pepper 1111 zxcvbn 555555 11111111 131313 freedom
+777777 pass maggie 159753 aaaaaa ginger princess joshua cheese amanda summer
+love ashley nicole chelsea biteme matthew access yankees 987654321 dallas
+austin thunder taylor matrix mobilemail mom monitor monitoring montana moon
+moscow william corvette hello martin heather secret merlin diamond 1234qwer
+gfhjkm hammer silver 222222 88888888 anthony justin test bailey q1w2e3r4t5
+patrick internet scooter orange 11111 golfer cookie richard samantha bigdog
+guitar jackson whatever mickey chicken sparky snoopy maverick phoenix camaro
+peanut morgan welcome falcon cowboy ferrari samsung andrea smokey steelers
+joseph mercedes dakota arsenal eagles melissa boomer booboo spider nascar
+monster tigers yellow xxxxxx 123123123 gateway marina diablo bulldog qwer1234
+compaq purple banana junior hannah 123654 porsche lakers iceman
+money cowboys 987654 london tennis 999999 ncc1701 coffee scooby 0000 miller
+boston q1w2e3r4 brandon yamaha chester mother forever johnny edward 333333
+oliver redsox player nikita knight fender barney midnight please brandy
+chicago badboy slayer rangers charles angel flower rabbit wizard
+jasper enter rachel chris steven winner adidas victoria natasha 1q2w3e4r
+jasmine winter prince marine ghbdtn fishing cocacola casper james
+232323 raiders 888888 marlboro gandalf asdfasdf crystal 87654321 12344321
+golden 8675309 panther lauren angela spanky thx1138 angels madison
+winston shannon mike toyota jordan23 canada sophie apples
+tiger razz 123abc pokemon qazxsw 55555 qwaszx muffin johnson murphy cooper
+jonathan liverpoo david danielle 159357 jackie 1990 123456a 789456 turtle
+abcd1234 scorpion qazwsxedc 101010 butter carlos password1 dennis
+slipknot qwerty123 booger asdf 1991 black startrek 12341234 cameron newyork
+rainbow nathan john 1992 rocket viking redskins butthead asdfghjkl 1212
+sierra peaches gemini doctor wilson sandra helpme qwertyui victor florida
+dolphin pookie captain tucker blue liverpool theman bandit dolphins maddog
+packers jaguar lovers nicholas united tiffany maxwell zzzzzz nirvana jeremy
+stupid monica elephant giants jackass hotdog rosebud success
+debbie mountain 444444 xxxxxxxx warrior 1q2w3e4r5t q1w2e3 123456q albert
+metallic lucky azerty 7777 alex bond007 alexis 1111111 samson 5150
+willie scorpio bonnie gators benjamin voodoo driver dexter 2112 jason calvin
+freddy 212121 creative 12345a sydney rush2112 1989 asdfghjk red123 bubba
+4815162342 passw0rd trouble gunner happy florida1 gordon legend jessie
+stella qwert eminem arthur apple nissan bear america 1qazxsw2
+nothing parker 4444 rebecca qweqwe garfield 01012011 beavis 69696969 jack
+asdasd december 2222 102030 252525 11223344 magic apollo skippy 315475
+girls kitten golf copper braves shelby godzilla beaver fred tomcat august
+buddy airborne 1993 1988 lifehack qqqqqq brooklyn animal platinum phantom
+online xavier darkness blink182 power fish green 789456123 voyager police
+travis 12qwaszx heaven snowball lover abcdef 00000 pakistan 007007 walter
+playboy blazer cricket sniper hooters donkey willow loveme saturn therock
+redwings bigboy pumpkin trinity williams nintendo digital destiny topgun
+runner marvin guinness chance bubbles testing fire november minecraft
+asdf1234 lasvegas sergey broncos cartman private celtic birdie little
+cassie babygirl donald beatles 1313 family 12121212 school louise
+gabriel eclipse fluffy 147258369 lol123 explorer beer nelson flyers spencer
+scott lovely gibson doggie cherry andrey snickers buffalo pantera metallica
+member carter qwertyu peter alexande steve bronco paradise goober 5555
+samuel montana1 mexico dreams michigan carolina friends magnum surfer
+maximus genius cool vampire lacrosse asd123 aaaa christin kimberly speedy
+sharon carmen 111222 kristina sammy racing ou812 sabrina horses 0987654321
+qwerty1 pimpin baby stalker enigma 147147 star poohbear 147258
+simple bollocks 12345q marcus brian 1987 qweasdzxc drowssap hahaha caroline
+barbara dave viper drummer action einstein genesis hello1 scotty
+friend forest 010203 hotrod google vanessa spitfire badger maryjane friday
+alaska 1232323q tester jester jake champion billy 147852 rock hawaii badass
+chevy 420420 walker stephen eagle1 bill 1986 october gregory svetlana
+pamela 1984 music shorty westside stanley diesel courtney 242424 kevin
+hitman mark 12345qwert reddog frank qwe123 popcorn patricia
+aaaaaaaa 1969 teresa mozart buddha anderson paul melanie abcdefg security
+lucky1 lizard denise 3333 a12345 123789 ruslan stargate simpsons scarface
+eagle 123456789a thumper olivia naruto 1234554321 general cherokee a123456
+vincent spooky qweasd free frankie douglas death 1980
+loveyou kitty kelly veronica suzuki semperfi penguin mercury liberty spirit
+scotland natalie marley vikings system king allison marshall 1979
+098765 qwerty12 hummer adrian 1985 vfhbyf sandman rocky leslie antonio
+98765432 4321 softball passion mnbvcxz passport rascal howard
+franklin bigred alexander homer redrum jupiter claudia 55555555 141414
+zaq12wsx patches raider infinity andre 54321 galore college
+russia kawasaki bishop 77777777 vladimir money1 freeuser wildcat francis
+disney budlight brittany 1994 00000000 sweet oksana honda domino bulldogs
+brutus swordfis norman monday jimmy ironman ford fantasy 9999 7654321
+`
+
+// Common English words, roughly in order of frequency:
+const englishWords = `
+you the to it not that and of what is in me my this have your do for be we
+was on know can no are but just all with so get here he like right don up
+out about go if there now she yeah how want come well at one okay oh think
+good gonna time her they see him back let got really tell was one would
+look say who been from why mean take sure when then something his could yes
+thank need make did just then them man way going were much never than
+little our only down over could love thing please nothing love people very
+life think maybe more should night help dad mother father house little
+money home work girl last first place talk anything everything sorry call
+hello leave stop still wait again great friend find fine kind better believe
+keep guy give baby long into happen happy ever hear thought before always
+world live name day year great old after around nice should family school
+hand new away left mind same wrong another remember anyone boy true big
+head night alone point help every lady sister brother wife husband kill
+person hope heart meet week stay start care fire gone face dear hurt open
+kid door real matter best room water phone dead live fight play change
+hard money young game trust feel word move beautiful mister whole heard
+idea worry run problem crazy inside lose sweet body shut town business
+party fun dream mom honey miss watch kiss truth war question pretty show
+side number light case eye car city power mouth police dog cat doctor
+letter drink food music death hair story color king queen ready lost
+beer blood secret break state case deal hour minute second morning evening
+early late summer winter spring autumn christmas birthday weekend holiday
+paper table chair window garden flower tree apple orange banana lemon
+cherry river ocean island mountain forest desert sky star moon sun earth
+rain snow storm wind cloud thunder lightning shadow silver golden diamond
+dragon tiger lion eagle wolf horse rabbit monkey turtle dolphin shark snake
+spider angel devil heaven hell ghost magic wizard knight prince princess
+castle sword shield hunter warrior soldier pilot captain master teacher
+student computer internet network system server login access secure
+security password secret private public admin user guest account bitcoin
+wallet crypto coin money cash bank credit dollar euro pound gold
+welcome hello goodbye freedom liberty justice victory winner champion
+soccer football baseball basketball hockey tennis golf racing runner
+guitar piano drum singer dancer artist poet writer reader coffee tea
+chocolate cookie cake pizza burger candy sugar butter cheese bread
+`
+
+// Common first names and surnames:
+const names = `
+james john robert michael william david richard charles joseph thomas
+christopher daniel paul mark donald george kenneth steven edward brian
+ronald anthony kevin jason matthew gary timothy jose larry jeffrey frank
+scott eric stephen andrew raymond gregory joshua jerry dennis walter
+patrick peter harold douglas henry carl arthur ryan roger joe juan jack
+albert jonathan justin terry gerald keith samuel willie ralph lawrence
+nicholas roy benjamin bruce brandon adam harry fred wayne billy steve
+louis jeremy aaron randy howard eugene carlos russell bobby victor martin
+mary patricia linda barbara elizabeth jennifer maria susan margaret
+dorothy lisa nancy karen betty helen sandra donna carol ruth sharon
+michelle laura sarah kimberly deborah jessica shirley cynthia angela
+melissa brenda amy anna rebecca virginia kathleen pamela martha debra
+amanda stephanie carolyn christine marie janet catherine frances ann
+joyce diane alice julie heather teresa doris gloria evelyn jean cheryl
+mildred katherine joan ashley judith rose janice kelly nicole judy
+christina kathy theresa beverly denise tammy irene jane lori rachel
+marilyn andrea kathryn louise sara anne jacqueline wanda bonnie julia
+ruby lois tina phyllis norma paula diana annie lillian emily robin
+smith johnson williams jones brown davis miller wilson moore taylor
+anderson jackson white harris thompson garcia martinez robinson clark
+rodriguez lewis lee walker hall allen young hernandez king wright lopez
+hill green adams baker gonzalez nelson carter mitchell perez roberts
+turner phillips campbell parker evans edwards collins stewart sanchez
+morris rogers reed cook morgan bell murphy bailey rivera cooper richardson
+cox howard ward torres peterson gray ramirez watson brooks kelly sanders
+price bennett wood barnes ross henderson coleman jenkins perry powell long
+patterson hughes flores washington butler simmons foster gonzales bryant
+`
+
+function parseList (text: string): Array<string> {
+  return text.split(/\s+/).filter(word => word !== '')
+}
+
+export const passwordList: Array<string> = parseList(passwords)
+export const englishList: Array<string> = parseList(englishWords)
+export const nameList: Array<string> = parseList(names)
@@ -1,14 +1,20 @@
 // @flow
 
 import { decrypt, encrypt } from '../../util/crypto/crypto.js'
-import { fixOtpKey, totp } from '../../util/crypto/hotp.js'
+import { fixOtpKey } from '../../util/crypto/hotp.js'
 import { base64 } from '../../util/encoding.js'
 import type { ApiInput } from '../root.js'
 import { makeSnrp, scrypt, userIdSnrp } from '../scrypt/scrypt-selectors.js'
 import { authRequest } from './authServer.js'
 import type { LoginKit, LoginStash, LoginTree } from './login-types.js'
-import { applyLoginReply, makeLoginTree, syncLogin } from './login.js'
+import {
+  applyLoginReply,
+  makeLoginTree,
+  otpRequest,
+  syncLogin
+} from './login.js'
 import { fixUsername, hashUsername } from './loginStore.js'
+import { estimatePasswordStrength } from './password-strength.js'
 
 export const passwordAuthSnrp = userIdSnrp
 
@@ -52,7 +58,8 @@ async function fetchLoginKey (
   const request = {
     userId: base64.stringify(userId),
     passwordAuth: base64.stringify(passwordAuth),
-    otp
+    otp,
+    deviceId: await ai.props.loginStore.loadDeviceId()
   }
   const reply = await authRequest(ai, 'POST', '/v2/login', request)
   if (reply.passwordBox == null || reply.passwordKeySnrp == null) {
@@ -90,14 +97,16 @@ export async function loginPassword (
 
     return loginTree
   } catch (e) {
-    const { loginKey, loginReply } = await fetchLoginKey(
+    const { reply: { loginKey, loginReply }, clockOffset } = await otpRequest(
       ai,
-      username,
-      password,
-      totp(otpKey || stashTree.otpKey)
+      stashTree.loginId,
+      otpKey || stashTree.otpKey,
+      stashTree.otpClockOffset,
+      otp => fetchLoginKey(ai, username, password, otp)
     )
     stashTree = applyLoginReply(stashTree, loginKey, loginReply)
     if (otpKey) stashTree.otpKey = fixOtpKey(otpKey)
+    if (stashTree.otpKey != null) stashTree.otpClockOffset = clockOffset
     loginStore.save(stashTree)
     return makeLoginTree(stashTree, loginKey)
   }
@@ -126,30 +135,32 @@ export function checkPassword (
 
 /**
  * Verifies that a password meets our suggested rules.
+ * @param username Passwords containing this are easier to guess.
  */
-export function checkPasswordRules (password: string) {
+export function checkPasswordRules (password: string, username?: string) {
   const tooShort = password.length < 10
   const noNumber = !/[0-9]/.test(password)
   const noLowerCase = !/[a-z]/.test(password)
   const noUpperCase = !/[A-Z]/.test(password)
 
-  // Quick & dirty password strength estimation:
-  const charset =
-    (/[0-9]/.test(password) ? 10 : 0) +
-    (/[A-Z]/.test(password) ? 26 : 0) +
-    (/[a-z]/.test(password) ? 26 : 0) +
-    (/[^0-9A-Za-z]/.test(password) ? 30 : 0)
-  const secondsToCrack = Math.pow(charset, password.length) / 1e6
+  const { guesses, score, feedback } = estimatePasswordStrength(
+    password,
+    username != null ? [username] : []
+  )
+  const secondsToCrack = guesses / 1e6
 
   return {
     secondsToCrack,
+    score,
+    feedback,
     tooShort,
     noNumber,
     noLowerCase,
     noUpperCase,
     passed:
-      password.length >= 16 ||
-      !(tooShort || noNumber || noUpperCase || noLowerCase)
+      score >= 3 &&
+      (password.length >= 16 ||
+        !(tooShort || noNumber || noUpperCase || noLowerCase))
   }
 }
 
@@ -1,13 +1,19 @@
 // @flow
 
+import { errorNames } from '../../error.js'
 import { decrypt, encrypt, hmacSha256 } from '../../util/crypto/crypto.js'
-import { fixOtpKey, totp } from '../../util/crypto/hotp.js'
+import { fixOtpKey } from '../../util/crypto/hotp.js'
 import { base64, utf8 } from '../../util/encoding.js'
 import type { ApiInput } from '../root.js'
 import { authRequest } from './authServer.js'
 import type { LoginKit, LoginStash, LoginTree } from './login-types.js'
-import { applyLoginReply, makeLoginTree, searchTree } from './login.js'
-import { fixUsername } from './loginStore.js'
+import {
+  applyLoginReply,
+  makeLoginTree,
+  otpRequest,
+  searchTree
+} from './login.js'
+import { fixUsername, hasSecret } from './loginStore.js'
 
 function pin2Id (pin2Key: Uint8Array, username: string) {
   const data = utf8.parse(fixUsername(username))
@@ -32,7 +38,8 @@ async function fetchLoginKey (
   const request = {
     pin2Id: base64.stringify(pin2Id(pin2Key, username)),
     pin2Auth: base64.stringify(pin2Auth(pin2Key, pin)),
-    otp
+    otp,
+    deviceId: await ai.props.loginStore.loadDeviceId()
   }
   const reply = await authRequest(ai, 'POST', '/v2/login', request)
   if (reply.pin2Box == null) {
@@ -44,16 +51,36 @@ async function fetchLoginKey (
   }
 }
 
+/**
+ * Finds the login stash holding the PIN login key for an app, if any.
+ */
+export function findPin2Stash (
+  stashTree: LoginStash,
+  appId: string
+): LoginStash | void {
+  if (hasSecret(stashTree, 'pin2Key')) return stashTree
+  const stash = searchTree(stashTree, stash => stash.appId === appId)
+  if (stash != null && hasSecret(stash, 'pin2Key')) return stash
+}
+
 /**
  * Returns a copy of the PIN login key if one exists on the local device.
+ * Platforms with secure storage may ask the user to unlock the key first.
  */
-export function getPin2Key (stashTree: LoginStash, appId: string) {
-  const stash =
-    stashTree.pin2Key != null
-      ? stashTree
-      : searchTree(stashTree, stash => stash.appId === appId)
-  return stash != null && stash.pin2Key != null
-    ? { pin2Key: base64.parse(stash.pin2Key), appId: stash.appId }
+export async function getPin2Key (
+  ai: ApiInput,
+  stashTree: LoginStash,
+  appId: string,
+  prompt: string
+) {
+  const { loginStore } = ai.props
+  const stash = findPin2Stash(stashTree, appId)
+  const pin2Key =
+    stash != null
+      ? await loginStore.loadSecret(stash, 'pin2Key', prompt)
+      : void 0
+  return stash != null && pin2Key != null
+    ? { pin2Key: base64.parse(pin2Key), appId: stash.appId }
     : { pin2Key: void 0, appId: void 0 }
 }
 
@@ -70,19 +97,30 @@ export async function loginPin2 (
 ) {
   const { loginStore } = ai.props
   let stashTree = await loginStore.load(username)
-  const { pin2Key, appId: appIdFound } = getPin2Key(stashTree, appId)
+  const { pin2Key, appId: appIdFound } = await getPin2Key(
+    ai,
+    stashTree,
+    appId,
+    'Log in with your PIN'
+  )
   if (pin2Key == null) {
     throw new Error('No PIN set locally for this account')
   }
-  const { loginKey, loginReply } = await fetchLoginKey(
-    ai,
-    pin2Key,
-    username,
-    pin,
-    totp(otpKey || stashTree.otpKey)
+  const {
+    reply: { loginKey, loginReply },
+    clockOffset
+  } = await loginStore.throttleAttempt(username, 'pin', () =>
+    otpRequest(
+      ai,
+      stashTree.loginId,
+      otpKey || stashTree.otpKey,
+      stashTree.otpClockOffset,
+      otp => fetchLoginKey(ai, pin2Key, username, pin, otp)
+    )
   )
   stashTree = applyLoginReply(stashTree, loginKey, loginReply)
   if (otpKey) stashTree.otpKey = fixOtpKey(otpKey)
+  if (stashTree.otpKey != null) stashTree.otpClockOffset = clockOffset
   loginStore.save(stashTree)
 
   // Capture the PIN into the login tree:
@@ -93,18 +131,29 @@ export async function loginPin2 (
 
 /**
  * Returns true if the given pin is correct.
+ * Other failures, such as network errors, reject as usual,
+ * so they don't count as wrong guesses.
  */
 export async function checkPin2 (ai: ApiInput, login: LoginTree, pin: string) {
   const { appId, username } = login
   const { loginStore } = ai.props
   const stashTree = await loginStore.load(username)
-  const { pin2Key } = getPin2Key(stashTree, appId)
+  const { pin2Key } = await getPin2Key(ai, stashTree, appId, 'Confirm your PIN')
   if (pin2Key == null) {
     throw new Error('No PIN set locally for this account')
   }
-  return fetchLoginKey(ai, pin2Key, username, pin, totp(stashTree.otpKey)).then(
+  return otpRequest(
+    ai,
+    stashTree.loginId,
+    stashTree.otpKey,
+    stashTree.otpClockOffset,
+    otp => fetchLoginKey(ai, pin2Key, username, pin, otp)
+  ).then(
     good => true,
-    bad => false
+    e => {
+      if (e.name === errorNames.PasswordError) return false
+      throw e
+    }
   )
 }
 
@@ -0,0 +1,44 @@
+// @flow
+
+import { expect } from 'chai'
+import { describe, it } from 'mocha'
+
+import { base64 } from '../../util/encoding.js'
+import { makeFakeAuthServer } from './fakeAuthServer.js'
+import { checkPin2 } from './pin2.js'
+
+const loginId = base64.stringify(new Uint8Array(32))
+const pin2Key = base64.stringify(new Uint8Array(32).fill(1))
+const login: any = { appId: '', username: 'pin test' }
+
+function checkPin (ai): Promise<mixed> {
+  return ai.props.loginStore.throttleAttempt('pin test', 'pin', () =>
+    checkPin2(ai, login, '1234')
+  )
+}
+
+describe('checkPin2', function () {
+  it('counts a wrong PIN', async function () {
+    const { ai } = makeFakeAuthServer({
+      reply: { status_code: 4, results: {} }
+    })
+    const { loginStore } = ai.props
+    await loginStore.save({ appId: '', loginId, username: 'pin test', pin2Key })
+
+    expect(await checkPin(ai)).to.equal(false)
+    expect((await loginStore.getLockout('pin test')).failures).to.equal(1)
+  })
+
+  it('passes network errors through', async function () {
+    const { ai } = makeFakeAuthServer()
+    const { loginStore } = ai.props
+    await loginStore.save({ appId: '', loginId, username: 'pin test', pin2Key })
+    ai.props.io.fetch = () => Promise.reject(new Error('Network error'))
+
+    await checkPin(ai).then(
+      ok => Promise.reject(new Error('Should fail')),
+      e => expect(e.message).to.equal('Network error')
+    )
+    expect((await loginStore.getLockout('pin test')).failures).to.equal(0)
+  })
+})
@@ -1,12 +1,12 @@
 // @flow
 
 import { decrypt, encrypt, hmacSha256 } from '../../util/crypto/crypto.js'
-import { fixOtpKey, totp } from '../../util/crypto/hotp.js'
+import { fixOtpKey } from '../../util/crypto/hotp.js'
 import { base64, utf8 } from '../../util/encoding.js'
 import type { ApiInput } from '../root.js'
 import { authRequest } from './authServer.js'
 import type { LoginStash, LoginTree } from './login-types.js'
-import { applyLoginReply, makeLoginTree } from './login.js'
+import { applyLoginReply, makeLoginTree, otpRequest } from './login.js'
 import { fixUsername } from './loginStore.js'
 
 function recovery2Id (recovery2Key: Uint8Array, username: string) {
@@ -35,7 +35,8 @@ async function fetchLoginKey (
   const request = {
     recovery2Id: base64.stringify(recovery2Id(recovery2Key, username)),
     recovery2Auth: recovery2Auth(recovery2Key, answers),
-    otp
+    otp,
+    deviceId: await ai.props.loginStore.loadDeviceId()
   }
   const reply = await authRequest(ai, 'POST', '/v2/login', request)
   if (reply.recovery2Box == null) {
@@ -69,15 +70,16 @@ export async function loginRecovery2 (
 ) {
   const { loginStore } = ai.props
   let stashTree = await loginStore.load(username)
-  const { loginKey, loginReply } = await fetchLoginKey(
+  const { reply: { loginKey, loginReply }, clockOffset } = await otpRequest(
     ai,
-    recovery2Key,
-    username,
-    answers,
-    totp(otpKey || stashTree.otpKey)
+    stashTree.loginId,
+    otpKey || stashTree.otpKey,
+    stashTree.otpClockOffset,
+    otp => fetchLoginKey(ai, recovery2Key, username, answers, otp)
   )
   stashTree = applyLoginReply(stashTree, loginKey, loginReply)
   if (otpKey) stashTree.otpKey = fixOtpKey(otpKey)
+  if (stashTree.otpKey != null) stashTree.otpClockOffset = clockOffset
   loginStore.save(stashTree)
   return makeLoginTree(stashTree, loginKey)
 }
@@ -6,6 +6,7 @@ import type { RootAction } from '../../actions.js'
 
 export interface LoginServerState {
   apiKey: string | null;
+  clockOffset: number | null; // Seconds, once we know it
   uri: string;
 }
 
@@ -16,6 +17,12 @@ export default combineReducers({
       : state
   },
 
+  clockOffset (state: number | null = null, action: RootAction): number | null {
+    return action.type === 'LOGIN_SERVER_CLOCK_MEASURED'
+      ? action.payload
+      : state
+  },
+
   uri (
     state: string = 'https://auth.airbitz.co/api',
     action: RootAction
@@ -0,0 +1,53 @@
+// @flow
+
+import type { PlusultraSession } from '../../plusultra-core-index.js'
+import type { ApiInput } from '../root.js'
+import { authRequest } from './authServer.js'
+import type { LoginTree } from './login-types.js'
+import { makeAuthJson } from './login.js'
+
+/**
+ * Tells the auth server that this device is logged in,
+ * so it shows up in the session list.
+ */
+export function registerSession (ai: ApiInput, login: LoginTree) {
+  const { loginStore } = ai.props
+  return makeAuthJson(ai, login).then(request => {
+    request.data = { deviceName: loginStore.deviceName }
+    return authRequest(ai, 'PUT', '/v2/login/sessions', request)
+  })
+}
+
+/**
+ * Lists the devices that are logged into this account.
+ */
+export function listSessions (
+  ai: ApiInput,
+  login: LoginTree
+): Promise<Array<PlusultraSession>> {
+  return makeAuthJson(ai, login).then(request => {
+    const { deviceId } = request
+    return authRequest(ai, 'POST', '/v2/login/sessions', request).then(reply =>
+      reply.sessions.map(session => ({
+        id: session.deviceId,
+        deviceName: session.deviceName,
+        // The server returns dates as ISO 8601 formatted strings:
+        loginDate: new Date(session.loginDate),
+        lastSeen: new Date(session.lastSeen),
+        current: session.deviceId === deviceId
+      }))
+    )
+  })
+}
+
+/**
+ * Logs a device out of this account.
+ * The device's saved `loginAuth` stops working,
+ * so its next sync fails with a `SessionRevokedError`.
+ */
+export function revokeSession (ai: ApiInput, login: LoginTree, id: string) {
+  return makeAuthJson(ai, login).then(request => {
+    request.data = { deviceId: id }
+    return authRequest(ai, 'DELETE', '/v2/login/sessions', request)
+  })
+}
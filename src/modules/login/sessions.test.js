@@ -0,0 +1,111 @@
+// @flow
+
+import { expect } from 'chai'
+import { describe, it } from 'mocha'
+
+import { error, makeFakeIos } from '../../edge-core-index.js'
+import { fixIo } from '../../io/fixIo.js'
+import { encrypt } from '../../util/crypto/crypto.js'
+import { base64 } from '../../util/encoding.js'
+import { makeFakeAuthServer } from './fakeAuthServer.js'
+import { syncLogin } from './login.js'
+import { loginPin2 } from './pin2.js'
+import { listSessions, revokeSession } from './sessions.js'
+
+const loginId = base64.stringify(new Uint8Array(32))
+const loginKey = new Uint8Array(32).fill(1)
+const loginAuth = new Uint8Array(32).fill(2)
+
+const login: any = { appId: '', loginId, loginKey, loginAuth }
+
+describe('sessions', function () {
+  it('lists sessions', async function () {
+    const { ai, server } = makeFakeAuthServer({
+      reply: {
+        status_code: 0,
+        results: {
+          sessions: [
+            {
+              deviceId: 'other',
+              deviceName: 'Laptop',
+              loginDate: '2018-01-01T00:00:00Z',
+              lastSeen: '2018-01-02T00:00:00Z'
+            }
+          ]
+        }
+      }
+    })
+    const sessions = await listSessions(ai, login)
+    expect(sessions).to.deep.equal([
+      {
+        id: 'other',
+        deviceName: 'Laptop',
+        loginDate: new Date('2018-01-01T00:00:00Z'),
+        lastSeen: new Date('2018-01-02T00:00:00Z'),
+        current: false
+      }
+    ])
+
+    const deviceId = await ai.props.loginStore.loadDeviceId()
+    expect(server.requests).to.have.length(1)
+    expect(server.requests[0].body.deviceId).to.equal(deviceId)
+    expect(server.requests[0].body.loginAuth).to.equal(
+      base64.stringify(loginAuth)
+    )
+  })
+
+  it('revokes sessions', async function () {
+    const { ai, server } = makeFakeAuthServer()
+    await revokeSession(ai, login, 'other')
+
+    expect(server.requests).to.have.length(1)
+    expect(server.requests[0].method).to.equal('DELETE')
+    expect(server.requests[0].body.data).to.deep.equal({ deviceId: 'other' })
+  })
+
+  it('identifies the device on PIN login', async function () {
+    const pin2Key = new Uint8Array(32).fill(3)
+    const [fakeIo] = makeFakeIos(1).map(fixIo)
+    const { ai, server } = makeFakeAuthServer({
+      reply: {
+        status_code: 0,
+        results: {
+          appId: '',
+          loginId,
+          loginAuthBox: encrypt(fakeIo, loginAuth, loginKey),
+          pin2Box: encrypt(fakeIo, loginKey, pin2Key)
+        }
+      }
+    })
+    await ai.props.loginStore.save({
+      appId: '',
+      loginId,
+      username: 'pin user',
+      pin2Key: base64.stringify(pin2Key)
+    })
+    await loginPin2(ai, '', 'pin user', '1234', void 0)
+
+    const deviceId = await ai.props.loginStore.loadDeviceId()
+    expect(server.requests).to.have.length(1)
+    expect(server.requests[0].body.deviceId).to.equal(deviceId)
+  })
+
+  it('forgets revoked credentials', async function () {
+    const { ai, io } = makeFakeAuthServer({ reply: { status_code: 9 } })
+    const { loginStore } = ai.props
+    await loginStore.save({
+      appId: '',
+      loginId,
+      username: 'revoked',
+      loginAuthBox: encrypt(io, loginAuth, loginKey)
+    })
+
+    await syncLogin(ai, { ...login, username: 'revoked' }, login).then(
+      () => expect.fail(),
+      e => expect(e.name).to.equal(error.SessionRevokedError.name)
+    )
+    const stash = await loginStore.load('revoked')
+    expect(stash.loginId).to.equal(loginId)
+    expect(stash.loginAuthBox).to.equal(undefined)
+  })
+})
@@ -8,6 +8,7 @@ import type { CurrencyOutput } from './currency/currency-pixie.js'
 import currency from './currency/currency-pixie.js'
 import type { ExchangeOutput } from './exchange/exchange-pixie.js'
 import exchange from './exchange/exchange-pixie.js'
+import { makeLoginMessagesPixie } from './login/login-messages-pixie.js'
 import { makeApiProps } from './root.js'
 import type { ScryptOutput } from './scrypt/scrypt-pixie.js'
 import scrypt from './scrypt/scrypt-pixie.js'
@@ -17,6 +18,7 @@ export interface RootOutput {
   contextApi: EdgeContext;
   currency: CurrencyOutput;
   exchange: ExchangeOutput;
+  loginMessages: mixed;
   scrypt: ScryptOutput;
 }
 
@@ -24,5 +26,6 @@ export const rootPixie = combinePixies({
   contextApi: filterPixie(contextApiPixie, makeApiProps),
   currency,
   exchange,
+  loginMessages: filterPixie(makeLoginMessagesPixie(), makeApiProps),
   scrypt
 })
@@ -7,7 +7,9 @@ import type { PixieInput, ReduxProps } from 'redux-pixies'
 import type {
   PlusultraContextOptions,
   PlusultraCorePluginFactory,
-  PlusultraIo
+  PlusultraIo,
+  PlusultraLoginMessages,
+  PlusultraSyncTransport
 } from '../plusultra-core-index.js'
 import { makeBrowserIo } from '../io/browser/browser-io.js'
 import { makeFakeIos } from '../io/fake/fake-io.js'
@@ -19,6 +21,13 @@ import { makeStore } from './makeStore.js'
 import { rootPixie } from './root-pixie.js'
 import type { RootOutput } from './root-pixie.js'
 import type { RootState } from './root-reducer.js'
+import { makeMergePolicy } from './storage/repo-merge.js'
+import type { RepoMergePolicy } from './storage/repo-merge.js'
+import { SyncScheduler } from './storage/storage-scheduler.js'
+import {
+  makeHttpSyncTransport,
+  SyncServerList
+} from './storage/storage-servers.js'
 
 let allDestroyPixies: Array<() => void> = []
 
@@ -37,11 +46,15 @@ export interface CoreRoot {
   io: PlusultraIo;
   onError(e: Error): mixed;
   onExchangeUpdate(): mixed;
+  onLoginMessages: ((messages: PlusultraLoginMessages) => mixed) | void;
   plugins: Array<PlusultraCorePluginFactory>;
   shapeshiftKey: string | void;
 
   // Loose objects:
   loginStore: LoginStore;
+  mergePolicy: RepoMergePolicy;
+  syncScheduler: SyncScheduler;
+  syncTransport: PlusultraSyncTransport;
 
   // Redux state:
   redux: Store<RootState, RootAction>;
@@ -63,11 +76,22 @@ export function makeCoreRoot (opts: PlusultraContextOptions) {
     apiKey = '!invalid',
     authServer = 'https://auth.airbitz.co/api',
     callbacks = {},
+    deviceName,
+    encryptLoginStash = false,
     io: rawIo = makeBrowserIo(),
+    mergeFallback,
+    otpWindow,
+    pinWipeAttempts,
     plugins = [],
-    shapeshiftKey = void 0
+    shapeshiftKey = void 0,
+    syncServers,
+    syncTransport
   } = opts
-  const { onError = onErrorDefault, onExchangeUpdate = nop } = callbacks
+  const {
+    onError = onErrorDefault,
+    onExchangeUpdate = nop,
+    onLoginMessages
+  } = callbacks
 
   const appId =
     opts.appId != null
@@ -86,9 +110,22 @@ export function makeCoreRoot (opts: PlusultraContextOptions) {
     io,
     onError,
     onExchangeUpdate,
+    onLoginMessages,
     plugins,
     shapeshiftKey,
-    loginStore: new LoginStore(io),
+    loginStore: new LoginStore(io, {
+      deviceName,
+      encrypt: encryptLoginStash,
+      onError,
+      otpWindow,
+      pinWipeAttempts
+    }),
+    mergePolicy: makeMergePolicy(mergeFallback),
+    syncScheduler: new SyncScheduler(),
+    syncTransport:
+      syncTransport != null
+        ? syncTransport
+        : makeHttpSyncTransport(io, new SyncServerList(syncServers)),
     redux: makeStore(),
     output
   }
@@ -117,12 +154,16 @@ export function startCoreRoot (coreRoot: CoreRoot) {
 
 /**
  * Makes a bunch of coreRoot objects with fake io's for unit-testing.
+ * Any `io` in the options replaces parts of the fake one.
  */
 export function makeFakeCoreRoots (
   ...opts: Array<PlusultraContextOptions>
 ): Array<CoreRoot> {
   return makeFakeIos(opts.length).map((io, i) => {
-    const coreRoot: CoreRoot = makeCoreRoot({ ...opts[i], io })
+    const coreRoot: CoreRoot = makeCoreRoot({
+      ...opts[i],
+      io: { ...io, ...opts[i].io }
+    })
     if (opts[i].localFakeUser) stashFakeUser(coreRoot.io)
     return coreRoot
   })
@@ -149,6 +190,8 @@ export interface RootProps {
   plugins: Array<PlusultraCorePluginFactory>;
   shapeshiftKey: string | void;
   state: RootState;
+  syncScheduler: SyncScheduler;
+  syncTransport: PlusultraSyncTransport;
 }
 
 /**
@@ -164,7 +207,9 @@ export function makeRootProps (
     onError: coreRoot.onError,
     onExchangeUpdate: coreRoot.onExchangeUpdate,
     shapeshiftKey: coreRoot.shapeshiftKey,
-    plugins: coreRoot.plugins
+    plugins: coreRoot.plugins,
+    syncScheduler: coreRoot.syncScheduler,
+    syncTransport: coreRoot.syncTransport
   })
 }
 
@@ -175,10 +220,14 @@ export interface ApiProps {
   +dispatch: Dispatch<RootAction>;
   io: PlusultraIo;
   loginStore: LoginStore;
+  mergePolicy: RepoMergePolicy;
   onError(e: Error): mixed;
+  onLoginMessages: ((messages: PlusultraLoginMessages) => mixed) | void;
   output: RootOutput;
   shapeshiftKey: string | void;
   state: RootState;
+  syncScheduler: SyncScheduler;
+  syncTransport: PlusultraSyncTransport;
 }
 
 /**
@@ -194,9 +243,27 @@ export function makeApiProps (props: RootProps): ApiProps {
     shapeshiftKey,
     state
   } = props
-  const { loginStore } = coreRoot
+  const {
+    loginStore,
+    mergePolicy,
+    onLoginMessages,
+    syncScheduler,
+    syncTransport
+  } = coreRoot
 
-  return { dispatch, loginStore, output, io, onError, shapeshiftKey, state }
+  return {
+    dispatch,
+    loginStore,
+    mergePolicy,
+    output,
+    io,
+    onError,
+    onLoginMessages,
+    shapeshiftKey,
+    state,
+    syncScheduler,
+    syncTransport
+  }
 }
 
 export type ApiInput = PixieInput<ApiProps>
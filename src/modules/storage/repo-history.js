@@ -0,0 +1,116 @@
+// @flow
+
+import { locateFile } from 'disklet'
+
+import type { DiskletFolder } from '../../plusultra-core-index.js'
+import { decrypt, hmacSha256 } from '../../util/crypto/crypto.js'
+import { serialize } from '../../util/decorators.js'
+import { base64 } from '../../util/encoding.js'
+
+// The most prior versions we keep for each file:
+const maxRevisions = 10
+
+/**
+ * A prior version of a repo file, still encrypted.
+ */
+export type RepoRevision = {
+  id: string,
+  date: number, // Seconds since the epoch, when this version was replaced
+  hash: string, // Identifies the plaintext, so we can spot repeats
+  box: Object
+}
+
+type RevisionFile = {
+  nextId: number,
+  revisions: Array<RepoRevision> // Oldest first
+}
+
+type Lock = (task: () => Promise<mixed>) => Promise<mixed>
+
+// Updates to a repo's revision files must never overlap:
+const historyLocks: WeakMap<DiskletFolder, Lock> = new WeakMap()
+
+function getHistoryLock (historyFolder: DiskletFolder): Lock {
+  let lock = historyLocks.get(historyFolder)
+  if (lock == null) {
+    lock = serialize(task => task())
+    historyLocks.set(historyFolder, lock)
+  }
+  return lock
+}
+
+/**
+ * Hashes the plaintext inside a box, if we can decrypt it.
+ * The hash is keyed, so the history file doesn't let anyone
+ * check a guess at the contents.
+ */
+function hashBox (box: Object, dataKey: Uint8Array): string | void {
+  try {
+    return base64.stringify(hmacSha256(decrypt(box, dataKey), dataKey))
+  } catch (e) {
+    return void 0
+  }
+}
+
+function loadRevisionFile (
+  historyFolder: DiskletFolder,
+  path: string
+): Promise<RevisionFile> {
+  return locateFile(historyFolder, path)
+    .getText()
+    .then(text => JSON.parse(text))
+    .catch(e => ({ nextId: 0, revisions: [] }))
+}
+
+/**
+ * Lists the prior versions of a file, newest first.
+ */
+export function loadRevisions (
+  historyFolder: DiskletFolder,
+  path: string
+): Promise<Array<RepoRevision>> {
+  return loadRevisionFile(historyFolder, path).then(file =>
+    file.revisions.slice().reverse()
+  )
+}
+
+/**
+ * Remembers the contents of a file that is about to be replaced.
+ * A local edit and the server echoing it back will both try to save
+ * the version they replace, so a version we already have
+ * just moves to the front instead.
+ * @param text The encrypted JSON of the outgoing version.
+ */
+export function saveRevision (
+  historyFolder: DiskletFolder,
+  dataKey: Uint8Array,
+  path: string,
+  text: string
+): Promise<mixed> {
+  let box
+  try {
+    box = JSON.parse(text)
+  } catch (e) {
+    return Promise.resolve() // Damaged files aren't worth keeping
+  }
+  const hash = hashBox(box, dataKey)
+  if (hash == null) return Promise.resolve()
+
+  return getHistoryLock(historyFolder)(async () => {
+    const file = await loadRevisionFile(historyFolder, path)
+    const { revisions } = file
+    const date = Date.now() / 1000
+
+    const index = revisions.findIndex(revision => revision.hash === hash)
+    if (index >= 0) {
+      const [revision] = revisions.splice(index, 1)
+      revisions.push({ ...revision, date })
+    } else {
+      revisions.push({ id: String(file.nextId++), date, hash, box })
+    }
+    if (revisions.length > maxRevisions) {
+      revisions.splice(0, revisions.length - maxRevisions)
+    }
+    await locateFile(historyFolder, path).setText(JSON.stringify(file))
+  })
+}
@@ -0,0 +1,75 @@
+// @flow
+
+import { mergeDeeply } from '../../util/util.js'
+
+/**
+ * Combines two conflicting versions of a repo file.
+ * Both versions are decrypted text. A `null` means the file was deleted.
+ * Returns the text we should upload in place of our local version.
+ */
+export type RepoMergeFunction = (
+  ours: string,
+  theirs: string | null,
+  path: string
+) => string
+
+/**
+ * Chooses a merge function based on the file's path within the repo.
+ */
+export type RepoMergePolicy = (path: string) => RepoMergeFunction
+
+/**
+ * Our local edit wins, which matches what the server would do anyhow.
+ */
+export function keepOurs (ours: string, theirs: string | null): string {
+  return ours
+}
+
+/**
+ * Deeply merges two JSON files, preferring our values on leaf conflicts.
+ */
+export function mergeJson (ours: string, theirs: string | null): string {
+  if (theirs == null) return ours
+  try {
+    return JSON.stringify(mergeDeeply(JSON.parse(theirs), JSON.parse(ours)))
+  } catch (e) {
+    return ours
+  }
+}
+
+/**
+ * Keeps whichever JSON file has the larger `modified` timestamp.
+ * Our version wins ties, including when neither side has a timestamp.
+ */
+export function keepNewest (ours: string, theirs: string | null): string {
+  if (theirs == null) return ours
+  try {
+    const oursModified = JSON.parse(ours).modified || 0
+    const theirsModified = JSON.parse(theirs).modified || 0
+    return theirsModified > oursModified ? theirs : ours
+  } catch (e) {
+    return ours
+  }
+}
+
+const mergeRules: Array<[RegExp, RepoMergeFunction]> = [
+  [/^(transaction|Transactions)\/[^/]+\.json$/, mergeJson],
+  [/(^|\/)WalletName\.json$/, keepNewest]
+]
+
+/**
+ * Builds a merge policy using the built-in rules,
+ * handing any other paths to the provided fallback.
+ */
+export function makeMergePolicy (
+  fallback: RepoMergeFunction = keepOurs
+): RepoMergePolicy {
+  return (path: string) => {
+    for (const [pattern, merge] of mergeRules) {
+      if (pattern.test(path)) return merge
+    }
+    return fallback
+  }
+}
+
+export const defaultMergePolicy: RepoMergePolicy = makeMergePolicy()
@@ -0,0 +1,77 @@
+// @flow
+
+import { locateFile, mapAllFiles } from 'disklet'
+
+import type {
+  DiskletFolder,
+  PlusultraCorruptFile,
+  PlusultraRepoReport
+} from '../../plusultra-core-index.js'
+import { decrypt } from '../../util/crypto/crypto.js'
+import { isWhiteout } from './repo.js'
+import type { StorageWalletPaths } from './storage-reducer.js'
+
+/**
+ * Decrypts every file in a repo, reporting the ones that fail.
+ */
+export async function verifyRepo (
+  paths: StorageWalletPaths
+): Promise<PlusultraRepoReport> {
+  const { changesFolder, dataFolder, dataKey } = paths
+  const report: PlusultraRepoReport = { checkedFiles: 0, corruptFiles: [] }
+
+  for (const pending of [false, true]) {
+    const folder = pending ? changesFolder : dataFolder
+    const results = await checkFolder(folder, dataKey)
+
+    for (const result of results) {
+      if (result == null) continue
+      ++report.checkedFiles
+
+      const { path, error } = result
+      if (error != null) report.corruptFiles.push({ path, pending, error })
+    }
+  }
+
+  return report
+}
+
+function checkFolder (
+  folder: DiskletFolder,
+  dataKey: Uint8Array
+): Promise<Array<{ path: string, error: string | void } | void>> {
+  return mapAllFiles(folder, (file, path) => {
+    if (isWhiteout(path)) return
+
+    return file
+      .getText()
+      .then(text => decrypt(JSON.parse(text), dataKey))
+      .then(() => ({ path, error: void 0 }), e => ({ path, error: e.message }))
+  })
+}
+
+/**
+ * Moves damaged files out of the repo, so they stop breaking things.
+ * We keep them around in case somebody wants to dig through them later.
+ */
+export function quarantineFiles (
+  paths: StorageWalletPaths,
+  files: Array<PlusultraCorruptFile>
+): Promise<mixed> {
+  const { changesFolder, dataFolder, hashes, quarantineFolder } = paths
+
+  return Promise.all(
+    files.map(async ({ path, pending }) => {
+      const from = locateFile(pending ? changesFolder : dataFolder, path)
+      const to = locateFile(
+        quarantineFolder,
+        (pending ? 'changes/' : 'data/') + path
+      )
+
+      const text = await from.getText().catch(e => void 0)
+      if (text != null) await to.setText(text)
+      await from.delete()
+      delete hashes[path]
+    })
+  )
+}
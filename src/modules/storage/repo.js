@@ -1,48 +1,88 @@
 // @flow
 
-import { locateFile, makeUnionFolder, mapAllFiles } from 'disklet'
+import {
+  locateFile,
+  makeLoggedFolder,
+  makeUnionFolder,
+  mapAllFiles
+} from 'disklet'
 
 import type {
+  DiskletFile,
   DiskletFolder,
   PlusultraIo,
+  PlusultraSyncConflict,
+  PlusultraSyncTransport,
   PlusultraWalletInfo
 } from '../../plusultra-core-index.js'
-import { sha256 } from '../../util/crypto/crypto.js'
-import { base16, base58, base64 } from '../../util/encoding.js'
+import { decrypt, encrypt, sha256 } from '../../util/crypto/crypto.js'
+import { base16, base58, base64, utf8 } from '../../util/encoding.js'
+import { saveRevision } from './repo-history.js'
+import { defaultMergePolicy } from './repo-merge.js'
+import type { RepoMergePolicy } from './repo-merge.js'
 import { RepoFolder } from './repoFolder.js'
+import type { RepoHashes } from './repoFolder.js'
 import type {
   StorageWalletPaths,
   StorageWalletStatus
 } from './storage-reducer.js'
-import { syncRequest } from './storage-servers.js'
+
+// The most change JSON we put in a single upload:
+const maxBatchSize = 256 * 1024
 
 /**
  * Sets up the back-end folders needed to emulate Git on disk.
  * You probably don't want this.
+ * @param onChange Called with the path of each local edit to the repo.
  */
 export function makeRepoPaths (
   io: PlusultraIo,
-  walletInfo: PlusultraWalletInfo
+  walletInfo: PlusultraWalletInfo,
+  onChange?: (path: string, deleted: boolean) => mixed
 ): StorageWalletPaths {
   const dataKey = base64.parse(walletInfo.keys.dataKey)
   const syncKey = base64.parse(walletInfo.keys.syncKey)
-  const base = io.folder
-    .folder('repos')
-    .folder(base58.stringify(sha256(sha256(syncKey))))
+  const base = io.folder.folder('repos').folder(makeRepoName(syncKey))
   const changesFolder = base.folder('changes')
   const dataFolder = base.folder('data')
-  const unionFolder = makeUnionFolder(changesFolder, dataFolder)
+  const historyFolder = base.folder('history')
+  const quarantineFolder = base.folder('quarantine')
+  const unionFolder = makeUnionFolder(
+    onChange != null
+      ? makeLoggedFolder(changesFolder, {
+        callback: (path, operation) => {
+          // Deleting a file leaves a whiteout marker behind,
+          // which is what we upload:
+          if (!/^set /.test(operation)) return
+          if (isWhiteout(path)) onChange(unwhiteout(path), true)
+          else onChange(path, false)
+        }
+      })
+      : changesFolder,
+    dataFolder
+  )
+  const hashes = {}
 
   return {
     dataKey,
     syncKey,
     changesFolder,
     dataFolder,
-    folder: new RepoFolder(io, dataKey, unionFolder),
+    historyFolder,
+    quarantineFolder,
+    folder: new RepoFolder(io, dataKey, unionFolder, hashes, '', historyFolder),
+    hashes,
     statusFile: base.file('status.json')
   }
 }
 
+/**
+ * Calculates the on-disk folder name for a repo.
+ */
+export function makeRepoName (syncKey: Uint8Array): string {
+  return base58.stringify(sha256(sha256(syncKey)))
+}
+
 export function loadRepoStatus (
   paths: StorageWalletPaths
 ): Promise<StorageWalletStatus> {
@@ -57,68 +97,271 @@ export function loadRepoStatus (
  * This will save a change-set into the local storage.
  * This function ignores folder-level deletes and overwrites,
  * but those can't happen under the current rules anyhow.
+ * @param historyFolder Receives the versions the changes replace.
+ * @param dataKey Decrypts those versions, so we can spot repeats.
  */
 export function saveChanges (
   folder: DiskletFolder,
-  changes: { [path: string]: Object }
+  changes: { [path: string]: Object },
+  historyFolder?: DiskletFolder,
+  dataKey?: Uint8Array
 ) {
   return Promise.all(
-    Object.keys(changes).map(path => {
+    Object.keys(changes).map(async path => {
       const json = changes[path]
       const file = locateFile(folder, path)
+      const text = json != null ? JSON.stringify(json) : void 0
+
+      if (historyFolder != null && dataKey != null) {
+        const oldText = await file.getText().catch(e => void 0)
+        if (oldText != null && oldText !== text) {
+          await saveRevision(historyFolder, dataKey, path, oldText)
+        }
+      }
 
-      return json != null ? file.setText(JSON.stringify(json)) : file.delete()
+      return text != null ? file.setText(text) : file.delete()
     })
   )
 }
 
 /**
- * Synchronizes the local store with the remote server.
+ * Forgets the cached hashes for files the server has changed.
  */
-export function syncRepo (
+function forgetHashes (hashes: RepoHashes, changes: { [path: string]: Object }) {
+  for (const path of Object.keys(changes)) delete hashes[path]
+}
+
+/**
+ * Lists the local files that are waiting to be uploaded,
+ * including deleted ones.
+ */
+export function listRepoChanges (
+  changesFolder: DiskletFolder
+): Promise<Array<string>> {
+  return mapAllFiles(changesFolder, (file, name) => unwhiteout(name)).then(
+    paths => paths.filter((path, i) => paths.indexOf(path) === i)
+  )
+}
+
+/**
+ * Loads the local change-set that is waiting to be uploaded.
+ * Deleted files have `null` contents, which is how the server expects them.
+ */
+function loadChanges (changesFolder: DiskletFolder) {
+  return mapAllFiles(
+    changesFolder,
+    (file, name) =>
+      isWhiteout(name)
+        ? { file, name: unwhiteout(name), json: null }
+        : file.getText().then(text => ({ file, name, json: JSON.parse(text) }))
+  ).then(changes => {
+    // If a file was deleted and then written again, the write wins:
+    const written = {}
+    for (const change of changes) {
+      if (change.json != null) written[change.name] = true
+    }
+    return changes.filter(
+      change => change.json != null || !written[change.name]
+    )
+  })
+}
+
+/**
+ * The union folder leaves these markers behind when deleting files.
+ */
+export function isWhiteout (path: string) {
+  return /\._x_$/.test(path)
+}
+
+/**
+ * Finds the file a whiteout marker belongs to.
+ */
+function unwhiteout (path: string) {
+  return path.replace(/\._x_$/, '')
+}
+
+/**
+ * Merges our pending changes with any incoming changes to the same files,
+ * updating our change-set in place.
+ * @return A list of the files where both sides made different edits.
+ */
+function mergeChanges (
   io: PlusultraIo,
-  paths: StorageWalletPaths,
-  status: StorageWalletStatus
-) {
-  const { changesFolder, dataFolder, statusFile, syncKey } = paths
-
-  return mapAllFiles(changesFolder, (file, name) =>
-    file.getText().then(text => ({ file, name, json: JSON.parse(text) }))
-  ).then(ourChanges => {
-    // If we have local changes, we need to bundle those:
-    const request = {}
-    if (ourChanges.length > 0) {
-      request.changes = {}
-      for (const change of ourChanges) {
-        request.changes[change.name] = change.json
+  dataKey: Uint8Array,
+  ourChanges: Array<{ file: DiskletFile, name: string, json: Object | null }>,
+  theirChanges: { [path: string]: Object },
+  mergePolicy: RepoMergePolicy
+): Promise<Array<PlusultraSyncConflict>> {
+  const conflicts: Array<PlusultraSyncConflict> = []
+
+  return Promise.all(
+    ourChanges.map(change => {
+      const { name } = change
+      if (!(name in theirChanges)) return
+
+      // Our delete wins, just as it would on the server,
+      // but the other side's edit still counts as a conflict:
+      if (change.json == null) {
+        if (theirChanges[name] == null) return
+        try {
+          const theirs = utf8.stringify(decrypt(theirChanges[name], dataKey))
+          conflicts.push({ path: name, ours: null, theirs, merged: null })
+        } catch (e) {
+          // We can't report what we can't read
+        }
+        return
       }
-    }
-    const method = request.changes ? 'POST' : 'GET'
 
-    // Calculate the URI:
-    let path = '/api/v2/store/' + base16.stringify(syncKey)
-    if (status.lastHash != null) {
-      path += '/' + status.lastHash
+      let ours, theirs
+      try {
+        ours = utf8.stringify(decrypt(change.json, dataKey))
+        theirs =
+          theirChanges[name] != null
+            ? utf8.stringify(decrypt(theirChanges[name], dataKey))
+            : null
+      } catch (e) {
+        // We can't merge what we can't read, so just upload ours:
+        return
+      }
+      if (ours === theirs) return
+
+      // A broken merge function shouldn't block the sync:
+      let merged
+      try {
+        merged = mergePolicy(name)(ours, theirs, name)
+      } catch (e) {
+        merged = ours
+      }
+      conflicts.push({ path: name, ours, theirs, merged })
+      if (merged === ours) return
+
+      change.json = encrypt(io, utf8.parse(merged), dataKey)
+      return change.file.setText(JSON.stringify(change.json))
+    })
+  ).then(() => conflicts)
+}
+
+/**
+ * Splits a change-set into batches that fit in a single upload.
+ * Oversized changes still go out, one per batch.
+ */
+export function batchChanges<T: { json: Object | null }> (
+  changes: Array<T>,
+  maxSize: number = maxBatchSize
+): Array<Array<T>> {
+  const batches = []
+  let batch = []
+  let batchSize = 0
+
+  for (const change of changes) {
+    const size = JSON.stringify(change.json).length
+    if (batch.length > 0 && batchSize + size > maxSize) {
+      batches.push(batch)
+      batch = []
+      batchSize = 0
     }
+    batch.push(change)
+    batchSize += size
+  }
+  if (batch.length > 0) batches.push(batch)
+
+  return batches
+}
+
+/**
+ * Synchronizes the local store with the sync backend.
+ * The byte counts measure the JSON exchanged with the backend.
+ */
+export async function syncRepo (
+  io: PlusultraIo,
+  transport: PlusultraSyncTransport,
+  paths: StorageWalletPaths,
+  status: StorageWalletStatus,
+  mergePolicy: RepoMergePolicy = defaultMergePolicy
+) {
+  const {
+    changesFolder,
+    dataFolder,
+    dataKey,
+    hashes,
+    historyFolder,
+    statusFile,
+    syncKey
+  } = paths
+  const repoKey = base16.stringify(syncKey)
+  const allChanges = {}
+  let conflicts = []
+  let bytesSent = 0
+  let bytesReceived = 0
+
+  const ourChanges = await loadChanges(changesFolder)
+
+  // If we have local changes, pull down the remote changes first,
+  // so we can merge any files that both sides have edited:
+  if (ourChanges.length > 0) {
+    const reply = await transport.readChanges(repoKey, status.lastHash)
+    bytesReceived += JSON.stringify(reply).length
+    const { changes = {}, hash } = reply
+    conflicts = await mergeChanges(
+      io,
+      dataKey,
+      ourChanges,
+      changes,
+      mergePolicy
+    )
+    await saveChanges(dataFolder, changes, historyFolder, dataKey)
+    forgetHashes(hashes, changes)
+    Object.assign(allChanges, changes)
+    if (hash != null) status.lastHash = hash
+  }
+
+  // Upload our changes in batches, or just poll if we have none:
+  const batches = batchChanges(ourChanges)
+  if (batches.length === 0) batches.push([])
+  for (let i = 0; i < batches.length; ++i) {
+    const batch = batches[i]
 
     // Make the request:
-    return syncRequest(io, method, path, request).then(reply => {
-      const { changes = {}, hash } = reply
-
-      // Save the incoming changes into our `data` folder:
-      return saveChanges(dataFolder, changes)
-        .then(
-          // Delete any changed keys (since the upload is done):
-          () => Promise.all(ourChanges.map(change => change.file.delete()))
-        )
-        .then(() => {
-          // Update the repo status:
-          status.lastSync = Date.now() / 1000
-          if (hash != null) status.lastHash = hash
-          return statusFile
-            .setText(JSON.stringify(status))
-            .then(() => ({ status, changes }))
-        })
-    })
-  })
+    let reply
+    if (batch.length > 0) {
+      const request = {}
+      for (const change of batch) request[change.name] = change.json
+      reply = await transport.writeChanges(repoKey, status.lastHash, request)
+      bytesSent += JSON.stringify(request).length
+    } else {
+      reply = await transport.readChanges(repoKey, status.lastHash)
+    }
+    bytesReceived += JSON.stringify(reply).length
+    const { changes = {}, hash } = reply
+
+    // Save the incoming changes into our `data` folder:
+    await saveChanges(dataFolder, changes, historyFolder, dataKey)
+    forgetHashes(hashes, changes)
+    Object.assign(allChanges, changes)
+
+    // Delete the uploaded changes (since the upload is done),
+    // along with any whiteout markers, which would hide the new data:
+    await Promise.all(
+      batch.map(change =>
+        Promise.all([
+          change.file.delete(),
+          locateFile(changesFolder, change.name + '._x_').delete()
+        ])
+      )
+    )
+
+    // Save our progress, so a failed batch doesn't repeat the earlier ones:
+    if (hash != null) status.lastHash = hash
+    if (i === batches.length - 1) status.lastSync = Date.now() / 1000
+    await statusFile.setText(JSON.stringify(status))
+  }
+
+  return {
+    status,
+    changes: allChanges,
+    conflicts,
+    uploaded: ourChanges.map(change => change.name),
+    bytesSent,
+    bytesReceived
+  }
 }
@@ -6,7 +6,18 @@ import { describe, it } from 'mocha'
 import { fakeUser, makeFakeIos } from '../../plusultra-core-index.js'
 import { fixIo } from '../../io/fixIo.js'
 import { base64 } from '../../util/encoding.js'
-import { makeRepoPaths, syncRepo } from '../storage/repo.js'
+import {
+  batchChanges,
+  listRepoChanges,
+  makeRepoPaths,
+  syncRepo
+} from '../storage/repo.js'
+import { defaultMergePolicy } from '../storage/repo-merge.js'
+import { quarantineFiles, verifyRepo } from '../storage/repo-verify.js'
+import {
+  makeHttpSyncTransport,
+  SyncServerList
+} from '../storage/storage-servers.js'
 
 const fakeRepoInfo = {
   id: '',
@@ -62,17 +73,291 @@ describe('repo', function () {
     const paths2 = makeRepoPaths(io2, fakeRepoInfo)
     const payload = 'Test data'
 
-    const dummyStatus = { lastSync: 0, lastHash: void 0 }
+    const transport = makeHttpSyncTransport(io1, new SyncServerList())
     await paths1.folder
       .folder('a')
       .file('b.json')
       .setText(payload)
-    await syncRepo(io1, paths1, dummyStatus).then(changed => assert(changed))
-    await syncRepo(io2, paths2, dummyStatus).then(changed => assert(changed))
+    const result1 = await syncRepo(io1, transport, paths1, {
+      lastSync: 0,
+      lastHash: void 0
+    })
+    assert.deepEqual(result1.uploaded, ['a/b.json'])
+    assert.deepEqual(result1.conflicts, [])
+
+    const result2 = await syncRepo(io2, transport, paths2, {
+      lastSync: 0,
+      lastHash: void 0
+    })
+    assert.deepEqual(result2.uploaded, [])
+    assert.deepEqual(Object.keys(result2.changes), ['a/b.json'])
     const text = await paths2.folder
       .folder('a')
       .file('b.json')
       .getText()
     assert.equal(text, payload)
   })
+  it('tracks pending changes', async function () {
+    const [io] = makeFakeIos(1).map(fixIo)
+    const transport = makeHttpSyncTransport(io, new SyncServerList())
+    const edits = []
+    const paths = makeRepoPaths(io, fakeRepoInfo, (path, deleted) =>
+      edits.push({ path, deleted })
+    )
+
+    await paths.folder.file('a.json').setText('{}')
+    await paths.folder.file('b.json').setText('{}')
+    await paths.folder.file('b.json').delete()
+    assert.deepEqual(edits, [
+      { path: 'a.json', deleted: false },
+      { path: 'b.json', deleted: false },
+      { path: 'b.json', deleted: true }
+    ])
+    assert.deepEqual(await listRepoChanges(paths.changesFolder), [
+      'a.json',
+      'b.json'
+    ])
+
+    const status = { lastSync: 0, lastHash: void 0 }
+    const result = await syncRepo(io, transport, paths, status)
+    assert.deepEqual(result.uploaded, ['a.json', 'b.json'])
+    assert(result.bytesSent > 0)
+    assert(result.bytesReceived > 0)
+    assert.deepEqual(await listRepoChanges(paths.changesFolder), [])
+  })
+
+  it('uploads deletes', async function () {
+    const [io1, io2] = makeFakeIos(2).map(fixIo)
+    const transport = makeHttpSyncTransport(io1, new SyncServerList())
+    const paths1 = makeRepoPaths(io1, fakeRepoInfo)
+    const paths2 = makeRepoPaths(io2, fakeRepoInfo)
+    const status1 = { lastSync: 0, lastHash: void 0 }
+    const status2 = { lastSync: 0, lastHash: void 0 }
+
+    await paths1.folder.file('a.json').setText('{"a":1}')
+    await syncRepo(io1, transport, paths1, status1)
+    await syncRepo(io2, transport, paths2, status2)
+    assert.equal(await paths2.folder.file('a.json').getText(), '{"a":1}')
+
+    // Delete the file on one side:
+    await paths1.folder.file('a.json').delete()
+    const result = await syncRepo(io1, transport, paths1, status1)
+    assert.deepEqual(result.uploaded, ['a.json'])
+    assert.deepEqual(await listRepoChanges(paths1.changesFolder), [])
+    assert.deepEqual(await paths1.folder.listFiles(), [])
+
+    // The other side sees the delete:
+    await syncRepo(io2, transport, paths2, status2)
+    assert.deepEqual(await paths2.folder.listFiles(), [])
+
+    // Writing the file again brings it back:
+    await paths1.folder.file('a.json').setText('{"a":2}')
+    await syncRepo(io1, transport, paths1, status1)
+    await syncRepo(io2, transport, paths2, status2)
+    assert.equal(await paths1.folder.file('a.json').getText(), '{"a":2}')
+    assert.equal(await paths2.folder.file('a.json').getText(), '{"a":2}')
+  })
+
+  it('skips unchanged writes', async function () {
+    const [io1, io2] = makeFakeIos(2).map(fixIo)
+    const transport = makeHttpSyncTransport(io1, new SyncServerList())
+    const edits = []
+    const paths1 = makeRepoPaths(io1, fakeRepoInfo, path => edits.push(path))
+    const paths2 = makeRepoPaths(io2, fakeRepoInfo)
+    const status1 = { lastSync: 0, lastHash: void 0 }
+    const status2 = { lastSync: 0, lastHash: void 0 }
+
+    await paths1.folder.file('a.json').setText('{"a":1}')
+    await paths1.folder.file('a.json').setText('{"a":1}')
+    assert.deepEqual(edits, ['a.json'])
+    await syncRepo(io1, transport, paths1, status1)
+
+    // Identical writes are skipped even without a cached hash:
+    const paths3 = makeRepoPaths(io1, fakeRepoInfo, path => edits.push(path))
+    await paths3.folder.file('a.json').setText('{"a":1}')
+    assert.deepEqual(edits, ['a.json'])
+
+    // Incoming changes replace the cached hash:
+    await syncRepo(io2, transport, paths2, status2)
+    await paths2.folder.file('a.json').setText('{"a":2}')
+    await syncRepo(io2, transport, paths2, status2)
+    await syncRepo(io1, transport, paths1, status1)
+    await paths1.folder.file('a.json').setText('{"a":1}')
+    assert.deepEqual(edits, ['a.json', 'a.json'])
+  })
+
+  it('uploads large change-sets in batches', async function () {
+    const [io1, io2] = makeFakeIos(2).map(fixIo)
+    const transport = makeHttpSyncTransport(io1, new SyncServerList())
+    const paths1 = makeRepoPaths(io1, fakeRepoInfo)
+    const paths2 = makeRepoPaths(io2, fakeRepoInfo)
+
+    const batches = batchChanges([1, 2, 3, 4].map(n => ({ json: { n } })), 14)
+    assert.deepEqual(batches.map(batch => batch.length), [2, 2])
+
+    // Three big files won't fit in one upload:
+    const payload = JSON.stringify({ notes: 'x'.repeat(100000) })
+    for (const name of ['a.json', 'b.json', 'c.json']) {
+      await paths1.folder.file(name).setText(payload)
+    }
+    const status1 = { lastSync: 0, lastHash: void 0 }
+    const result = await syncRepo(io1, transport, paths1, status1)
+    assert.equal(result.uploaded.length, 3)
+    assert.deepEqual(await listRepoChanges(paths1.changesFolder), [])
+
+    const status2 = { lastSync: 0, lastHash: void 0 }
+    await syncRepo(io2, transport, paths2, status2)
+    assert.equal(await paths2.folder.file('c.json').getText(), payload)
+    assert.equal(status2.lastHash, status1.lastHash)
+  })
+
+  it('keeps file history', async function () {
+    const [io1, io2] = makeFakeIos(2).map(fixIo)
+    const transport = makeHttpSyncTransport(io1, new SyncServerList())
+    const paths1 = makeRepoPaths(io1, fakeRepoInfo)
+    const paths2 = makeRepoPaths(io2, fakeRepoInfo)
+    const status1 = { lastSync: 0, lastHash: void 0 }
+    const status2 = { lastSync: 0, lastHash: void 0 }
+
+    const folder = paths1.folder.folder('Transactions')
+    const file = folder.file('a.json')
+    for (const text of ['v1', 'v2', 'v3']) await file.setText(text)
+    const revisions = await folder.listRevisions('a.json')
+    assert.deepEqual(revisions.map(revision => revision.text), ['v2', 'v1'])
+    assert.deepEqual(
+      await paths1.folder.listRevisions('Transactions/a.json'),
+      revisions
+    )
+
+    // Restoring is an edit, so it can be undone too:
+    await folder.restoreRevision('a.json', revisions[1].id)
+    assert.equal(await file.getText(), 'v1')
+    const texts = (await folder.listRevisions('a.json')).map(
+      revision => revision.text
+    )
+    assert.deepEqual(texts, ['v3', 'v2', 'v1'])
+
+    // Incoming changes save the version they replace,
+    // but a version we already have just moves to the front:
+    await syncRepo(io1, transport, paths1, status1)
+    await syncRepo(io2, transport, paths2, status2)
+    await paths2.folder
+      .folder('Transactions')
+      .file('a.json')
+      .setText('v4')
+    await syncRepo(io2, transport, paths2, status2)
+    await syncRepo(io1, transport, paths1, status1)
+    assert.equal(await file.getText(), 'v4')
+    const synced = await folder.listRevisions('a.json')
+    assert.deepEqual(synced.map(revision => revision.text), ['v1', 'v3', 'v2'])
+    assert.equal(synced[0].id, revisions[1].id)
+
+    // The history has a limit:
+    for (let i = 0; i < 20; ++i) await file.setText(`x${i}`)
+    assert.equal((await folder.listRevisions('a.json')).length, 10)
+  })
+
+  it('finds and repairs damaged files', async function () {
+    const [io] = makeFakeIos(1).map(fixIo)
+    const transport = makeHttpSyncTransport(io, new SyncServerList())
+    const paths = makeRepoPaths(io, fakeRepoInfo)
+    const status = { lastSync: 0, lastHash: void 0 }
+
+    await paths.folder.file('a.json').setText('{"a":1}')
+    await paths.folder.file('b.json').setText('{"b":1}')
+    await syncRepo(io, transport, paths, status)
+
+    // Damage a synced file and a local edit:
+    const text = await paths.dataFolder.file('b.json').getText()
+    await paths.dataFolder.file('b.json').setText(text.slice(0, 40))
+    await paths.changesFolder.file('c.json').setText('{}')
+
+    const report = await verifyRepo(paths)
+    assert.equal(report.checkedFiles, 3)
+    assert.deepEqual(
+      report.corruptFiles.map(({ path, pending }) => ({ path, pending })),
+      [{ path: 'b.json', pending: false }, { path: 'c.json', pending: true }]
+    )
+
+    // Quarantine, then download the synced file again:
+    await quarantineFiles(paths, report.corruptFiles)
+    assert.deepEqual(await verifyRepo(paths), {
+      checkedFiles: 1,
+      corruptFiles: []
+    })
+    const quarantined = await paths.quarantineFolder.listFolders()
+    assert.deepEqual(quarantined.sort(), ['changes', 'data'])
+    await syncRepo(io, transport, paths, { ...status, lastHash: void 0 })
+    assert.equal(await paths.folder.file('b.json').getText(), '{"b":1}')
+  })
+
+  it('merges conflicting edits', async function () {
+    const [io1, io2] = makeFakeIos(2).map(fixIo)
+    const transport = makeHttpSyncTransport(io1, new SyncServerList())
+
+    const paths1 = makeRepoPaths(io1, fakeRepoInfo)
+    const paths2 = makeRepoPaths(io2, fakeRepoInfo)
+    const status1 = { lastSync: 0, lastHash: void 0 }
+    const status2 = { lastSync: 0, lastHash: void 0 }
+
+    // Both sides start out in sync:
+    await syncRepo(io1, transport, paths1, status1)
+    await syncRepo(io2, transport, paths2, status2)
+
+    // Both sides edit the same file while offline:
+    const file1 = paths1.folder.folder('transaction').file('a.json')
+    const file2 = paths2.folder.folder('transaction').file('a.json')
+    await file1.setText('{"name":"Alice"}')
+    await file2.setText('{"notes":"Lunch"}')
+
+    await syncRepo(io1, transport, paths1, status1)
+    const { conflicts } = await syncRepo(io2, transport, paths2, status2)
+    assert.equal(conflicts.length, 1)
+    assert.equal(conflicts[0].path, 'transaction/a.json')
+
+    await syncRepo(io1, transport, paths1, status1)
+    const expected = { name: 'Alice', notes: 'Lunch' }
+    assert.deepEqual(JSON.parse(await file1.getText()), expected)
+    assert.deepEqual(JSON.parse(await file2.getText()), expected)
+  })
+
+  it('reports edits lost to a delete', async function () {
+    const [io1, io2] = makeFakeIos(2).map(fixIo)
+    const transport = makeHttpSyncTransport(io1, new SyncServerList())
+    const paths1 = makeRepoPaths(io1, fakeRepoInfo)
+    const paths2 = makeRepoPaths(io2, fakeRepoInfo)
+    const status1 = { lastSync: 0, lastHash: void 0 }
+    const status2 = { lastSync: 0, lastHash: void 0 }
+
+    await paths1.folder.file('a.json').setText('{"a":1}')
+    await syncRepo(io1, transport, paths1, status1)
+    await syncRepo(io2, transport, paths2, status2)
+
+    // One side edits the file while the other deletes it:
+    await paths2.folder.file('a.json').setText('{"a":2}')
+    await syncRepo(io2, transport, paths2, status2)
+    await paths1.folder.file('a.json').delete()
+    const { conflicts } = await syncRepo(io1, transport, paths1, status1)
+    assert.deepEqual(conflicts, [
+      { path: 'a.json', ours: null, theirs: '{"a":2}', merged: null }
+    ])
+    assert.deepEqual(await paths1.folder.listFiles(), [])
+  })
+
+  it('picks merge policies by path', function () {
+    const merge = defaultMergePolicy('transaction/a.json')
+    assert.equal(merge('{"a":{"b":1}}', '{"a":{"c":2}}'), '{"a":{"c":2,"b":1}}')
+
+    const newest = defaultMergePolicy('WalletName.json')
+    assert.equal(
+      newest(
+        '{"walletName":"A","modified":1}',
+        '{"walletName":"B","modified":2}'
+      ),
+      '{"walletName":"B","modified":2}'
+    )
+
+    const other = defaultMergePolicy('Currency.json')
+    assert.equal(other('ours', 'theirs'), 'ours')
+  })
 })
@@ -1,12 +1,22 @@
 // @flow
 
+import { locateFile } from 'disklet'
+
 import type {
   DiskletFile,
   DiskletFolder,
+  PlusultraFileRevision,
   PlusultraIo
 } from '../../plusultra-core-index.js'
-import { decrypt, encrypt } from '../../util/crypto/crypto.js'
+import { decrypt, encrypt, hashData } from '../../util/crypto/crypto.js'
 import { utf8 } from '../../util/encoding.js'
+import { loadRevisions, saveRevision } from './repo-history.js'
+
+/**
+ * The plaintext hash of each file we have read or written, by path.
+ * Encryption salts every write, so we can't compare the files themselves.
+ */
+export type RepoHashes = { [path: string]: string }
 
 /**
  * A file within an encrypted folder.
@@ -15,15 +25,29 @@ class RepoFile {
   io: PlusultraIo
   dataKey: Uint8Array
   file: DiskletFile
+  hashes: RepoHashes
+  path: string
+  historyFolder: DiskletFolder | void
 
-  constructor (io: PlusultraIo, dataKey: Uint8Array, file: DiskletFile) {
+  constructor (
+    io: PlusultraIo,
+    dataKey: Uint8Array,
+    file: DiskletFile,
+    hashes: RepoHashes = {},
+    path: string = '',
+    historyFolder?: DiskletFolder
+  ) {
     this.io = io
     this.dataKey = dataKey
     this.file = file
+    this.hashes = hashes
+    this.path = path
+    this.historyFolder = historyFolder
   }
 
   delete () {
-    return this.file.delete()
+    delete this.hashes[this.path]
+    return this.saveRevision().then(() => this.file.delete())
   }
 
   getData (): Promise<Uint8Array> {
@@ -31,22 +55,67 @@ class RepoFile {
       .getText()
       .then(text => JSON.parse(text))
       .then(json => decrypt(json, this.dataKey))
+      .then(data => {
+        this.hashes[this.path] = hashData(data)
+        return data
+      })
   }
 
   getText (): Promise<string> {
     return this.getData().then(data => utf8.stringify(data))
   }
 
+  /**
+   * Writes the file, unless it already holds the same data.
+   * Skipping no-op writes keeps them out of the next sync.
+   */
   setData (data: Array<number> | Uint8Array): Promise<void> {
     const dataCast: any = data // Treating Array<number> like Uint8Array
-    return this.file.setText(
-      JSON.stringify(encrypt(this.io, dataCast, this.dataKey))
-    )
+    const hash = hashData(dataCast)
+
+    return this.getHash().then(oldHash => {
+      if (hash === oldHash) return
+
+      return this.saveRevision()
+        .then(() =>
+          this.file.setText(
+            JSON.stringify(encrypt(this.io, dataCast, this.dataKey))
+          )
+        )
+        .then(() => {
+          this.hashes[this.path] = hash
+        })
+    })
   }
 
   setText (text: string): Promise<void> {
     return this.setData(utf8.parse(text))
   }
+
+  /**
+   * Finds the hash of the current contents, reading the file if needed.
+   */
+  getHash (): Promise<string | void> {
+    const hash = this.hashes[this.path]
+    if (hash != null) return Promise.resolve(hash)
+
+    return this.getData().then(data => hashData(data), e => void 0)
+  }
+
+  /**
+   * Copies the current contents into the history, if we keep one.
+   */
+  saveRevision (): Promise<mixed> {
+    const { dataKey, historyFolder, path } = this
+    if (historyFolder == null) return Promise.resolve()
+
+    return this.file
+      .getText()
+      .then(
+        text => saveRevision(historyFolder, dataKey, path, text),
+        e => void 0
+      )
+  }
 }
 
 /**
@@ -56,23 +125,53 @@ export class RepoFolder {
   io: PlusultraIo
   dataKey: Uint8Array
   inner: DiskletFolder
+  hashes: RepoHashes
+  path: string
+  historyFolder: DiskletFolder | void
 
-  constructor (io: PlusultraIo, dataKey: Uint8Array, folder: DiskletFolder) {
+  constructor (
+    io: PlusultraIo,
+    dataKey: Uint8Array,
+    folder: DiskletFolder,
+    hashes: RepoHashes = {},
+    path: string = '',
+    historyFolder?: DiskletFolder
+  ) {
     this.io = io
     this.dataKey = dataKey
     this.inner = folder
+    this.hashes = hashes
+    this.path = path
+    this.historyFolder = historyFolder
   }
 
   delete () {
+    for (const path of Object.keys(this.hashes)) {
+      if (path.indexOf(this.path) === 0) delete this.hashes[path]
+    }
     return this.inner.delete()
   }
 
   file (name: string): DiskletFile {
-    return new RepoFile(this.io, this.dataKey, this.inner.file(name))
+    return new RepoFile(
+      this.io,
+      this.dataKey,
+      this.inner.file(name),
+      this.hashes,
+      this.path + name,
+      this.historyFolder
+    )
   }
 
-  folder (name: string): DiskletFolder {
-    return new RepoFolder(this.io, this.dataKey, this.inner.folder(name))
+  folder (name: string): RepoFolder {
+    return new RepoFolder(
+      this.io,
+      this.dataKey,
+      this.inner.folder(name),
+      this.hashes,
+      this.path + name + '/',
+      this.historyFolder
+    )
   }
 
   listFiles () {
@@ -82,4 +181,39 @@ export class RepoFolder {
   listFolders () {
     return this.inner.listFolders()
   }
+
+  /**
+   * Lists the prior versions of a file, newest first.
+   * @param path A file path, relative to this folder.
+   */
+  listRevisions (path: string): Promise<Array<PlusultraFileRevision>> {
+    const { dataKey, historyFolder } = this
+    if (historyFolder == null) return Promise.resolve([])
+
+    return loadRevisions(historyFolder, this.path + path).then(revisions =>
+      revisions.map(({ id, date, box }) => ({
+        id,
+        date,
+        text: utf8.stringify(decrypt(box, dataKey))
+      }))
+    )
+  }
+
+  /**
+   * Puts a prior version of a file back in place.
+   * The restore is an ordinary edit, so it syncs and can itself be undone.
+   */
+  restoreRevision (path: string, id: string): Promise<mixed> {
+    const { dataKey, historyFolder } = this
+    if (historyFolder == null) {
+      return Promise.reject(new Error(`No revision ${id} for ${path}`))
+    }
+
+    return loadRevisions(historyFolder, this.path + path).then(revisions => {
+      const revision = revisions.find(revision => revision.id === id)
+      if (revision == null) throw new Error(`No revision ${id} for ${path}`)
+
+      return locateFile(this, path).setData(decrypt(revision.box, dataKey))
+    })
+  }
 }
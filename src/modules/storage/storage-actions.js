@@ -1,52 +1,143 @@
 // @flow
 
-import type { PlusultraWalletInfo } from '../../plusultra-core-index.js'
+import type {
+  PlusultraRepoReport,
+  PlusultraVerifyOptions,
+  PlusultraWalletInfo
+} from '../../plusultra-core-index.js'
 import { base58, base64 } from '../../util/encoding.js'
 import type { ApiInput } from '../root.js'
-import { loadRepoStatus, makeRepoPaths, syncRepo } from '../storage/repo.js'
+import {
+  listRepoChanges,
+  loadRepoStatus,
+  makeRepoPaths,
+  syncRepo
+} from '../storage/repo.js'
+import { quarantineFiles, verifyRepo } from './repo-verify.js'
 
 export function addStorageWallet (
   ai: ApiInput,
   walletInfo: PlusultraWalletInfo
 ): Promise<mixed> {
-  const { dispatch, io, onError } = ai.props
+  const { dispatch, io, onError, syncScheduler } = ai.props
 
-  const paths = makeRepoPaths(io, walletInfo)
+  const paths = makeRepoPaths(io, walletInfo, (path, deleted) => {
+    dispatch({
+      type: 'STORAGE_WALLET_CHANGED',
+      payload: { id: walletInfo.id, path, deleted }
+    })
+    syncScheduler.queueChanges(walletInfo.id)
+  })
   const localFolder = io.folder
     .folder('local')
     .folder(base58.stringify(base64.parse(walletInfo.id)))
 
-  return loadRepoStatus(paths).then(status => {
+  return Promise.all([
+    loadRepoStatus(paths),
+    listRepoChanges(paths.changesFolder)
+  ]).then(([status, pendingChanges]) => {
     dispatch({
       type: 'STORAGE_WALLET_ADDED',
       payload: {
         id: walletInfo.id,
-        initialState: { localFolder, paths, status, lastChanges: [] }
+        initialState: {
+          localFolder,
+          paths,
+          pendingChanges,
+          status,
+          syncState: {
+            syncing: false,
+            lastError: null,
+            bytesSent: 0,
+            bytesReceived: 0
+          },
+          lastChanges: [],
+          lastConflicts: []
+        }
       }
     })
 
-    const syncPromise = syncStorageWallet(ai, walletInfo.id)
     if (status.lastSync) {
-      // If we have already done a sync, let this one run in the background:
-      syncPromise.catch(e => onError(e))
+      // If we have already done a sync, let this one run in the background,
+      // or skip it entirely if we are offline:
+      if (syncScheduler.online) {
+        syncStorageWallet(ai, walletInfo.id).catch(e => onError(e))
+      }
       return Promise.resolve({ status, changes: [] })
     }
-    return syncPromise
+    return syncStorageWallet(ai, walletInfo.id)
   })
 }
 
+/**
+ * Syncs a storage wallet with the server.
+ * @param refetch True to download the entire repo again.
+ */
 export function syncStorageWallet (
   ai: ApiInput,
-  walletId: string
+  walletId: string,
+  refetch: boolean = false
 ): Promise<Array<string>> {
-  const { dispatch, io, state } = ai.props
+  const { dispatch, io, mergePolicy, state, syncTransport } = ai.props
   const { paths, status } = state.storageWallets[walletId]
+  const startStatus = refetch ? { ...status, lastHash: void 0 } : { ...status }
 
-  return syncRepo(io, paths, { ...status }).then(({ changes, status }) => {
-    dispatch({
-      type: 'STORAGE_WALLET_SYNCED',
-      payload: { id: walletId, changes: Object.keys(changes), status }
-    })
-    return Object.keys(changes)
+  dispatch({ type: 'STORAGE_WALLET_SYNC_STARTED', payload: { id: walletId } })
+  return syncRepo(io, syncTransport, paths, startStatus, mergePolicy).then(
+    ({ changes, conflicts, uploaded, bytesSent, bytesReceived, status }) => {
+      dispatch({
+        type: 'STORAGE_WALLET_SYNCED',
+        payload: {
+          id: walletId,
+          changes: Object.keys(changes),
+          conflicts,
+          uploaded,
+          bytesSent,
+          bytesReceived,
+          status
+        }
+      })
+      return Object.keys(changes)
+    },
+    error => {
+      dispatch({
+        type: 'STORAGE_WALLET_SYNC_FAILED',
+        payload: { id: walletId, error }
+      })
+      throw error
+    }
+  )
+}
+
+/**
+ * Checks a storage wallet for damaged files, optionally repairing them.
+ * Both repairs set the damaged files aside, but refetching also downloads
+ * fresh copies from the server. Damaged local edits are lost either way,
+ * since the server has never seen them.
+ */
+export async function verifyStorageWallet (
+  ai: ApiInput,
+  walletId: string,
+  opts: PlusultraVerifyOptions = {}
+): Promise<PlusultraRepoReport> {
+  const { dispatch, state } = ai.props
+  const { paths } = state.storageWallets[walletId]
+  const { repair } = opts
+
+  const report = await verifyRepo(paths)
+  if (repair == null || report.corruptFiles.length === 0) return report
+
+  await quarantineFiles(paths, report.corruptFiles)
+  dispatch({
+    type: 'STORAGE_WALLET_CHANGES_DROPPED',
+    payload: {
+      id: walletId,
+      paths: report.corruptFiles
+        .filter(file => file.pending)
+        .map(file => file.path)
+    }
   })
+
+  if (repair === 'refetch') await syncStorageWallet(ai, walletId, true)
+  return report
 }
@@ -1,14 +1,25 @@
 // @flow
 
+import type {
+  PlusultraRepoReport,
+  PlusultraVerifyOptions
+} from '../../plusultra-core-index.js'
 import { wrapObject } from '../../util/api.js'
 import { createReaction } from '../../util/redux/reaction.js'
 import type { StorageWalletInfo } from '../login/login-types.js'
 import type { ApiInput } from '../root.js'
-import { addStorageWallet, syncStorageWallet } from './storage-actions.js'
+import {
+  addStorageWallet,
+  syncStorageWallet,
+  verifyStorageWallet
+} from './storage-actions.js'
 import {
   getStorageWalletFolder,
   getStorageWalletLastChanges,
-  getStorageWalletLocalFolder
+  getStorageWalletLastConflicts,
+  getStorageWalletLocalFolder,
+  getStorageWalletSyncStatus,
+  makeSyncStatus
 } from './storage-selectors.js'
 
 export function makeStorageWallet (walletInfo: StorageWalletInfo, opts: any) {
@@ -27,7 +38,7 @@ export function makeStorageWalletApi (
 ) {
   const { dispatch } = ai.props
   const { id, type, keys } = walletInfo
-  const { onDataChanged } = callbacks
+  const { onDataChanged, onSyncConflict, onSyncStatusChanged } = callbacks
 
   if (onDataChanged) {
     dispatch(
@@ -38,6 +49,26 @@ export function makeStorageWalletApi (
     )
   }
 
+  if (onSyncConflict) {
+    dispatch(
+      createReaction(
+        state => getStorageWalletLastConflicts(state, id),
+        conflicts => {
+          if (conflicts.length) onSyncConflict(id, conflicts)
+        }
+      )
+    )
+  }
+
+  if (onSyncStatusChanged) {
+    dispatch(
+      createReaction(
+        state => state.storageWallets[id],
+        walletState => onSyncStatusChanged(id, makeSyncStatus(walletState))
+      )
+    )
+  }
+
   return {
     // Broken-out key info:
     id,
@@ -53,8 +84,16 @@ export function makeStorageWalletApi (
       return getStorageWalletLocalFolder(ai.props.state, id)
     },
 
+    get syncStatus () {
+      return getStorageWalletSyncStatus(ai.props.state, id)
+    },
+
     async sync (): Promise<void> {
       await syncStorageWallet(ai, id)
+    },
+
+    verify (opts?: PlusultraVerifyOptions): Promise<PlusultraRepoReport> {
+      return verifyStorageWallet(ai, id, opts)
     }
   }
 }
@@ -0,0 +1,164 @@
+// @flow
+
+import { mapAllFiles, mapFiles } from 'disklet'
+
+import type {
+  DiskletFile,
+  DiskletFolder,
+  PlusultraIo,
+  PlusultraStorageReport,
+  PlusultraWalletInfo
+} from '../../plusultra-core-index.js'
+import { serialize } from '../../util/decorators.js'
+import { base58, base64 } from '../../util/encoding.js'
+import type { ApiInput } from '../root.js'
+import { listRepoChanges, makeRepoName } from './repo.js'
+
+/**
+ * Lists the wallets a local login uses, along with their repo folders.
+ * Compaction has no login keys to work with,
+ * so the login store saves this the same way it saves the stashes.
+ */
+export type StorageIndex = {
+  loginId: string,
+  wallets: { [walletId: string]: { repo: string, deleted: boolean } }
+}
+
+// Index updates and compaction must never overlap:
+const locked = serialize(task => task())
+
+function getIndexFile (ai: ApiInput, loginId: string): Promise<DiskletFile> {
+  const { io, loginStore } = ai.props
+  return loginStore
+    .hashFilename(loginId)
+    .then(name => io.folder.folder('storage').file(name))
+}
+
+function getLocalFolder (io: PlusultraIo, walletId: string): DiskletFolder {
+  return io.folder
+    .folder('local')
+    .folder(base58.stringify(base64.parse(walletId)))
+}
+
+/**
+ * Adds a login's wallets to its storage index,
+ * recording which ones the user has deleted.
+ */
+export function saveStorageIndex (
+  ai: ApiInput,
+  loginId: string,
+  walletInfos: Array<PlusultraWalletInfo & { deleted?: boolean }>
+): Promise<mixed> {
+  const { loginStore } = ai.props
+
+  return locked(async () => {
+    const file = await getIndexFile(ai, loginId)
+    const index: StorageIndex = await loginStore
+      .readFile(file)
+      .catch(e => ({ loginId, wallets: {} }))
+
+    for (const walletInfo of walletInfos) {
+      const { syncKey } = walletInfo.keys
+      if (syncKey == null) continue
+
+      index.wallets[walletInfo.id] = {
+        repo: makeRepoName(base64.parse(syncKey)),
+        deleted: !!walletInfo.deleted
+      }
+    }
+    await loginStore.writeFile(file, index)
+  })
+}
+
+/**
+ * Deletes the repos and local folders for wallets that are either deleted
+ * or no longer belong to any local login.
+ * Folders that no storage index mentions are left alone,
+ * since we can't prove they are unused.
+ * If any stash or index is unreadable, nothing gets deleted,
+ * since that login might still need its wallets.
+ */
+export function compactStorage (ai: ApiInput): Promise<PlusultraStorageReport> {
+  return locked(() => compactStorageInner(ai))
+}
+
+async function compactStorageInner (
+  ai: ApiInput
+): Promise<PlusultraStorageReport> {
+  const { io, loginStore } = ai.props
+  const loginIds = await loginStore.listLoginIds()
+  const indexes: Array<{
+    file: DiskletFile,
+    index: StorageIndex
+  }> = await mapFiles(io.folder.folder('storage'), file =>
+    loginStore.readFile(file).then(index => ({ file, index }))
+  )
+
+  // Sort the indexed wallets into ones we need and ones we don't:
+  const keep: { [walletId: string]: true } = {}
+  const drop: { [walletId: string]: string } = {}
+  for (const { index } of indexes) {
+    const live = loginIds.indexOf(index.loginId) >= 0
+    for (const walletId of Object.keys(index.wallets)) {
+      const { deleted, repo } = index.wallets[walletId]
+      if (live && !deleted) keep[walletId] = true
+      else drop[walletId] = repo
+    }
+  }
+
+  const report: PlusultraStorageReport = {
+    reclaimedBytes: 0,
+    deletedWallets: [],
+    skippedWallets: []
+  }
+  for (const walletId of Object.keys(drop)) {
+    if (keep[walletId]) continue
+
+    const repoFolder = io.folder.folder('repos').folder(drop[walletId])
+    const localFolder = getLocalFolder(io, walletId)
+    const sizes = [
+      ...(await listFileSizes(repoFolder)),
+      ...(await listFileSizes(localFolder))
+    ]
+    if (sizes.length === 0) continue // Already gone
+    const changes = await listRepoChanges(repoFolder.folder('changes'))
+
+    // Leave repos alone if they are syncing or have unsynced changes:
+    const { state, syncScheduler } = ai.props
+    const walletState = state.storageWallets[walletId]
+    if (
+      changes.length > 0 ||
+      syncScheduler.repos[walletId] != null ||
+      (walletState != null && walletState.syncState.syncing)
+    ) {
+      report.skippedWallets.push(walletId)
+      continue
+    }
+
+    await Promise.all([repoFolder.delete(), localFolder.delete()])
+    report.reclaimedBytes += sizes.reduce((total, size) => total + size, 0)
+    report.deletedWallets.push(walletId)
+  }
+
+  // Forget about logins that are gone, once their wallets are cleaned up:
+  await Promise.all(
+    indexes.map(({ file, index }) => {
+      if (loginIds.indexOf(index.loginId) >= 0) return
+      for (const walletId of Object.keys(index.wallets)) {
+        if (report.skippedWallets.indexOf(walletId) >= 0) return
+      }
+      return file.delete()
+    })
+  )
+
+  return report
+}
+
+/**
+ * Measures every file in a folder.
+ */
+function listFileSizes (folder: DiskletFolder): Promise<Array<number>> {
+  return mapAllFiles(folder, file =>
+    file.getData().then(data => data.length, e => 0)
+  )
+}
@@ -0,0 +1,140 @@
+// @flow
+
+import { expect } from 'chai'
+import { mapAllFiles } from 'disklet'
+import { describe, it } from 'mocha'
+
+import { fixIo } from '../../io/fixIo.js'
+import { makeFakeIos } from '../../plusultra-core-index.js'
+import { base58, base64 } from '../../util/encoding.js'
+import { LoginStore } from '../login/loginStore.js'
+import { makeRepoName } from './repo.js'
+import { compactStorage, saveStorageIndex } from './storage-compact.js'
+import { SyncScheduler } from './storage-scheduler.js'
+
+function makeWalletInfo (n: number) {
+  const id = base64.stringify(new Uint8Array(32).fill(n))
+  const syncKey = base64.stringify(new Uint8Array(20).fill(n))
+  return { id, type: 'wallet:fakecoin', keys: { syncKey } }
+}
+
+function makeWalletFiles (io, walletInfo) {
+  const repoName = makeRepoName(base64.parse(walletInfo.keys.syncKey))
+  const localName = base58.stringify(base64.parse(walletInfo.id))
+  return Promise.all([
+    io.folder
+      .folder('repos')
+      .folder(repoName)
+      .folder('data')
+      .file('a.json')
+      .setText('{}'),
+    io.folder
+      .folder('local')
+      .folder(localName)
+      .file('b.json')
+      .setText('[]')
+  ])
+}
+
+describe('storage compaction', function () {
+  it('deletes unused wallets', async function () {
+    const [io] = makeFakeIos(1).map(fixIo)
+    const loginStore = new LoginStore(io)
+    const ai: any = {
+      props: {
+        io,
+        loginStore,
+        state: { storageWallets: {} },
+        syncScheduler: new SyncScheduler()
+      }
+    }
+
+    // One login is still on the device, and the other one is gone:
+    const liveLoginId = base64.stringify(new Uint8Array(32).fill(1))
+    const goneLoginId = base64.stringify(new Uint8Array(32).fill(2))
+    await loginStore.save({ appId: '', loginId: liveLoginId, username: 'a' })
+
+    const kept = makeWalletInfo(1)
+    const deleted = { ...makeWalletInfo(2), deleted: true }
+    const orphan = makeWalletInfo(3)
+    const unknown = makeWalletInfo(4)
+    await saveStorageIndex(ai, liveLoginId, [kept, deleted])
+    await saveStorageIndex(ai, goneLoginId, [orphan])
+    for (const walletInfo of [kept, deleted, orphan, unknown]) {
+      await makeWalletFiles(io, walletInfo)
+    }
+
+    const report = await compactStorage(ai)
+    expect(report.deletedWallets.sort()).to.deep.equal(
+      [deleted.id, orphan.id].sort()
+    )
+    expect(report.skippedWallets).to.deep.equal([])
+    expect(report.reclaimedBytes).to.equal(8)
+
+    // Only the kept and unknown wallets remain:
+    const files = await mapAllFiles(io.folder, (file, name) => name)
+    expect(files.filter(name => /^(repos|local)\//.test(name))).has.length(4)
+    expect(files.filter(name => /^storage\//.test(name))).to.deep.equal([
+      'storage/' + (await loginStore.hashFilename(liveLoginId))
+    ])
+
+    // Running again finds nothing to do:
+    const again = await compactStorage(ai)
+    expect(again.deletedWallets).to.deep.equal([])
+  })
+
+  it('keeps everything if a stash is unreadable', async function () {
+    const [io] = makeFakeIos(1).map(fixIo)
+    const ai: any = {
+      props: {
+        io,
+        loginStore: new LoginStore(io),
+        state: { storageWallets: {} },
+        syncScheduler: new SyncScheduler()
+      }
+    }
+
+    // We can't tell whose stash this is, so its login might be live:
+    await io.folder
+      .folder('logins')
+      .file('broken.json')
+      .setText('{')
+    const loginId = base64.stringify(new Uint8Array(32).fill(1))
+    const walletInfo = makeWalletInfo(1)
+    await saveStorageIndex(ai, loginId, [walletInfo])
+    await makeWalletFiles(io, walletInfo)
+
+    await compactStorage(ai).then(
+      ok => Promise.reject(new Error('Should fail')),
+      e => expect(e.name).to.equal('SyntaxError')
+    )
+    const files = await mapAllFiles(io.folder, (file, name) => name)
+    expect(files.filter(name => /^(repos|local)\//.test(name))).has.length(2)
+  })
+
+  it('skips busy wallets', async function () {
+    const [io] = makeFakeIos(1).map(fixIo)
+    const syncScheduler = new SyncScheduler()
+    const ai: any = {
+      props: {
+        io,
+        loginStore: new LoginStore(io),
+        state: { storageWallets: {} },
+        syncScheduler
+      }
+    }
+
+    const loginId = base64.stringify(new Uint8Array(32).fill(1))
+    const walletInfo = makeWalletInfo(1)
+    await saveStorageIndex(ai, loginId, [walletInfo])
+    await makeWalletFiles(io, walletInfo)
+
+    const stopSync = syncScheduler.register(walletInfo.id, () =>
+      Promise.resolve()
+    )
+    const report = await compactStorage(ai)
+    stopSync()
+    expect(report.deletedWallets).to.deep.equal([])
+    expect(report.skippedWallets).to.deep.equal([walletInfo.id])
+  })
+})
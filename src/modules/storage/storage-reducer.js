@@ -2,15 +2,23 @@
 
 import { combineReducers } from 'redux'
 
-import type { DiskletFile, DiskletFolder } from '../../plusultra-core-index.js'
+import type {
+  DiskletFile,
+  DiskletFolder,
+  PlusultraSyncConflict
+} from '../../plusultra-core-index.js'
 import type { RootAction } from '../actions.js'
+import type { RepoFolder, RepoHashes } from './repoFolder.js'
 
 export type StorageWalletPaths = {
   dataKey: Uint8Array,
   syncKey: Uint8Array,
   changesFolder: DiskletFolder,
   dataFolder: DiskletFolder,
-  folder: DiskletFolder,
+  historyFolder: DiskletFolder,
+  quarantineFolder: DiskletFolder,
+  folder: RepoFolder,
+  hashes: RepoHashes,
   statusFile: DiskletFile
 }
 
@@ -19,11 +27,21 @@ export type StorageWalletStatus = {
   lastSync: number
 }
 
+export type StorageWalletSyncState = {
+  syncing: boolean,
+  lastError: Error | null,
+  bytesSent: number,
+  bytesReceived: number
+}
+
 export type StorageWalletState = {
   lastChanges: Array<string>,
+  lastConflicts: Array<PlusultraSyncConflict>,
   localFolder: DiskletFolder,
   paths: StorageWalletPaths,
-  status: StorageWalletStatus
+  pendingChanges: Array<string>,
+  status: StorageWalletStatus,
+  syncState: StorageWalletSyncState
 }
 
 export type StorageWalletsState = { [id: string]: StorageWalletState }
@@ -40,6 +58,14 @@ const storageWalletReducer = combineReducers({
     return state
   },
 
+  lastConflicts (state = [], action: RootAction): Array<PlusultraSyncConflict> {
+    if (action.type === 'STORAGE_WALLET_SYNCED') {
+      const { conflicts } = action.payload
+      return conflicts.length ? conflicts : state
+    }
+    return state
+  },
+
   localFolder (state: any = null): DiskletFolder {
     return state
   },
@@ -48,6 +74,29 @@ const storageWalletReducer = combineReducers({
     return state
   },
 
+  pendingChanges (state = [], action: RootAction): Array<string> {
+    switch (action.type) {
+      case 'STORAGE_WALLET_CHANGED': {
+        // Deletes need uploading too, so they count as changes:
+        const { path } = action.payload
+        return state.indexOf(path) >= 0 ? state : [...state, path]
+      }
+
+      case 'STORAGE_WALLET_CHANGES_DROPPED': {
+        const { paths } = action.payload
+        return state.filter(path => paths.indexOf(path) < 0)
+      }
+
+      case 'STORAGE_WALLET_SYNCED': {
+        const { uploaded } = action.payload
+        return uploaded.length
+          ? state.filter(path => uploaded.indexOf(path) < 0)
+          : state
+      }
+    }
+    return state
+  },
+
   status (
     state = { lastSync: 0, lastHash: void 0 },
     action: RootAction
@@ -55,6 +104,30 @@ const storageWalletReducer = combineReducers({
     return action.type === 'STORAGE_WALLET_SYNCED'
       ? action.payload.status
       : state
+  },
+
+  syncState (
+    state = { syncing: false, lastError: null, bytesSent: 0, bytesReceived: 0 },
+    action: RootAction
+  ): StorageWalletSyncState {
+    switch (action.type) {
+      case 'STORAGE_WALLET_SYNC_STARTED':
+        return { ...state, syncing: true }
+
+      case 'STORAGE_WALLET_SYNC_FAILED':
+        return { ...state, syncing: false, lastError: action.payload.error }
+
+      case 'STORAGE_WALLET_SYNCED': {
+        const { bytesSent, bytesReceived } = action.payload
+        return {
+          syncing: false,
+          lastError: null,
+          bytesSent: state.bytesSent + bytesSent,
+          bytesReceived: state.bytesReceived + bytesReceived
+        }
+      }
+    }
+    return state
   }
 })
 
@@ -73,6 +146,10 @@ export default function storageWalletsReducer (
       return out
     }
 
+    case 'STORAGE_WALLET_CHANGED':
+    case 'STORAGE_WALLET_CHANGES_DROPPED':
+    case 'STORAGE_WALLET_SYNC_STARTED':
+    case 'STORAGE_WALLET_SYNC_FAILED':
     case 'STORAGE_WALLET_SYNCED': {
       const { id } = action.payload
       if (state[id] != null) {
@@ -0,0 +1,131 @@
+// @flow
+
+// Sync timing, in milliseconds:
+const syncInterval = 30 * 1000
+const maxInterval = 10 * 60 * 1000
+const changeDelay = 500 // Lets a burst of edits go out in one sync
+
+type ScheduledRepo = {
+  walletId: string,
+  sync: () => Promise<mixed>,
+  users: number, // Number of active registrations
+  failures: number, // Consecutive failed syncs
+  timeout: any,
+  syncing: boolean,
+  changed: boolean // Edits arrived while we were syncing
+}
+
+/**
+ * Decides when the active repos should sync with the server.
+ * Repos sync periodically, back off exponentially when syncs fail,
+ * and sync right away when the user edits something.
+ */
+export class SyncScheduler {
+  online: boolean
+  repos: { [walletId: string]: ScheduledRepo }
+
+  constructor () {
+    this.online = true
+    this.repos = {}
+  }
+
+  /**
+   * Starts syncing a repo in the background.
+   * The repo should have already done its initial sync.
+   * @return A function that stops the syncing.
+   */
+  register (walletId: string, sync: () => Promise<mixed>): () => void {
+    let repo = this.repos[walletId]
+    if (repo == null) {
+      repo = {
+        walletId,
+        sync,
+        users: 0,
+        failures: 0,
+        timeout: void 0,
+        syncing: false,
+        changed: false
+      }
+      this.repos[walletId] = repo
+      this.schedule(repo, syncInterval)
+    }
+    ++repo.users
+
+    let registered = true
+    return () => {
+      if (!registered) return
+      registered = false
+
+      if (--repo.users > 0) return
+      clearTimeout(repo.timeout)
+      delete this.repos[walletId]
+    }
+  }
+
+  /**
+   * The user has edited a repo, so upload the changes soon.
+   * Repos that are backing off from failures wait for their next retry.
+   */
+  queueChanges (walletId: string) {
+    const repo = this.repos[walletId]
+    if (repo == null) return
+
+    if (repo.syncing) {
+      repo.changed = true
+    } else if (repo.failures === 0) {
+      this.schedule(repo, changeDelay)
+    }
+  }
+
+  /**
+   * Pauses or resumes all background syncing.
+   * Coming back online syncs everything right away.
+   */
+  setOnline (online: boolean) {
+    if (online === this.online) return
+    this.online = online
+
+    for (const walletId of Object.keys(this.repos)) {
+      const repo = this.repos[walletId]
+      if (online) repo.failures = 0
+      if (!repo.syncing) this.schedule(repo, 0)
+    }
+  }
+
+  schedule (repo: ScheduledRepo, delay: number) {
+    clearTimeout(repo.timeout)
+    repo.timeout = void 0
+    if (!this.online) return
+
+    repo.timeout = setTimeout(() => this.runSync(repo), delay)
+  }
+
+  runSync (repo: ScheduledRepo) {
+    repo.timeout = void 0
+    repo.syncing = true
+    repo.changed = false
+
+    repo
+      .sync()
+      .then(() => (repo.failures = 0), e => ++repo.failures)
+      .then(() => {
+        repo.syncing = false
+
+        // Bail out if the repo was unregistered while we were busy:
+        if (this.repos[repo.walletId] !== repo) return
+
+        if (repo.changed && repo.failures === 0) {
+          this.schedule(repo, changeDelay)
+        } else {
+          this.schedule(repo, syncDelay(repo.failures))
+        }
+      })
+  }
+}
+
+/**
+ * Doubles the time between syncs with each consecutive failure.
+ */
+export function syncDelay (failures: number): number {
+  return Math.min(syncInterval * Math.pow(2, failures), maxInterval)
+}
@@ -0,0 +1,69 @@
+// @flow
+
+import { expect } from 'chai'
+import { describe, it } from 'mocha'
+
+import { SyncScheduler, syncDelay } from './storage-scheduler.js'
+
+function snooze (ms: number) {
+  return new Promise(resolve => setTimeout(resolve, ms))
+}
+
+describe('sync scheduler', function () {
+  it('backs off after failures', function () {
+    expect(syncDelay(0)).to.equal(30000)
+    expect(syncDelay(1)).to.equal(60000)
+    expect(syncDelay(2)).to.equal(120000)
+    expect(syncDelay(10)).to.equal(600000)
+  })
+
+  it('syncs soon after local changes', async function () {
+    const scheduler = new SyncScheduler()
+    let syncs = 0
+    const stopSync = scheduler.register('a', () => Promise.resolve(++syncs))
+
+    scheduler.queueChanges('a')
+    scheduler.queueChanges('a')
+    await snooze(600)
+    expect(syncs).to.equal(1)
+    stopSync()
+  })
+
+  it('pauses while offline', async function () {
+    const scheduler = new SyncScheduler()
+    let syncs = 0
+    const stopSync = scheduler.register('a', () => Promise.resolve(++syncs))
+
+    scheduler.setOnline(false)
+    scheduler.queueChanges('a')
+    await snooze(600)
+    expect(syncs).to.equal(0)
+
+    // Coming back online flushes the queue:
+    scheduler.setOnline(true)
+    await snooze(10)
+    expect(syncs).to.equal(1)
+    stopSync()
+  })
+
+  it('waits out the backoff after a failure', async function () {
+    const scheduler = new SyncScheduler()
+    let syncs = 0
+    const stopSync = scheduler.register('a', () => {
+      ++syncs
+      return Promise.reject(new Error('Offline'))
+    })
+
+    scheduler.queueChanges('a')
+    await snooze(600)
+    expect(syncs).to.equal(1)
+    expect(scheduler.repos.a.failures).to.equal(1)
+
+    scheduler.queueChanges('a')
+    await snooze(600)
+    expect(syncs).to.equal(1)
+
+    stopSync()
+    expect(scheduler.repos.a).to.equal(undefined)
+  })
+})
@@ -1,10 +1,15 @@
 // @flow
 
-import type { PlusultraIo } from '../../plusultra-core-index.js'
+import { errorNames } from '../../error.js'
+import type {
+  PlusultraIo,
+  PlusultraSyncStatus
+} from '../../plusultra-core-index.js'
 import { hmacSha256 } from '../../util/crypto/crypto.js'
 import { base58, utf8 } from '../../util/encoding.js'
 import type { RootState } from '../root-reducer.js'
 import { RepoFolder } from './repoFolder.js'
+import type { StorageWalletState } from './storage-reducer.js'
 
 export function getStorageWalletLastChanges (
   state: RootState,
@@ -13,6 +18,54 @@ export function getStorageWalletLastChanges (
   return state.storageWallets[walletId].lastChanges
 }
 
+export function getStorageWalletLastConflicts (
+  state: RootState,
+  walletId: string
+) {
+  return state.storageWallets[walletId].lastConflicts
+}
+
+export function getStorageWalletPendingChanges (
+  state: RootState,
+  walletId: string
+) {
+  return state.storageWallets[walletId].pendingChanges
+}
+
+export function getStorageWalletSyncState (state: RootState, walletId: string) {
+  return state.storageWallets[walletId].syncState
+}
+
+export function getStorageWalletSyncStatus (
+  state: RootState,
+  walletId: string
+): PlusultraSyncStatus {
+  return makeSyncStatus(state.storageWallets[walletId])
+}
+
+/**
+ * Summarizes a repo's sync progress for the outside world.
+ */
+export function makeSyncStatus (
+  walletState: StorageWalletState
+): PlusultraSyncStatus {
+  const { pendingChanges, status, syncState } = walletState
+  const { bytesReceived, bytesSent, lastError, syncing } = syncState
+
+  return {
+    state: syncing
+      ? 'syncing'
+      : lastError == null
+        ? 'synced'
+        : lastError.name === errorNames.NetworkError ? 'offline' : 'error',
+    pendingChanges: pendingChanges.length,
+    lastError,
+    lastSync: status.lastSync,
+    bytesSent,
+    bytesReceived
+  }
+}
+
 export function getStorageWalletFolder (state: RootState, walletId: string) {
   return state.storageWallets[walletId].paths.folder
 }
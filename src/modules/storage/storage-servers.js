@@ -1,23 +1,150 @@
 // @flow
 
-import type { PlusultraIo } from '../../plusultra-core-index.js'
+import type {
+  PlusultraIo,
+  PlusultraSyncTransport
+} from '../../plusultra-core-index.js'
 import { NetworkError } from '../../error.js'
 
-const syncServers = ['https://git2.airbitz.co', 'https://git3.airbitz.co']
+export const defaultSyncServers = [
+  'https://git2.airbitz.co',
+  'https://git3.airbitz.co'
+]
+
+// Backoff limits for failing servers, in milliseconds:
+const minBackoff = 5 * 1000
+const maxBackoff = 10 * 60 * 1000
+
+export type SyncServerHealth = {
+  failures: number, // Consecutive failures
+  latency: number, // Smoothed round-trip time, in milliseconds
+  retryTime: number // Avoid this server until this time
+}
+
+/**
+ * Tracks latency and failures for the configured sync servers,
+ * so we can prefer the healthy ones and back off from failing ones.
+ */
+export class SyncServerList {
+  health: { [uri: string]: SyncServerHealth }
+  uris: Array<string>
+
+  constructor (uris: Array<string> = defaultSyncServers) {
+    if (uris.length === 0) {
+      throw new Error('At least one sync server is required')
+    }
+    this.uris = uris.map(uri => uri.replace(/\/+$/, ''))
+    this.health = {}
+    for (const uri of this.uris) {
+      this.health[uri] = { failures: 0, latency: 0, retryTime: 0 }
+    }
+  }
+
+  /**
+   * Returns the servers in the order we should try them.
+   * Servers that are backing off go to the end of the list,
+   * but we never leave them out entirely.
+   */
+  pickServers (now: number = Date.now()): Array<string> {
+    const { health } = this
+    const backingOff = uri => health[uri].retryTime > now
+
+    return this.uris
+      .map((uri, index) => ({ uri, index }))
+      .sort((a, b) => {
+        const healthA = health[a.uri]
+        const healthB = health[b.uri]
+
+        if (backingOff(a.uri) !== backingOff(b.uri)) {
+          return backingOff(a.uri) ? 1 : -1
+        }
+        if (backingOff(a.uri)) {
+          return healthA.retryTime - healthB.retryTime
+        }
+        if (healthA.failures !== healthB.failures) {
+          return healthA.failures - healthB.failures
+        }
+        if (healthA.latency !== healthB.latency) {
+          return healthA.latency - healthB.latency
+        }
+        return a.index - b.index
+      })
+      .map(item => item.uri)
+  }
+
+  /**
+   * Records a successful request, clearing any backoff.
+   */
+  reportSuccess (uri: string, latency: number) {
+    const health = this.health[uri]
+    if (health == null) return
+
+    health.failures = 0
+    health.retryTime = 0
+    health.latency =
+      health.latency === 0 ? latency : 0.7 * health.latency + 0.3 * latency
+  }
+
+  /**
+   * Records a failed request, pushing the server's retry time
+   * further into the future with each consecutive failure.
+   */
+  reportFailure (uri: string, now: number = Date.now()) {
+    const health = this.health[uri]
+    if (health == null) return
+
+    ++health.failures
+    const backoff = minBackoff * Math.pow(2, health.failures - 1)
+    health.retryTime = now + Math.min(backoff, maxBackoff)
+  }
+}
+
+/**
+ * Syncs repos with the git servers over HTTP.
+ * This is the default transport.
+ */
+export function makeHttpSyncTransport (
+  io: PlusultraIo,
+  servers: SyncServerList
+): PlusultraSyncTransport {
+  return {
+    readChanges (syncKey, lastHash) {
+      const path = makeSyncPath(syncKey, lastHash)
+      return syncRequest(io, servers, 'GET', path, {})
+    },
+
+    writeChanges (syncKey, lastHash, changes) {
+      const path = makeSyncPath(syncKey, lastHash)
+      return syncRequest(io, servers, 'POST', path, { changes })
+    }
+  }
+}
+
+/**
+ * Calculates the server URI for a repo.
+ */
+function makeSyncPath (syncKey: string, lastHash: string | void) {
+  let path = '/api/v2/store/' + syncKey
+  if (lastHash != null) {
+    path += '/' + lastHash
+  }
+  return path
+}
 
 /**
  * Fetches some resource from a sync server.
  */
 export function syncRequest (
   io: PlusultraIo,
+  servers: SyncServerList,
   method: string,
   uri: string,
   body: Object
 ) {
-  return syncRequestInner(io, method, uri, body, 0)
+  return syncRequestInner(io, servers, method, uri, body, servers.pickServers())
 }
 
-function syncRequestInner (io, method, path, body, serverIndex) {
+function syncRequestInner (io, servers, method, path, body, serverUris) {
   const opts: Object = {
     method: method,
     headers: {
@@ -29,7 +156,9 @@ function syncRequestInner (io, method, path, body, serverIndex) {
     opts.body = JSON.stringify(body)
   }
 
-  const uri = syncServers[serverIndex] + path
+  const [serverUri, ...otherUris] = serverUris
+  const uri = serverUri + path
+  const start = Date.now()
   io.console.info(`${method} ${uri}`)
   return io
     .fetch(uri, opts)
@@ -44,9 +173,14 @@ function syncRequestInner (io, method, path, body, serverIndex) {
         throw new NetworkError('Could not reach the sync server')
       }
     )
+    .then(reply => {
+      servers.reportSuccess(serverUri, Date.now() - start)
+      return reply
+    })
     .catch(e => {
-      if (serverIndex + 1 < syncServers.length) {
-        return syncRequestInner(io, method, path, body, serverIndex + 1)
+      servers.reportFailure(serverUri)
+      if (otherUris.length > 0) {
+        return syncRequestInner(io, servers, method, path, body, otherUris)
       } else {
         throw e
       }
@@ -0,0 +1,39 @@
+// @flow
+
+import { expect } from 'chai'
+import { describe, it } from 'mocha'
+
+import { SyncServerList } from './storage-servers.js'
+
+describe('sync servers', function () {
+  it('keeps the configured order by default', function () {
+    const servers = new SyncServerList(['https://a/', 'https://b', 'https://c'])
+    expect(servers.pickServers()).to.deep.equal([
+      'https://a',
+      'https://b',
+      'https://c'
+    ])
+  })
+
+  it('prefers faster servers', function () {
+    const servers = new SyncServerList(['https://a', 'https://b'])
+    servers.reportSuccess('https://a', 500)
+    servers.reportSuccess('https://b', 100)
+    expect(servers.pickServers()).to.deep.equal(['https://b', 'https://a'])
+  })
+
+  it('backs off from failing servers', function () {
+    const servers = new SyncServerList(['https://a', 'https://b'])
+    servers.reportFailure('https://a', 1000)
+    expect(servers.pickServers(2000)).to.deep.equal(['https://b', 'https://a'])
+
+    // The backoff grows with each failure:
+    servers.reportFailure('https://a', 1000)
+    expect(servers.health['https://a'].retryTime).to.equal(11000)
+
+    // Once the server recovers, it gets its place back:
+    servers.reportSuccess('https://a', 100)
+    servers.reportSuccess('https://b', 200)
+    expect(servers.pickServers(2000)).to.deep.equal(['https://a', 'https://b'])
+  })
+})
@@ -0,0 +1,97 @@
+// @flow
+
+import { makeMemoryFolder } from 'disklet'
+
+import type {
+  DiskletFolder,
+  PlusultraSyncReply,
+  PlusultraSyncTransport
+} from '../../plusultra-core-index.js'
+import { serialize } from '../../util/decorators.js'
+
+type Lock = (task: () => Promise<mixed>) => Promise<mixed>
+
+// Commits must go in one at a time, even across transports:
+const folderLocks: WeakMap<DiskletFolder, Lock> = new WeakMap()
+
+function getFolderLock (folder: DiskletFolder): Lock {
+  let lock = folderLocks.get(folder)
+  if (lock == null) {
+    lock = serialize(task => task())
+    folderLocks.set(folder, lock)
+  }
+  return lock
+}
+
+/**
+ * Keeps repos in a local folder, such as a shared drive or a USB stick.
+ * Each repo is a numbered series of commits in a folder named by its sync key,
+ * and the number of commits serves as the repo hash.
+ *
+ * Transports made from the same folder object share a lock,
+ * but nothing coordinates separate processes writing to the same place.
+ */
+export function makeFolderSyncTransport (
+  folder: DiskletFolder
+): PlusultraSyncTransport {
+  const locked = getFolderLock(folder)
+
+  async function readChanges (
+    syncKey: string,
+    lastHash: string | void
+  ): Promise<PlusultraSyncReply> {
+    const repoFolder = folder.folder(syncKey)
+    const count = await readCommitCount(repoFolder)
+    const since = parseHash(lastHash, count)
+
+    const commits = []
+    for (let i = since + 1; i <= count; ++i) {
+      const text = await repoFolder.file(`${i}.json`).getText()
+      commits.push(JSON.parse(text))
+    }
+
+    const changes = {}
+    for (const commit of commits) Object.assign(changes, commit)
+    return count > 0 ? { changes, hash: String(count) } : { changes }
+  }
+
+  return {
+    readChanges,
+
+    async writeChanges (syncKey, lastHash, changes) {
+      const repoFolder = folder.folder(syncKey)
+      await locked(async () => {
+        const count = (await readCommitCount(repoFolder)) + 1
+        await repoFolder.file(`${count}.json`).setText(JSON.stringify(changes))
+        await repoFolder.file('head.json').setText(JSON.stringify({ count }))
+      })
+      return readChanges(syncKey, lastHash)
+    }
+  }
+}
+
+/**
+ * Keeps repos in memory, which is handy for testing.
+ * Share one transport between contexts to let them sync with each other.
+ */
+export function makeMemorySyncTransport (): PlusultraSyncTransport {
+  return makeFolderSyncTransport(makeMemoryFolder())
+}
+
+function readCommitCount (repoFolder: DiskletFolder): Promise<number> {
+  return repoFolder
+    .file('head.json')
+    .getText()
+    .then(text => JSON.parse(text).count, e => 0)
+}
+
+/**
+ * Turns a hash back into a commit count.
+ * Hashes we don't recognize, such as ones from a git server,
+ * make us start over from the beginning.
+ */
+function parseHash (hash: string | void, count: number): number {
+  if (hash == null || !/^\d+$/.test(hash)) return 0
+  const since = Number(hash)
+  return since <= count ? since : 0
+}
@@ -0,0 +1,81 @@
+// @flow
+
+import { assert } from 'chai'
+import { makeMemoryFolder } from 'disklet'
+import { describe, it } from 'mocha'
+
+import { fixIo } from '../../io/fixIo.js'
+import { fakeUser, makeFakeIos } from '../../plusultra-core-index.js'
+import { base64 } from '../../util/encoding.js'
+import { makeRepoPaths, syncRepo } from './repo.js'
+import {
+  makeFolderSyncTransport,
+  makeMemorySyncTransport
+} from './storage-transports.js'
+
+const fakeRepoInfo = {
+  id: '',
+  type: '',
+  keys: {
+    dataKey: base64.stringify(fakeUser.loginKey),
+    syncKey: base64.stringify(fakeUser.syncKey)
+  }
+}
+
+describe('sync transports', function () {
+  it('reads changes since a hash', async function () {
+    const transport = makeMemorySyncTransport()
+    assert.deepEqual(await transport.readChanges('00', void 0), {
+      changes: {}
+    })
+
+    const first = await transport.writeChanges('00', void 0, { a: { n: 1 } })
+    assert.deepEqual(first, { changes: { a: { n: 1 } }, hash: '1' })
+    await transport.writeChanges('00', first.hash, { a: null, b: { n: 2 } })
+
+    assert.deepEqual(await transport.readChanges('00', first.hash), {
+      changes: { a: null, b: { n: 2 } },
+      hash: '2'
+    })
+    assert.deepEqual(await transport.readChanges('00', 'deadbeef'), {
+      changes: { a: null, b: { n: 2 } },
+      hash: '2'
+    })
+    assert.deepEqual(await transport.readChanges('01', void 0), {
+      changes: {}
+    })
+  })
+
+  it('numbers commits from different transports', async function () {
+    const folder = makeMemoryFolder()
+    const transport1 = makeFolderSyncTransport(folder)
+    const transport2 = makeFolderSyncTransport(folder)
+
+    await Promise.all([
+      transport1.writeChanges('00', void 0, { a: { n: 1 } }),
+      transport2.writeChanges('00', void 0, { b: { n: 2 } })
+    ])
+    assert.deepEqual(await transport1.readChanges('00', void 0), {
+      changes: { a: { n: 1 }, b: { n: 2 } },
+      hash: '2'
+    })
+  })
+
+  it('syncs repos through a folder', async function () {
+    const [io1, io2] = makeFakeIos(2).map(fixIo)
+    const folder = makeMemoryFolder()
+    const transport1 = makeFolderSyncTransport(folder)
+    const transport2 = makeFolderSyncTransport(folder)
+
+    const paths1 = makeRepoPaths(io1, fakeRepoInfo)
+    const paths2 = makeRepoPaths(io2, fakeRepoInfo)
+    const status1 = { lastSync: 0, lastHash: void 0 }
+    const status2 = { lastSync: 0, lastHash: void 0 }
+
+    await paths1.folder.file('a.json').setText('{"a":1}')
+    await syncRepo(io1, transport1, paths1, status1)
+    await syncRepo(io2, transport2, paths2, status2)
+    assert.equal(await paths2.folder.file('a.json').getText(), '{"a":1}')
+    assert.equal(status2.lastHash, status1.lastHash)
+  })
+})
@@ -154,3 +154,10 @@ export function sha256 (data: Uint8Array): Uint8Array {
     .update(data)
     .digest()
 }
+
+/**
+ * Hashes some data into a string, for spotting identical contents.
+ */
+export function hashData (data: Uint8Array): string {
+  return base64.stringify(sha256(data))
+}
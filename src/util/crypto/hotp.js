@@ -44,23 +44,93 @@ export function hotp (secret: Uint8Array, counter: number, digits: number) {
   return (padding + text).slice(-digits)
 }
 
+// The length of each TOTP time step, in seconds:
+const totpStep = 30
+
+export type TotpOptions = {
+  now?: number, // Seconds since the epoch
+  window?: number, // How many steps of clock drift to allow, either way
+  lastStep?: number // Steps up to this one have already been used
+}
+
 export function totp (
   secret: string | void,
   now: number = Date.now() / 1000
 ): string | void {
   if (secret == null) return
-  return hotp(base32.parse(secret, { loose: true }), now / 30, 6)
+  return hotp(base32.parse(secret, { loose: true }), now / totpStep, 6)
+}
+
+/**
+ * Finds the TOTP time step for a moment in time.
+ * @param now Seconds since the epoch.
+ */
+export function getTotpStep (now: number = Date.now() / 1000): number {
+  return Math.floor(now / totpStep)
+}
+
+/**
+ * Finds the moment a TOTP time step begins, in seconds since the epoch.
+ */
+export function getTotpStepStart (step: number): number {
+  return step * totpStep
+}
+
+/**
+ * Finds the time step that produced an OTP code, if any.
+ * Checks the current step first, then works outwards.
+ */
+export function findTotpStep (
+  secret: string,
+  otp: string,
+  opts: TotpOptions = {}
+): number | void {
+  const {
+    now = Date.now() / 1000,
+    window: spread = 1,
+    lastStep = -Infinity
+  } = opts
+  const key = base32.parse(secret, { loose: true })
+  const step = getTotpStep(now)
+
+  for (let i = 0; i <= spread; ++i) {
+    for (const candidate of i === 0 ? [step] : [step - i, step + i]) {
+      if (candidate > lastStep && hotp(key, candidate, 6) === otp) {
+        return candidate
+      }
+    }
+  }
 }
 
-export function checkTotp (secret: string, otp: string): boolean {
-  const now = Date.now() / 1000
-  return (
-    otp === totp(secret, now - 1) ||
-    otp === totp(secret, now) ||
-    otp === totp(secret, now + 1)
-  )
+export function checkTotp (
+  secret: string,
+  otp: string,
+  opts: TotpOptions = {}
+): boolean {
+  return findTotpStep(secret, otp, opts) != null
 }
 
 export function fixOtpKey (secret: string) {
   return base32.stringify(base32.parse(secret, { loose: true }))
 }
+
+/**
+ * Builds the `otpauth://` URI that authenticator apps use to import a key.
+ * @param account The user's name for the account, such as their username.
+ * @param issuer The name of the service, shown next to the account.
+ */
+export function makeOtpUri (
+  secret: string,
+  account: string,
+  issuer: string
+): string {
+  const label = encodeURIComponent(issuer) + ':' + encodeURIComponent(account)
+  const query = [
+    'secret=' + fixOtpKey(secret).replace(/=+$/, ''),
+    'issuer=' + encodeURIComponent(issuer),
+    'algorithm=SHA1',
+    'digits=6',
+    'period=30'
+  ]
+  return `otpauth://totp/${label}?${query.join('&')}`
+}
@@ -5,7 +5,14 @@ import { describe, it } from 'mocha'
 import { base32 } from 'rfc4648'
 
 import { base16, utf8 } from '../encoding.js'
-import { hotp, numberToBe64 } from './hotp.js'
+import {
+  findTotpStep,
+  getTotpStep,
+  getTotpStepStart,
+  hotp,
+  makeOtpUri,
+  numberToBe64
+} from './hotp.js'
 
 describe('hotp', function () {
   it('converts numbers to bytes', function () {
@@ -66,4 +73,39 @@ describe('hotp', function () {
     expect(hotp(key, 9, 6)).to.equal('003773')
     expect(hotp(key, 41952, 6)).to.equal('048409')
   })
+
+  it('Allows for clock drift', function () {
+    // This code belongs to the step from 60 to 90 seconds:
+    const otp = '073348'
+    expect(findTotpStep('AAAAAAAA', otp, { now: 75 })).to.equal(2)
+    expect(findTotpStep('AAAAAAAA', otp, { now: 105 })).to.equal(2)
+    expect(findTotpStep('AAAAAAAA', otp, { now: 135 })).to.equal(undefined)
+    expect(findTotpStep('AAAAAAAA', otp, { now: 135, window: 2 })).to.equal(2)
+    expect(findTotpStep('AAAAAAAA', otp, { now: 75, window: 0 })).to.equal(2)
+    expect(findTotpStep('AAAAAAAA', otp, { now: 45, window: 0 })).to.equal(
+      undefined
+    )
+  })
+
+  it('Refuses used codes', function () {
+    const otp = '073348'
+    expect(findTotpStep('AAAAAAAA', otp, { now: 75, lastStep: 1 })).to.equal(2)
+    expect(findTotpStep('AAAAAAAA', otp, { now: 75, lastStep: 2 })).to.equal(
+      undefined
+    )
+  })
+
+  it('Finds time steps', function () {
+    expect(getTotpStep(59.9)).to.equal(1)
+    expect(getTotpStep(60)).to.equal(2)
+    expect(getTotpStepStart(2)).to.equal(60)
+  })
+
+  it('Makes authenticator URIs', function () {
+    expect(makeOtpUri('jbswy3dpehpk3pxp', 'js test 0', 'Acme & Co')).to.equal(
+      'otpauth://totp/Acme%20%26%20Co:js%20test%200' +
+        '?secret=JBSWY3DPEHPK3PXP&issuer=Acme%20%26%20Co' +
+        '&algorithm=SHA1&digits=6&period=30'
+    )
+  })
 })
@@ -0,0 +1,496 @@
+// @flow
+/**
+ * A small QR code encoder, so apps can show payment requests
+ * without pulling in a separate QR library.
+ *
+ * This always uses byte mode and error-correction level M,
+ * which is what payment URIs need.
+ *
+ * Based on the QR Code generator library by Project Nayuki:
+ * https://www.nayuki.io/page/qr-code-generator-library
+ *
+ * Copyright (c) Project Nayuki. (MIT License)
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ * - The above copyright notice and this permission notice shall be included in
+ *   all copies or substantial portions of the Software.
+ * - The Software is provided "as is", without warranty of any kind, express or
+ *   implied, including but not limited to the warranties of merchantability,
+ *   fitness for a particular purpose and noninfringement. In no event shall the
+ *   authors or copyright holders be liable for any claim, damages or other
+ *   liability, whether in an action of contract, tort or otherwise, arising
+ *   from, out of or in connection with the Software or the use or other
+ *   dealings in the Software.
+ */
+
+import { utf8 } from './encoding.js'
+
+export type QrMatrix = Array<Array<boolean>> // Rows of modules, true = dark
+
+export type QrSvgOptions = {
+  margin?: number, // Quiet zone, in modules
+  dark?: string,
+  light?: string
+}
+
+// Error-correction level M, indexed by version:
+const eccPerBlock = parseTable(`
+  -1 10 16 26 18 24 16 18 22 22 26 30 22 22 24 24 28 28 26 26 26
+  26 28 28 28 28 28 28 28 28 28 28 28 28 28 28 28 28 28 28 28
+`)
+const blockCount = parseTable(`
+  -1 1 1 1 2 2 4 4 4 5 5 5 8 9 9 10 10 11 13 14 16
+  17 17 18 20 21 23 25 26 28 29 31 33 35 37 38 40 43 45 47 49
+`)
+const eccFormatBits = 0 // Level M
+
+/**
+ * Encodes text as a grid of QR code modules.
+ */
+export function makeQrMatrix (text: string): QrMatrix {
+  const data = utf8.parse(text)
+
+  // Find the smallest version that fits:
+  let version = 1
+  while (dataBitsNeeded(version, data.length) > dataCodewords(version) * 8) {
+    if (++version > 40) throw new Error('Data too long for a QR code')
+  }
+
+  // Build the data bit stream:
+  const bits: Array<number> = []
+  appendBits(bits, 4, 4) // Byte mode
+  appendBits(bits, data.length, version < 10 ? 8 : 16)
+  for (const byte of data) appendBits(bits, byte, 8)
+
+  const capacity = dataCodewords(version) * 8
+  appendBits(bits, 0, Math.min(4, capacity - bits.length)) // Terminator
+  appendBits(bits, 0, (8 - bits.length % 8) % 8)
+  for (let pad = 0xec; bits.length < capacity; pad ^= 0xec ^ 0x11) {
+    appendBits(bits, pad, 8)
+  }
+
+  const codewords: Array<number> = []
+  for (let i = 0; i < bits.length; i += 8) {
+    let byte = 0
+    for (let j = 0; j < 8; ++j) byte = (byte << 1) | bits[i + j]
+    codewords.push(byte)
+  }
+
+  const qr = new QrGrid(version)
+  qr.drawCodewords(addEccAndInterleave(version, codewords))
+
+  // Pick the mask with the lowest penalty:
+  let bestMask = 0
+  let bestPenalty = Infinity
+  for (let mask = 0; mask < 8; ++mask) {
+    qr.applyMask(mask)
+    qr.drawFormatBits(mask)
+    const penalty = qr.penalty()
+    if (penalty < bestPenalty) {
+      bestMask = mask
+      bestPenalty = penalty
+    }
+    qr.applyMask(mask) // Masks undo themselves
+  }
+  qr.applyMask(bestMask)
+  qr.drawFormatBits(bestMask)
+
+  return qr.modules
+}
+
+/**
+ * Renders text as a QR code SVG image.
+ */
+export function makeQrSvg (text: string, opts: QrSvgOptions = {}): string {
+  const { margin = 4, dark = '#000', light = '#fff' } = opts
+  const modules = makeQrMatrix(text)
+  const size = modules.length + 2 * margin
+
+  const path: Array<string> = []
+  for (let y = 0; y < modules.length; ++y) {
+    for (let x = 0; x < modules.length; ++x) {
+      if (modules[y][x]) path.push(`M${x + margin},${y + margin}h1v1h-1z`)
+    }
+  }
+
+  return (
+    `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${size} ${size}"` +
+    ` shape-rendering="crispEdges">` +
+    `<rect width="${size}" height="${size}" fill="${light}"/>` +
+    `<path d="${path.join('')}" fill="${dark}"/>` +
+    `</svg>`
+  )
+}
+
+/**
+ * The module grid, along with a record of which modules are
+ * reserved for function patterns.
+ */
+class QrGrid {
+  version: number
+  size: number
+  modules: QrMatrix
+  isFunction: QrMatrix
+
+  constructor (version: number) {
+    this.version = version
+    this.size = version * 4 + 17
+    this.modules = makeGrid(this.size)
+    this.isFunction = makeGrid(this.size)
+
+    const { size } = this
+
+    // Timing patterns:
+    for (let i = 0; i < size; ++i) {
+      this.setFunction(6, i, i % 2 === 0)
+      this.setFunction(i, 6, i % 2 === 0)
+    }
+
+    // Finder patterns:
+    this.drawFinder(3, 3)
+    this.drawFinder(size - 4, 3)
+    this.drawFinder(3, size - 4)
+
+    // Alignment patterns, except where they would hit the finders:
+    const positions = alignmentPositions(version)
+    const last = positions.length - 1
+    for (let i = 0; i <= last; ++i) {
+      for (let j = 0; j <= last; ++j) {
+        if ((i === 0 && j === 0) || (i === 0 && j === last)) continue
+        if (i === last && j === 0) continue
+        this.drawAlignment(positions[i], positions[j])
+      }
+    }
+
+    // Reserve the format area, and draw the version:
+    this.drawFormatBits(0)
+    this.drawVersion()
+  }
+
+  setFunction (x: number, y: number, dark: boolean) {
+    this.modules[y][x] = dark
+    this.isFunction[y][x] = true
+  }
+
+  drawFinder (x: number, y: number) {
+    for (let dy = -4; dy <= 4; ++dy) {
+      for (let dx = -4; dx <= 4; ++dx) {
+        const distance = Math.max(Math.abs(dx), Math.abs(dy))
+        const xx = x + dx
+        const yy = y + dy
+        if (xx >= 0 && xx < this.size && yy >= 0 && yy < this.size) {
+          this.setFunction(xx, yy, distance !== 2 && distance !== 4)
+        }
+      }
+    }
+  }
+
+  drawAlignment (x: number, y: number) {
+    for (let dy = -2; dy <= 2; ++dy) {
+      for (let dx = -2; dx <= 2; ++dx) {
+        this.setFunction(
+          x + dx,
+          y + dy,
+          Math.max(Math.abs(dx), Math.abs(dy)) !== 1
+        )
+      }
+    }
+  }
+
+  drawFormatBits (mask: number) {
+    const { size } = this
+    const data = (eccFormatBits << 3) | mask
+    let rem = data
+    for (let i = 0; i < 10; ++i) rem = (rem << 1) ^ ((rem >>> 9) * 0x537)
+    const bits = ((data << 10) | rem) ^ 0x5412
+
+    // First copy, around the top-left finder:
+    for (let i = 0; i <= 5; ++i) this.setFunction(8, i, getBit(bits, i))
+    this.setFunction(8, 7, getBit(bits, 6))
+    this.setFunction(8, 8, getBit(bits, 7))
+    this.setFunction(7, 8, getBit(bits, 8))
+    for (let i = 9; i < 15; ++i) this.setFunction(14 - i, 8, getBit(bits, i))
+
+    // Second copy, split between the other two finders:
+    for (let i = 0; i < 8; ++i) {
+      this.setFunction(size - 1 - i, 8, getBit(bits, i))
+    }
+    for (let i = 8; i < 15; ++i) {
+      this.setFunction(8, size - 15 + i, getBit(bits, i))
+    }
+    this.setFunction(8, size - 8, true) // Always dark
+  }
+
+  drawVersion () {
+    const { size, version } = this
+    if (version < 7) return
+
+    let rem = version
+    for (let i = 0; i < 12; ++i) rem = (rem << 1) ^ ((rem >>> 11) * 0x1f25)
+    const bits = (version << 12) | rem
+
+    for (let i = 0; i < 18; ++i) {
+      const dark = getBit(bits, i)
+      const a = size - 11 + i % 3
+      const b = Math.floor(i / 3)
+      this.setFunction(a, b, dark)
+      this.setFunction(b, a, dark)
+    }
+  }
+
+  /**
+   * Fills the data area in the zig-zag order, two columns at a time.
+   */
+  drawCodewords (data: Array<number>) {
+    const { size } = this
+    let i = 0
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5 // Skip the vertical timing pattern
+      const upward = ((right + 1) & 2) === 0
+      for (let vert = 0; vert < size; ++vert) {
+        for (let j = 0; j < 2; ++j) {
+          const x = right - j
+          const y = upward ? size - 1 - vert : vert
+          if (!this.isFunction[y][x] && i < data.length * 8) {
+            this.modules[y][x] = getBit(data[i >>> 3], 7 - (i & 7))
+            ++i
+          }
+        }
+      }
+    }
+  }
+
+  applyMask (mask: number) {
+    const { size } = this
+    for (let y = 0; y < size; ++y) {
+      for (let x = 0; x < size; ++x) {
+        if (!this.isFunction[y][x] && maskBit(mask, x, y)) {
+          this.modules[y][x] = !this.modules[y][x]
+        }
+      }
+    }
+  }
+
+  /**
+   * Scores how hard the grid is to scan, using the standard rules.
+   */
+  penalty (): number {
+    const { modules, size } = this
+    let out = 0
+
+    const lines: Array<Array<boolean>> = []
+    for (let i = 0; i < size; ++i) {
+      lines.push(modules[i])
+      lines.push(modules.map(row => row[i]))
+    }
+
+    for (const line of lines) {
+      // Runs of the same color:
+      let run = 1
+      for (let i = 1; i <= size; ++i) {
+        if (i < size && line[i] === line[i - 1]) {
+          ++run
+        } else {
+          if (run >= 5) out += run - 2
+          run = 1
+        }
+      }
+
+      // Things that look like finder patterns:
+      const text = line.map(dark => (dark ? '1' : '0')).join('')
+      for (let i = 0; i + 11 <= size; ++i) {
+        const window = text.slice(i, i + 11)
+        if (window === '10111010000' || window === '00001011101') out += 40
+      }
+    }
+
+    // 2x2 blocks of the same color:
+    let dark = 0
+    for (let y = 0; y < size; ++y) {
+      for (let x = 0; x < size; ++x) {
+        if (modules[y][x]) ++dark
+        if (x + 1 < size && y + 1 < size) {
+          const color = modules[y][x]
+          if (
+            modules[y][x + 1] === color &&
+            modules[y + 1][x] === color &&
+            modules[y + 1][x + 1] === color
+          ) {
+            out += 3
+          }
+        }
+      }
+    }
+
+    // Unbalanced dark / light ratio:
+    const total = size * size
+    out += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10
+
+    return out
+  }
+}
+
+/**
+ * Splits the data into blocks, adds Reed-Solomon error correction,
+ * and interleaves the result.
+ */
+function addEccAndInterleave (
+  version: number,
+  data: Array<number>
+): Array<number> {
+  const numBlocks = blockCount[version]
+  const eccLength = eccPerBlock[version]
+  const rawCodewords = Math.floor(rawDataModules(version) / 8)
+  const numShortBlocks = numBlocks - rawCodewords % numBlocks
+  const shortBlockLength = Math.floor(rawCodewords / numBlocks)
+
+  const divisor = reedSolomonDivisor(eccLength)
+  const blocks: Array<Array<number>> = []
+  for (let i = 0, k = 0; i < numBlocks; ++i) {
+    const length = shortBlockLength - eccLength + (i < numShortBlocks ? 0 : 1)
+    const block = data.slice(k, k + length)
+    k += length
+    const ecc = reedSolomonRemainder(block, divisor)
+    if (i < numShortBlocks) block.push(0) // Placeholder, skipped below
+    blocks.push(block.concat(ecc))
+  }
+
+  const out: Array<number> = []
+  for (let i = 0; i < blocks[0].length; ++i) {
+    for (let j = 0; j < blocks.length; ++j) {
+      if (i !== shortBlockLength - eccLength || j >= numShortBlocks) {
+        out.push(blocks[j][i])
+      }
+    }
+  }
+  return out
+}
+
+/**
+ * Computes the Reed-Solomon error-correction bytes for some data.
+ */
+export function reedSolomonRemainder (
+  data: Array<number>,
+  divisor: Array<number>
+): Array<number> {
+  const out = divisor.map(() => 0)
+  for (const byte of data) {
+    const factor = byte ^ out.shift()
+    out.push(0)
+    for (let i = 0; i < divisor.length; ++i) {
+      out[i] ^= gfMultiply(divisor[i], factor)
+    }
+  }
+  return out
+}
+
+export function reedSolomonDivisor (degree: number): Array<number> {
+  const out: Array<number> = []
+  for (let i = 0; i < degree - 1; ++i) out.push(0)
+  out.push(1)
+
+  let root = 1
+  for (let i = 0; i < degree; ++i) {
+    for (let j = 0; j < out.length; ++j) {
+      out[j] = gfMultiply(out[j], root)
+      if (j + 1 < out.length) out[j] ^= out[j + 1]
+    }
+    root = gfMultiply(root, 2)
+  }
+  return out
+}
+
+/**
+ * Multiplies in GF(2^8), modulo the QR polynomial 0x11d.
+ */
+function gfMultiply (x: number, y: number): number {
+  let z = 0
+  for (let i = 7; i >= 0; --i) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d)
+    z ^= ((y >>> i) & 1) * x
+  }
+  return z
+}
+
+function alignmentPositions (version: number): Array<number> {
+  if (version === 1) return []
+
+  const count = Math.floor(version / 7) + 2
+  const step = Math.floor((version * 8 + count * 3 + 5) / (count * 4 - 4)) * 2
+  const out = [6]
+  for (let pos = version * 4 + 10; out.length < count; pos -= step) {
+    out.splice(1, 0, pos)
+  }
+  return out
+}
+
+/**
+ * Counts the modules available for data and error correction.
+ */
+function rawDataModules (version: number): number {
+  let out = (16 * version + 128) * version + 64
+  if (version >= 2) {
+    const count = Math.floor(version / 7) + 2
+    out -= (25 * count - 10) * count - 55
+    if (version >= 7) out -= 36
+  }
+  return out
+}
+
+function dataCodewords (version: number): number {
+  return (
+    Math.floor(rawDataModules(version) / 8) -
+    eccPerBlock[version] * blockCount[version]
+  )
+}
+
+function dataBitsNeeded (version: number, length: number): number {
+  return 4 + (version < 10 ? 8 : 16) + length * 8
+}
+
+function maskBit (mask: number, x: number, y: number): boolean {
+  switch (mask) {
+    case 0:
+      return (x + y) % 2 === 0
+    case 1:
+      return y % 2 === 0
+    case 2:
+      return x % 3 === 0
+    case 3:
+      return (x + y) % 3 === 0
+    case 4:
+      return (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0
+    case 5:
+      return (x * y) % 2 + (x * y) % 3 === 0
+    case 6:
+      return ((x * y) % 2 + (x * y) % 3) % 2 === 0
+    default:
+      return ((x + y) % 2 + (x * y) % 3) % 2 === 0
+  }
+}
+
+function appendBits (bits: Array<number>, value: number, length: number) {
+  for (let i = length - 1; i >= 0; --i) bits.push((value >>> i) & 1)
+}
+
+function getBit (value: number, i: number): boolean {
+  return ((value >>> i) & 1) !== 0
+}
+
+function makeGrid (size: number): QrMatrix {
+  const out = []
+  for (let i = 0; i < size; ++i) out.push(new Array(size).fill(false))
+  return out
+}
+
+function parseTable (text: string): Array<number> {
+  return text
+    .trim()
+    .split(/\s+/)
+    .map(Number)
+}
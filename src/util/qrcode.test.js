@@ -0,0 +1,104 @@
+// @flow
+
+import { expect } from 'chai'
+import { describe, it } from 'mocha'
+
+import {
+  makeQrMatrix,
+  makeQrSvg,
+  reedSolomonDivisor,
+  reedSolomonRemainder
+} from './qrcode.js'
+
+describe('qr codes', function () {
+  it('computes error correction', function () {
+    // The "HELLO WORLD" 1-M example from the QR specification tutorials:
+    const data = [32, 91, 11, 120, 209, 114, 220, 77, 67, 64, 236, 17, 236]
+    data.push(17, 236, 17)
+    expect(reedSolomonRemainder(data, reedSolomonDivisor(10))).to.deep.equal([
+      196,
+      35,
+      39,
+      119,
+      235,
+      215,
+      231,
+      226,
+      93,
+      23
+    ])
+  })
+
+  it('picks a size that fits', function () {
+    expect(makeQrMatrix('bitcoin:1abc')).to.have.length(21)
+    expect(makeQrMatrix('x'.repeat(100))).to.have.length(41)
+    expect(() => makeQrMatrix('x'.repeat(3000))).to.throw()
+  })
+
+  it('draws the function patterns', function () {
+    const modules = makeQrMatrix('bitcoin:1BvBMSEYstWetqTFn5Au4m4GFg7xJaNVN2')
+    const size = modules.length
+    const row = y => modules[y].map(dark => (dark ? 1 : 0)).join('')
+
+    // Finder patterns on the top corners, and the timing pattern:
+    expect(row(0).slice(0, 8)).to.equal('11111110')
+    expect(row(2).slice(0, 8)).to.equal('10111010')
+    expect(row(0).slice(size - 8)).to.equal('01111111')
+    expect(row(6).slice(8, size - 8)).to.match(/^(10)*1$/)
+
+    // The dark module:
+    expect(modules[size - 8][8]).to.equal(true)
+  })
+
+  it('matches a reference encoder', function () {
+    // Generated by the `qrcode` npm package (1.5.3), in byte mode at level M:
+    const expected = [
+      '#######....##.#..#.....#..#######',
+      '#.....#.##...##...#...#...#.....#',
+      '#.###.#.####.#.##.#.###...#.###.#',
+      '#.###.#.##.#.....##..#.##.#.###.#',
+      '#.###.#..#####.#...#.#.#..#.###.#',
+      '#.....#....#..#.#.#..#....#.....#',
+      '#######.#.#.#.#.#.#.#.#.#.#######',
+      '........#..#..#....##.#.#........',
+      '#.....#.####.#.##..####.###..###.',
+      '#.#.##...##.#..##..#.##..#..#....',
+      '......###.##...##.#.#.#.########.',
+      '...##...###...#.#.#.#.###.#####.#',
+      '..##.###...######.###..##.###...#',
+      '##..##..#.#####.#..#..##.#.#.##.#',
+      '#.#...#####..#.......##...#..#.#.',
+      '.#...#....##..##..#.#..#....#.#..',
+      '#.##..#.#....##.#....####..###...',
+      '.#..#..#.#..#####.###.#..###.##..',
+      '...#.##.#....#.#.###.#.##.#.###.#',
+      '.##..#.####..##....##.##..#.#####',
+      '.#.#..##....#######.#.#..#.##..#.',
+      '#.#.##.###....#.#..######.#####..',
+      '#.#..###.#.##..###..##..#..###.#.',
+      '#.####..###.##....#.#.####..###..',
+      '#######.#....####......######..#.',
+      '........##.###..#.#.#####...#.#..',
+      '#######......#.##.....###.#.##.#.',
+      '#.....#..#.####.......###...###.#',
+      '#.###.#..####.##..#.#.#.#####..#.',
+      '#.###.#..###.##.####..#..#..#..##',
+      '#.###.#..##..##.#..##.#####.#####',
+      '#.....#.......###.#.#.##.######..',
+      '#######.####.##.###.#.#.#.#.#.##.'
+    ]
+    const modules = makeQrMatrix(
+      'bitcoin:1BvBMSEYstWetqTFn5Au4m4GFg7xJaNVN2?amount=0.0015'
+    )
+    expect(
+      modules.map(row => row.map(dark => (dark ? '#' : '.')).join(''))
+    ).to.deep.equal(expected)
+  })
+
+  it('renders svg', function () {
+    const svg = makeQrSvg('bitcoin:1abc', { margin: 2 })
+    expect(svg).to.match(/^<svg /)
+    expect(svg).to.include('viewBox="0 0 25 25"')
+    expect(svg).to.include('M2,2h1v1h-1z')
+  })
+})